@@ -4,7 +4,30 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { orchestrate } = require('./src/orchestrator');
+const store = require('./src/storage/store');
+const { loadCheckpoint } = require('./src/storage/checkpoints');
+const suppressions = require('./src/storage/suppressions');
+const schedules = require('./src/storage/schedules');
+const { validateOutput, getExportPath } = require('./src/storage/exports');
+const deliveries = require('./src/storage/deliveries');
+const { enqueueJob, getJob, listJobs, cancelJob, serializeJob, JOB_STATUS } = require('./src/jobs/queue');
+const { startScheduler, wakeScheduler, serializeSchedule } = require('./src/jobs/scheduler');
+const {
+  validateCallback,
+  verifyExportLink,
+  withCallback,
+  replayDelivery,
+  startWebhookDispatcher
+} = require('./src/jobs/webhooks');
 const logger = require('./src/utils/logger');
+const { resolveFormat, sendResult, SUPPORTED_FORMATS } = require('./src/utils/export');
+const { listCollectors, getCollectorStatus, selectCollectors } = require('./src/collectors/registry');
+const { SEARCH_STRATEGIES } = require('./src/collectors');
+const { CACHE_MODES } = require('./src/storage/cache');
+const { getUsageReport, flushUsage } = require('./src/storage/usage');
+const { getRequestScheduler } = require('./src/utils/request-scheduler');
+const { getCircuitBreakerStatus } = require('./src/utils/resilience');
+const { parseCron, nextCronTime, isValidTimeZone } = require('./src/utils/cron');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -22,6 +45,140 @@ const limiter = rateLimit({
 });
 
 app.use('/run', limiter);
+app.post('/jobs', limiter);
+
+/**
+ * Accept list parameters as arrays or comma-separated strings
+ */
+function toList(value) {
+  if (!value) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Accept boolean parameters as booleans or "true"/"1" strings
+ */
+function toBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Callback settings for a collection; base_url is where links to stored exports point
+ */
+function buildCallback(req, url, mode = 'auto') {
+  if (!url) return null;
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return { url, mode, base_url: baseUrl.replace(/\/+$/, '') };
+}
+
+/**
+ * Accept numeric parameters as numbers or strings; undefined when absent
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return Number(value);
+}
+
+/**
+ * Collection parameters from a query string (GET) or a JSON body (POST), normalized for orchestrate
+ * Query strings use `geo`, `max`, `require_valid_phone` and `min_confidence`; bodies use camelCase
+ * @param {Object} input - req.query or req.body
+ * @returns {Object} Params for orchestrate; check them with validateCollectionParams first
+ */
+function collectionParams(input = {}) {
+  const {
+    category,
+    geo,
+    geography,
+    maxResults = input.max ?? 500,
+    synonyms,
+    sources,
+    sourceHints,
+    fields,
+    enrich,
+    strategy,
+    requireValidPhone = input.require_valid_phone,
+    minConfidence = input.min_confidence,
+    cache,
+    since,
+    mode
+  } = input;
+
+  return {
+    category,
+    // GET has always preferred `geo` when both are given
+    geography: geo || geography,
+    maxResults: parseInt(maxResults),
+    synonyms: typeof synonyms === 'string' ? synonyms.split(',') : synonyms,
+    sources: toList(sources),
+    sourceHints,
+    fields,
+    enrich: toList(enrich),
+    strategy,
+    requireValidPhone: toBoolean(requireValidPhone),
+    minConfidence: toNumber(minConfidence),
+    cache,
+    since,
+    mode
+  };
+}
+
+/**
+ * Validate collection parameters (`sources` names, `strategy`, `min_confidence`, `cache`, `since` run id, `mode=delta`)
+ * @param {Object} params - From collectionParams
+ * @returns {Promise<Object|null>} { status, body } describing the error, or null if valid
+ */
+async function validateCollectionParams({ sources, strategy, minConfidence, cache, since, mode }) {
+  if (strategy && !SEARCH_STRATEGIES.includes(strategy)) {
+    return {
+      status: 400,
+      body: { error: 'Unsupported strategy', supported: SEARCH_STRATEGIES, received: strategy }
+    };
+  }
+
+  if (minConfidence !== undefined && !(minConfidence >= 0 && minConfidence <= 1)) {
+    return {
+      status: 400,
+      body: { error: 'min_confidence must be a number between 0 and 1', received: minConfidence }
+    };
+  }
+
+  if (cache && !CACHE_MODES.includes(cache)) {
+    return {
+      status: 400,
+      body: { error: 'Unsupported cache mode', supported: CACHE_MODES, received: cache }
+    };
+  }
+
+  const { unknown } = selectCollectors(sources);
+  if (unknown.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: 'Unknown sources',
+        unknown,
+        available: listCollectors().map(collector => collector.name)
+      }
+    };
+  }
+
+  if (mode && !['full', 'delta'].includes(mode)) {
+    return {
+      status: 400,
+      body: { error: 'Unsupported mode', supported: ['full', 'delta'], received: mode }
+    };
+  }
+
+  if (since && !(await store.getRun(since))) {
+    return {
+      status: 404,
+      body: { error: 'Baseline run not found', since }
+    };
+  }
+
+  return null;
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -33,20 +190,23 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Diagnostic endpoint to check API key configuration
+// Diagnostic endpoint to check collector and API key configuration
 app.get('/diagnostics', (req, res) => {
   const hasGoogleMapsKey = !!process.env.GOOGLE_MAPS_API_KEY;
   const hasOpenCorporatesKey = !!process.env.OPENCORPORATES_API_KEY;
   const hasOpenAIKey = !!process.env.OPENAI_API_KEY;
   const hasAnthropicKey = !!process.env.ANTHROPIC_API_KEY;
+  const collectors = listCollectors().map(getCollectorStatus);
+  const readyByDefault = collectors.filter(collector => collector.default_enabled && collector.ready);
 
   res.json({
     status: 'ok',
     environment: process.env.NODE_ENV,
-    data_sources_configured: {
-      google_maps: hasGoogleMapsKey,
-      opencorporates: hasOpenCorporatesKey
-    },
+    collectors,
+    // Per-host limits, load and 429 retries for the busiest hosts
+    request_scheduler: getRequestScheduler().stats(),
+    // Sources whose calls have failed repeatedly are skipped until the circuit's retry_at
+    circuit_breakers: getCircuitBreakerStatus(),
     llm_sources_configured: {
       openai: hasOpenAIKey,
       anthropic: hasAnthropicKey
@@ -55,57 +215,56 @@ app.get('/diagnostics', (req, res) => {
       google_maps: hasGoogleMapsKey ? process.env.GOOGLE_MAPS_API_KEY.substring(0, 10) + '...' : 'NOT_SET',
       opencorporates: hasOpenCorporatesKey ? 'SET' : 'NOT_SET'
     },
-    ready_for_collection: hasGoogleMapsKey || hasOpenCorporatesKey,
-    recommendation: hasGoogleMapsKey ?
-      'Google Maps API configured - ready to collect data' :
-      'WARNING: No data source API keys configured. Add GOOGLE_MAPS_API_KEY to environment variables.'
+    ready_for_collection: readyByDefault.length > 0,
+    recommendation: readyByDefault.length > 0 ?
+      `Ready to collect data from: ${readyByDefault.map(collector => collector.label).join(', ')}` :
+      'WARNING: No default data source is configured. Add GOOGLE_MAPS_API_KEY to environment variables.'
   });
 });
 
 // Main collection endpoint
 app.get('/run', async (req, res) => {
   try {
-    const {
-      category,
-      geo,
-      geography,
-      max = 500,
-      synonyms,
-      sources
-    } = req.query;
-
-    // Use geo or geography (support both param names)
-    const location = geo || geography;
+    const { format, meta } = req.query;
+    const params = collectionParams(req.query);
 
-    if (!category || !location) {
+    if (!params.category || !params.geography) {
       return res.status(400).json({
         error: 'Missing required parameters',
         required: ['category', 'geo (or geography)'],
-        received: { category, location }
+        received: { category: params.category, location: params.geography }
       });
     }
 
+    const outputFormat = resolveFormat(req, format);
+    if (!outputFormat) {
+      return res.status(400).json({
+        error: 'Unsupported format',
+        supported: SUPPORTED_FORMATS,
+        received: format
+      });
+    }
+
+    const paramError = await validateCollectionParams(params);
+    if (paramError) {
+      return res.status(paramError.status).json(paramError.body);
+    }
+
     logger.info('Starting collection', {
-      category,
-      geography: location,
-      maxResults: max
+      category: params.category,
+      geography: params.geography,
+      maxResults: params.maxResults
     });
 
-    const result = await orchestrate({
-      category,
-      geography: location,
-      maxResults: parseInt(max),
-      synonyms: synonyms ? synonyms.split(',') : undefined,
-      sourceHints: sources ? sources.split(',') : undefined
-    });
+    const result = await orchestrate(params);
 
     logger.info('Collection completed', {
-      category,
-      geography: location,
+      category: params.category,
+      geography: params.geography,
       totalFound: result.meta.total_found
     });
 
-    res.json(result);
+    sendResult(res, result, outputFormat, { metaComment: meta === 'comment' });
   } catch (error) {
     logger.error('Collection failed', {
       error: error.message,
@@ -119,17 +278,101 @@ app.get('/run', async (req, res) => {
   }
 });
 
+// Collector progress events forwarded by GET /run/stream
+const STREAM_EVENTS = ['query_started', 'page_fetched', 'row', 'source_error'];
+
+// Collection streamed as Server-Sent Events while it runs; closing the connection cancels it
+app.get('/run/stream', async (req, res) => {
+  let keepAlive = null;
+
+  try {
+    const params = collectionParams(req.query);
+    const { category, geography } = params;
+
+    if (!category || !geography) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        required: ['category', 'geo (or geography)'],
+        received: { category, location: geography }
+      });
+    }
+
+    const paramError = await validateCollectionParams(params);
+    if (paramError) {
+      return res.status(paramError.status).json(paramError.body);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stops proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const writable = () => !res.writableEnded && !res.destroyed;
+    const send = (event, data) => {
+      if (writable()) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      if (!res.writableEnded) {
+        logger.info('Stream client disconnected, cancelling collection', { category, geography });
+        controller.abort();
+      }
+    });
+
+    // Comment lines keep idle proxies from closing the connection between events
+    keepAlive = setInterval(() => {
+      if (writable()) res.write(': keep-alive\n\n');
+    }, 15000);
+
+    logger.info('Starting collection (stream)', { category, geography, maxResults: params.maxResults });
+
+    try {
+      const result = await orchestrate(params, {
+        signal: controller.signal,
+        onProgress: ({ type, ...event }) => {
+          if (STREAM_EVENTS.includes(type)) send(type, event);
+        }
+      });
+
+      // Rows streamed earlier are before deduplication; the final rows are stored under meta.run_id
+      send('complete', { meta: result.meta });
+    } catch (error) {
+      // Headers are already sent, so the failure goes out as an event
+      logger.error('Collection failed (stream)', { error: error.message, stack: error.stack });
+      send('error', { error: 'Collection failed', message: error.message });
+    }
+  } catch (error) {
+    logger.error('Collection failed (stream)', { error: error.message, stack: error.stack });
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Collection failed',
+        message: error.message
+      });
+    }
+  } finally {
+    clearInterval(keepAlive);
+    if (!res.writableEnded) res.end();
+  }
+});
+
 // POST endpoint for more complex requests
 app.post('/run', async (req, res) => {
   try {
     const {
-      category,
-      geography,
-      maxResults = 500,
-      synonyms,
-      sourceHints,
-      fields
+      format = req.query.format,
+      meta = req.query.meta,
+      callbackUrl = req.body.callback_url,
+      callbackMode = req.body.callback_mode
     } = req.body;
+    const params = collectionParams(req.body);
+    const { category, geography, maxResults } = params;
 
     if (!category || !geography) {
       return res.status(400).json({
@@ -138,20 +381,44 @@ app.post('/run', async (req, res) => {
       });
     }
 
+    const outputFormat = resolveFormat(req, format);
+    if (!outputFormat) {
+      return res.status(400).json({
+        error: 'Unsupported format',
+        supported: SUPPORTED_FORMATS,
+        received: format
+      });
+    }
+
+    const paramError = await validateCollectionParams(params);
+    if (paramError) {
+      return res.status(paramError.status).json(paramError.body);
+    }
+
+    const callbackError = callbackUrl ? await validateCallback(callbackUrl, callbackMode) : null;
+    if (callbackError) {
+      return res.status(400).json({ error: 'Invalid callback', message: callbackError });
+    }
+
+    // With a callback the collection runs as a job and its result is sent there instead
+    if (callbackUrl) {
+      const job = enqueueJob(
+        params,
+        withCallback((params, controls) => orchestrate(params, controls), buildCallback(req, callbackUrl, callbackMode))
+      );
+
+      return res.status(202)
+        .location(`/jobs/${job.id}`)
+        .json(serializeJob(job));
+    }
+
     logger.info('Starting collection (POST)', {
       category,
       geography,
       maxResults
     });
 
-    const result = await orchestrate({
-      category,
-      geography,
-      maxResults,
-      synonyms,
-      sourceHints,
-      fields
-    });
+    const result = await orchestrate(params);
 
     logger.info('Collection completed (POST)', {
       category,
@@ -159,7 +426,7 @@ app.post('/run', async (req, res) => {
       totalFound: result.meta.total_found
     });
 
-    res.json(result);
+    sendResult(res, result, outputFormat, { metaComment: meta === 'comment' });
   } catch (error) {
     logger.error('Collection failed (POST)', {
       error: error.message,
@@ -173,6 +440,470 @@ app.post('/run', async (req, res) => {
   }
 });
 
+// Asynchronous collection jobs - returns immediately with a job id
+app.post('/jobs', async (req, res) => {
+  try {
+    const {
+      callbackUrl = req.body.callback_url,
+      callbackMode = req.body.callback_mode
+    } = req.body;
+    const params = collectionParams(req.body);
+
+    if (!params.category || !params.geography) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['category', 'geography']
+      });
+    }
+
+    const paramError = await validateCollectionParams(params);
+    if (paramError) {
+      return res.status(paramError.status).json(paramError.body);
+    }
+
+    const callbackError = callbackUrl ? await validateCallback(callbackUrl, callbackMode) : null;
+    if (callbackError) {
+      return res.status(400).json({ error: 'Invalid callback', message: callbackError });
+    }
+
+    const job = enqueueJob(
+      params,
+      withCallback((params, controls) => orchestrate(params, controls), buildCallback(req, callbackUrl, callbackMode))
+    );
+
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json(serializeJob(job));
+  } catch (error) {
+    logger.error('Failed to create job', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to create job',
+      message: error.message
+    });
+  }
+});
+
+// List jobs (without rows)
+app.get('/jobs', (req, res) => {
+  res.json({
+    jobs: listJobs().map(job => serializeJob(job))
+  });
+});
+
+// Job status, progress and (partial) rows
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(serializeJob(job, { includeRows: true }));
+});
+
+// Cancel a queued or running job
+app.delete('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const finished = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+  if (finished.includes(job.status)) {
+    return res.status(409).json({
+      error: 'Job already finished',
+      status: job.status
+    });
+  }
+
+  cancelJob(job.id);
+  res.status(202).json(serializeJob(job));
+});
+
+// Run history from the local store
+app.get('/runs', async (req, res) => {
+  try {
+    const runs = await store.listRuns({
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({ runs });
+  } catch (error) {
+    logger.error('Failed to list runs', { error: error.message });
+    res.status(500).json({ error: 'Failed to list runs', message: error.message });
+  }
+});
+
+// Single run with the rows it returned
+app.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await store.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const rows = await store.getRunRows(run.id);
+    const resumable = store.RESUMABLE_STATUSES.includes(run.status) && !!(await loadCheckpoint(run.id));
+    res.json({ ...run, resumable, rows: rows || [] });
+  } catch (error) {
+    logger.error('Failed to load run', { error: error.message });
+    res.status(500).json({ error: 'Failed to load run', message: error.message });
+  }
+});
+
+// Continue an interrupted, cancelled, stopped or failed run from its last checkpoint, as a job
+app.post('/runs/:id/resume', async (req, res) => {
+  try {
+    const run = await store.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const alreadyQueued = listJobs().some(job =>
+      job.resume_run_id === run.id && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status));
+
+    if (!store.RESUMABLE_STATUSES.includes(run.status) || alreadyQueued) {
+      return res.status(409).json({
+        error: 'Run cannot be resumed',
+        status: alreadyQueued ? 'resume_queued' : run.status,
+        resumable_statuses: store.RESUMABLE_STATUSES
+      });
+    }
+
+    if (!(await loadCheckpoint(run.id))) {
+      return res.status(409).json({
+        error: 'Run has no checkpoint to resume from',
+        status: run.status
+      });
+    }
+
+    const job = enqueueJob(
+      run.params,
+      (params, controls) => orchestrate(params, { ...controls, resumeRunId: run.id }),
+      { resumeRunId: run.id }
+    );
+
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json(serializeJob(job));
+  } catch (error) {
+    logger.error('Failed to resume run', { error: error.message });
+    res.status(500).json({ error: 'Failed to resume run', message: error.message });
+  }
+});
+
+// Recurring collections: a cron expression, the params of POST /run and an optional output destination
+app.post('/schedules', async (req, res) => {
+  try {
+    const {
+      cron,
+      timezone = schedules.DEFAULT_TIMEZONE,
+      name,
+      output,
+      callbackUrl = req.body.callback_url,
+      callbackMode = req.body.callback_mode
+    } = req.body;
+    const params = collectionParams(req.body);
+
+    if (!cron || !params.category || !params.geography) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['cron', 'category', 'geography']
+      });
+    }
+
+    let parsedCron;
+    try {
+      parsedCron = parseCron(cron);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid cron expression', message: error.message });
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Unknown timezone', received: timezone });
+    }
+
+    if (!nextCronTime(parsedCron, Date.now(), timezone)) {
+      return res.status(400).json({ error: 'Cron expression never matches', received: cron });
+    }
+
+    const outputError = output ? validateOutput(output) : null;
+    if (outputError) {
+      return res.status(400).json({ error: 'Invalid output destination', message: outputError });
+    }
+
+    const callbackError = callbackUrl ? await validateCallback(callbackUrl, callbackMode) : null;
+    if (callbackError) {
+      return res.status(400).json({ error: 'Invalid callback', message: callbackError });
+    }
+
+    const paramError = await validateCollectionParams(params);
+    if (paramError) {
+      return res.status(paramError.status).json(paramError.body);
+    }
+
+    const schedule = await schedules.createSchedule({
+      cron,
+      timezone,
+      name,
+      params,
+      output: output ? { format: output.format || 'csv', name: output.name } : null,
+      callback: buildCallback(req, callbackUrl, callbackMode)
+    });
+    wakeScheduler().catch(error => logger.error('Failed to wake scheduler', { error: error.message }));
+
+    res.status(201)
+      .location(`/schedules/${schedule.id}`)
+      .json(serializeSchedule(schedule));
+  } catch (error) {
+    logger.error('Failed to create schedule', { error: error.message });
+    res.status(500).json({ error: 'Failed to create schedule', message: error.message });
+  }
+});
+
+// Schedules with their last and next run times and last result
+app.get('/schedules', async (req, res) => {
+  try {
+    const list = await schedules.listSchedules();
+    res.json({ schedules: list.map(serializeSchedule) });
+  } catch (error) {
+    logger.error('Failed to list schedules', { error: error.message });
+    res.status(500).json({ error: 'Failed to list schedules', message: error.message });
+  }
+});
+
+app.get('/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await schedules.getSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(serializeSchedule(schedule));
+  } catch (error) {
+    logger.error('Failed to load schedule', { error: error.message });
+    res.status(500).json({ error: 'Failed to load schedule', message: error.message });
+  }
+});
+
+// Pause a schedule; a run already in progress finishes
+app.post('/schedules/:id/pause', async (req, res) => {
+  try {
+    const schedule = await schedules.setScheduleStatus(req.params.id, schedules.SCHEDULE_STATUS.PAUSED);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(serializeSchedule(schedule));
+  } catch (error) {
+    logger.error('Failed to pause schedule', { error: error.message });
+    res.status(500).json({ error: 'Failed to pause schedule', message: error.message });
+  }
+});
+
+// Resume a paused schedule from its next cron time; runs missed while paused are skipped
+app.post('/schedules/:id/resume', async (req, res) => {
+  try {
+    const schedule = await schedules.setScheduleStatus(req.params.id, schedules.SCHEDULE_STATUS.ACTIVE);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    wakeScheduler().catch(error => logger.error('Failed to wake scheduler', { error: error.message }));
+    res.json(serializeSchedule(schedule));
+  } catch (error) {
+    logger.error('Failed to resume schedule', { error: error.message });
+    res.status(500).json({ error: 'Failed to resume schedule', message: error.message });
+  }
+});
+
+// Delete a schedule; a run already in progress finishes
+app.delete('/schedules/:id', async (req, res) => {
+  try {
+    if (!(await schedules.deleteSchedule(req.params.id))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Failed to delete schedule', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete schedule', message: error.message });
+  }
+});
+
+// Webhook delivery log, newest first
+app.get('/deliveries', async (req, res) => {
+  try {
+    const list = await deliveries.listDeliveries({
+      status: req.query.status,
+      jobId: req.query.job_id,
+      scheduleId: req.query.schedule_id,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({ deliveries: list });
+  } catch (error) {
+    logger.error('Failed to list deliveries', { error: error.message });
+    res.status(500).json({ error: 'Failed to list deliveries', message: error.message });
+  }
+});
+
+// Single delivery with every attempt; ?include=body adds the payload it sends
+app.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await deliveries.getDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (req.query.include !== 'body') {
+      return res.json(delivery);
+    }
+
+    const body = await deliveries.getDeliveryBody(delivery.id);
+    res.json({ ...delivery, body: body === null ? null : JSON.parse(body) });
+  } catch (error) {
+    logger.error('Failed to load delivery', { error: error.message });
+    res.status(500).json({ error: 'Failed to load delivery', message: error.message });
+  }
+});
+
+// Send a delivery again now, with its original body; a failed one gets a fresh series of retries
+app.post('/deliveries/:id/replay', async (req, res) => {
+  try {
+    const delivery = await replayDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    logger.error('Failed to replay delivery', { error: error.message });
+    res.status(500).json({ error: 'Failed to replay delivery', message: error.message });
+  }
+});
+
+// Stored exports, through the signed, expiring links sent to callbacks
+app.get('/exports/:file', async (req, res) => {
+  try {
+    const { file } = req.params;
+
+    if (!verifyExportLink(file, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+
+    const exportPath = await getExportPath(file);
+    if (!exportPath) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.download(exportPath, file);
+  } catch (error) {
+    logger.error('Failed to send export', { error: error.message });
+    res.status(500).json({ error: 'Failed to send export', message: error.message });
+  }
+});
+
+// Query previously collected businesses without calling any API
+app.get('/businesses', async (req, res) => {
+  try {
+    const { category, state, city, limit, offset } = req.query;
+
+    const result = await store.queryBusinesses({
+      category,
+      state,
+      city,
+      limit: parseInt(limit) || 100,
+      offset: parseInt(offset) || 0
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to query businesses', { error: error.message });
+    res.status(500).json({ error: 'Failed to query businesses', message: error.message });
+  }
+});
+
+// API usage and cost ledger: today, this month, per day and per month
+app.get('/usage', async (req, res) => {
+  try {
+    res.json(await getUsageReport({ days: parseInt(req.query.days) || 31 }));
+  } catch (error) {
+    logger.error('Failed to load usage', { error: error.message });
+    res.status(500).json({ error: 'Failed to load usage', message: error.message });
+  }
+});
+
+/**
+ * Suppression request bodies: a single { type, value, reason } or { entries: [...] }
+ */
+function suppressionItems(body = {}) {
+  return Array.isArray(body.entries) ? body.entries : [body];
+}
+
+// Suppression list summary (counts only - values are never returned)
+app.get('/suppressions', async (req, res) => {
+  try {
+    res.json(await suppressions.getSuppressionSummary());
+  } catch (error) {
+    logger.error('Failed to load suppressions', { error: error.message });
+    res.status(500).json({ error: 'Failed to load suppressions', message: error.message });
+  }
+});
+
+// Add do-not-contact entries
+app.post('/suppressions', async (req, res) => {
+  try {
+    const result = await suppressions.addSuppressions(suppressionItems(req.body));
+
+    if (result.added === 0 && result.invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid suppression entries',
+        supported_types: suppressions.SUPPRESSION_TYPES,
+        invalid_indexes: result.invalid
+      });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Failed to add suppressions', { error: error.message });
+    res.status(500).json({ error: 'Failed to add suppressions', message: error.message });
+  }
+});
+
+// Remove API-managed entries
+app.delete('/suppressions', async (req, res) => {
+  try {
+    res.json(await suppressions.removeSuppressions(suppressionItems(req.body)));
+  } catch (error) {
+    logger.error('Failed to remove suppressions', { error: error.message });
+    res.status(500).json({ error: 'Failed to remove suppressions', message: error.message });
+  }
+});
+
+// Re-read suppression CSV files after they change
+app.post('/suppressions/reload', async (req, res) => {
+  try {
+    await suppressions.reloadSuppressions();
+    res.json(await suppressions.getSuppressionSummary());
+  } catch (error) {
+    logger.error('Failed to reload suppressions', { error: error.message });
+    res.status(500).json({ error: 'Failed to reload suppressions', message: error.message });
+  }
+});
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   logger.info(`RinglyPro Business Collector running on port ${PORT}`);
@@ -181,6 +912,18 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`\n🚀 Server running on port ${PORT}`);
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
   console.log(`🔍 Collection endpoint: http://localhost:${PORT}/run?category=X&geo=Y&max=500\n`);
+
+  startScheduler();
+  startWebhookDispatcher();
 });
 
+// Write usage recorded since the last ledger write before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    logger.info(`${signal} received, shutting down`);
+    await flushUsage();
+    process.exit(0);
+  });
+}
+
 module.exports = app;
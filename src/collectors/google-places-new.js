@@ -0,0 +1,165 @@
+// Places API (New) search backend for the Google Places collector (GOOGLE_PLACES_API=new)
+// `places:searchText` returns phone, website, address components, business status and opening
+// hours in the search response (selected with a field mask), so no per-place Details calls are made.
+// Places are mapped to the legacy Text Search / Details shapes, so rows are identical for both APIs.
+const { MAX_SEARCH_RADIUS_M } = require('../utils/geo');
+const { scheduleRequest } = require('../utils/request-scheduler');
+const { UpstreamError, isTransientHttpStatus } = require('../utils/resilience');
+
+const SEARCH_TEXT_URL = 'https://places.googleapis.com/v1/places:searchText';
+const PAGE_SIZE = 20;
+
+/**
+ * Fields requested per place; the request is billed at the SKU of the most expensive field
+ * (contact fields, rating and opening hours: Text Search Enterprise)
+ */
+const FIELD_MASK = [
+  'places.id',
+  'places.displayName',
+  'places.formattedAddress',
+  'places.addressComponents',
+  'places.location',
+  'places.types',
+  'places.businessStatus',
+  'places.rating',
+  'places.userRatingCount',
+  'places.nationalPhoneNumber',
+  'places.internationalPhoneNumber',
+  'places.websiteUri',
+  'places.regularOpeningHours',
+  'nextPageToken'
+].join(',');
+
+/**
+ * Map a Places API (New) place to the legacy { place, details } pair the row builder reads
+ * @param {Object} place - Place from a searchText response
+ * @returns {Object} { place: Text Search result shape, details: Place Details result shape }
+ */
+function toLegacyPlace(place) {
+  const location = place.location
+    ? { lat: place.location.latitude, lng: place.location.longitude }
+    : null;
+
+  return {
+    place: {
+      place_id: place.id,
+      name: place.displayName?.text || null,
+      formatted_address: place.formattedAddress || null,
+      geometry: location ? { location } : undefined,
+      types: place.types || [],
+      business_status: place.businessStatus || null,
+      rating: place.rating,
+      user_ratings_total: place.userRatingCount
+    },
+    details: {
+      formatted_address: place.formattedAddress || null,
+      address_components: (place.addressComponents || []).map(component => ({
+        long_name: component.longText,
+        short_name: component.shortText,
+        types: component.types || []
+      })),
+      formatted_phone_number: place.nationalPhoneNumber || null,
+      international_phone_number: place.internationalPhoneNumber || null,
+      website: place.websiteUri || null,
+      opening_hours: place.regularOpeningHours?.weekdayDescriptions
+        ? { weekday_text: place.regularOpeningHours.weekdayDescriptions }
+        : undefined
+    }
+  };
+}
+
+/**
+ * Parse a searchText response body (live or recorded)
+ * An empty body means no results; HTTP errors are raised by requestSearchTextPage
+ * @returns {Object} { places: [{ place, details }], nextPageToken }
+ */
+function parseSearchTextResponse(data) {
+  return {
+    places: (data?.places || []).map(toLegacyPlace),
+    nextPageToken: data?.nextPageToken || null
+  };
+}
+
+/**
+ * Request one page of searchText results
+ * @param {Object} request
+ * @param {string} request.query - Text query, e.g. "plumber in Tampa, FL"
+ * @param {Object} [request.locationBias] - { center: { lat, lng }, radius } search circle
+ * @param {string} [request.pageToken] - nextPageToken from the previous page
+ * @param {string} request.apiKey
+ * @param {number} [request.notBefore] - Timestamp before which the request must not start
+ * @param {AbortSignal} [request.signal]
+ * @param {Function} [request.onRetry] - Called when the request scheduler retries a throttled request
+ * @returns {Promise<Object>} Response body
+ * @throws {UpstreamError} For API errors (RESOURCE_EXHAUSTED, UNAVAILABLE and INTERNAL are transient)
+ */
+async function requestSearchTextPage({ query, locationBias, pageToken, apiKey, notBefore, signal, onRetry }) {
+  const body = {
+    textQuery: query,
+    pageSize: PAGE_SIZE,
+    languageCode: 'en'
+  };
+
+  if (locationBias) {
+    body.locationBias = {
+      circle: {
+        center: { latitude: locationBias.center.lat, longitude: locationBias.center.lng },
+        radius: Math.min(locationBias.radius, MAX_SEARCH_RADIUS_M)
+      }
+    };
+  }
+
+  if (pageToken) {
+    body.pageToken = pageToken;
+  }
+
+  try {
+    const response = await scheduleRequest({
+      method: 'post',
+      url: SEARCH_TEXT_URL,
+      data: body,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Goog-Api-Key': apiKey,
+        'X-Goog-FieldMask': FIELD_MASK
+      },
+      timeout: 15000
+    }, { notBefore, signal, onRetry });
+
+    return response.data;
+  } catch (error) {
+    const apiError = error.response?.data?.error;
+    if (apiError) {
+      throw new UpstreamError(`Google Places API (New) error: ${apiError.status || error.response.status} - ${apiError.message || 'Unknown error'}`, {
+        code: apiError.status,
+        status: error.response.status,
+        transient: isTransientHttpStatus(error.response.status)
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Search backend used by fetchSingleQuery (see LEGACY_SEARCH_API in google-places.js)
+ */
+const PLACES_NEW_SEARCH_API = {
+  name: 'new',
+  cacheEndpoint: 'searchtext',
+  sku: 'places_new_text_search',
+  fieldMask: FIELD_MASK,
+  // Page tokens are usable immediately
+  pageTokenDelayMs: 0,
+  // Error code for a page token that is no longer valid
+  expiredTokenCode: 'INVALID_ARGUMENT',
+  needsDetails: false,
+  requestPage: requestSearchTextPage,
+  parsePage: parseSearchTextResponse
+};
+
+module.exports = {
+  FIELD_MASK,
+  PLACES_NEW_SEARCH_API,
+  toLegacyPlace,
+  parseSearchTextResponse
+};
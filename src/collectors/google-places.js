@@ -1,7 +1,124 @@
 // Google Places API collector for real business data
-const axios = require('axios');
 const logger = require('../utils/logger');
 const { optimizeSearchQuery } = require('../utils/industry-mapper');
+const { registerCollector } = require('./registry');
+const { geocodeBounds, tileBounds, subdivideTile, isInBounds, MAX_SEARCH_RADIUS_M } = require('../utils/geo');
+const { resolveState, isUnambiguousState, listSubAreas } = require('../utils/gazetteer');
+const { parseAddress, fromGoogleComponents } = require('../utils/address');
+const { scoreConfidence } = require('../utils/confidence');
+const { createCacheSession } = require('../storage/cache');
+const { createUsageMeter } = require('../storage/usage');
+const { PLACES_NEW_SEARCH_API } = require('./google-places-new');
+const { scheduleRequest } = require('../utils/request-scheduler');
+const { UpstreamError, CircuitOpenError, createSourceHealth } = require('../utils/resilience');
+
+/**
+ * Pacing Google requires on top of the request scheduler's host limits (ms)
+ */
+const RATE_LIMIT = {
+  pageTokenDelayMs: 2000   // Required before a next_page_token becomes valid
+};
+
+const HOSTS = ['maps.googleapis.com', 'places.googleapis.com'];
+
+// Google returns at most 60 results (3 pages) per query
+const MAX_RESULTS_PER_QUERY = 60;
+
+const TEXT_SEARCH_URL = 'https://maps.googleapis.com/maps/api/place/textsearch/json';
+const DETAILS_URL = 'https://maps.googleapis.com/maps/api/place/details/json';
+const DETAILS_FIELDS = 'name,formatted_address,address_components,formatted_phone_number,international_phone_number,website,opening_hours,rating,user_ratings_total';
+
+// Statuses worth retrying: rate limiting and Google-side errors. REQUEST_DENIED (key, billing) and
+// INVALID_REQUEST are fatal; NOT_FOUND from Details only means the place is gone.
+const TRANSIENT_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+
+// Failures that are about the API key, billing or quota rather than one request, so every later
+// call would fail too; any other Details failure only costs that place its details
+const KEY_STATUSES = ['REQUEST_DENIED', 'OVER_DAILY_LIMIT', 'OVER_QUERY_LIMIT'];
+const KEY_HTTP_STATUSES = [401, 403, 429];
+
+/**
+ * Whether a failed Details call concerns only its place (e.g. INVALID_REQUEST for a stale place_id)
+ */
+function isPlaceError(error) {
+  if (error instanceof CircuitOpenError) return false;
+  if (error instanceof UpstreamError) return !KEY_STATUSES.includes(error.code);
+  return !KEY_HTTP_STATUSES.includes(error.response?.status);
+}
+
+/**
+ * Error for a Google response whose `status` is not OK
+ */
+function statusError(data) {
+  return new UpstreamError(`Google Places API error: ${data.status} - ${data.error_message || 'Unknown error'}`, {
+    code: data.status,
+    transient: TRANSIENT_STATUSES.includes(data.status)
+  });
+}
+
+/**
+ * Legacy Places API search backend: Text Search pages, then one Details call per place
+ * Backends share this shape; see PLACES_NEW_SEARCH_API in google-places-new.js
+ */
+const LEGACY_SEARCH_API = {
+  name: 'legacy',
+  cacheEndpoint: 'textsearch',
+  sku: 'places_text_search',
+  pageTokenDelayMs: RATE_LIMIT.pageTokenDelayMs,
+  // Status for a page token that is no longer valid
+  expiredTokenCode: 'INVALID_REQUEST',
+  needsDetails: true,
+
+  async requestPage({ query, locationBias, pageToken, apiKey, notBefore, signal, onRetry }) {
+    const params = {
+      query,
+      key: apiKey
+    };
+
+    if (locationBias) {
+      params.location = `${locationBias.center.lat},${locationBias.center.lng}`;
+      params.radius = Math.min(locationBias.radius, MAX_SEARCH_RADIUS_M);
+    }
+
+    if (pageToken) {
+      params.pagetoken = pageToken;
+    }
+
+    const response = await scheduleRequest({ url: TEXT_SEARCH_URL, params }, { notBefore, signal, onRetry });
+    return response.data;
+  },
+
+  /**
+   * @returns {Object} { places: [{ place, details }], nextPageToken }
+   * @throws {UpstreamError} When the response status is not OK or ZERO_RESULTS
+   */
+  parsePage(data) {
+    if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+      throw statusError(data);
+    }
+
+    return {
+      places: (data.results || []).map(place => ({ place, details: null })),
+      nextPageToken: data.next_page_token || null
+    };
+  }
+};
+
+/**
+ * Search backend selected by GOOGLE_PLACES_API: "legacy" (default) or "new" (Places API (New))
+ */
+function getSearchApi() {
+  return (process.env.GOOGLE_PLACES_API || '').toLowerCase() === 'new' ? PLACES_NEW_SEARCH_API : LEGACY_SEARCH_API;
+}
+
+/**
+ * Geo-tiling limits (strategy "tiles")
+ */
+const TILING = {
+  initialRadiusM: (parseFloat(process.env.GEO_TILE_RADIUS_KM) || 50) * 1000,
+  minRadiusM: (parseFloat(process.env.GEO_TILE_MIN_RADIUS_KM) || 1) * 1000,
+  maxTiles: parseInt(process.env.GEO_MAX_TILES) || 100
+};
 
 /**
  * Fetch businesses from Google Places API
@@ -9,9 +126,21 @@ const { optimizeSearchQuery } = require('../utils/industry-mapper');
  * @param {string} params.category - Business category (e.g., "Real Estate Agent")
  * @param {string} params.location - Location (e.g., "Florida" or "Tampa, FL")
  * @param {number} params.maxResults - Maximum number of results
+ * @param {AbortSignal} [params.signal] - Stops collection between pages when aborted
+ * @param {Function} [params.onProgress] - Receives progress events as queries complete
+ * @param {string} [params.strategy] - "queries" (text variants), "tiles" (geo-tiling) or "metros"
+ *   (gazetteer fan-out); defaults to "metros" only when the geography can't mean a city
+ *   ("FL", "Florida", "State of New York"), otherwise "queries"
+ * @param {Object} [params.coverage] - Filled in with coverage statistics for meta
+ * @param {Object} [params.cache] - Response cache session (src/storage/cache.js) for Text Search and Details
+ * @param {Object} [params.usage] - Usage meter (src/storage/usage.js) that every API call is recorded on
+ * @param {Object} [params.health] - Source health (src/utils/resilience.js): retries transient failures,
+ *   records the rest, and stops the collection after a fatal error or once the circuit opens
+ * @param {Object} [params.checkpoint] - Source checkpoint (src/storage/checkpoints.js): progress is saved
+ *   after every page, and a resumed run continues from it
  * @returns {Promise<Array>} Array of business records
  */
-async function fetchFromGooglePlaces({ category, location, maxResults = 100 }) {
+async function fetchFromGooglePlaces({ category, location, maxResults = 100, signal, onProgress = () => {}, strategy, coverage = {}, cache = createCacheSession(), usage = createUsageMeter(), health = createSourceHealth('google_places', { signal }), checkpoint = null }) {
   const apiKey = process.env.GOOGLE_MAPS_API_KEY;
 
   if (!apiKey) {
@@ -19,24 +148,143 @@ async function fetchFromGooglePlaces({ category, location, maxResults = 100 }) {
     return [];
   }
 
-  const allResults = [];
+  if (strategy === 'tiles') {
+    // A resumed run keeps tiling the bounding box it started with
+    const savedBounds = checkpoint?.state?.strategy === 'tiles' ? checkpoint.state.coverage.bounds : null;
+    // Transient geocoding statuses are retried; any other failure falls back to query variants
+    // without stopping the source (the Geocoding API may be disabled for a key Places accepts)
+    const bounds = savedBounds || await health.call(
+      ({ onRetry }) => geocodeBounds(location, apiKey, { usage, signal, onRetry }),
+      { what: `geocoding "${location}"`, itemError: () => true }
+    ).catch(error => {
+      logger.warn(`Geocoding failed for "${location}":`, error.message);
+      return null;
+    });
+
+    if (bounds) {
+      return fetchByTiles({ category, bounds, maxResults, apiKey, signal, onProgress, coverage, cache, usage, health, checkpoint });
+    }
+
+    coverage.note = `Could not resolve "${location}" to a bounding box; fell back to query variants`;
+  }
+
+  const stateCode = resolveState(location);
+
+  // Without a strategy, only a geography that can't mean a city fans out ("New York" stays a query)
+  if (strategy === 'metros' || (!strategy && isUnambiguousState(location))) {
+    if (stateCode) {
+      return fetchByMetros({ category, stateCode, maxResults, apiKey, signal, onProgress, coverage, cache, usage, health, checkpoint });
+    }
+
+    coverage.note = `"${location}" is not a US state; fell back to query variants`;
+  }
+
+  return fetchByQueries({ category, location, maxResults, apiKey, signal, onProgress, coverage, cache, usage, health, checkpoint });
+}
+
+/**
+ * A strategy's search progress, restored from the source checkpoint when an earlier run of the same
+ * strategy saved one. The queue holds the units (queries, tiles or sub-areas) not yet searched; the
+ * unit in progress is saved after each of its pages, and goes back to the front of the queue on resume.
+ * @param {Object|null} checkpoint - Source checkpoint
+ * @param {string} strategy - "queries", "tiles" or "metros"
+ * @param {Object} fresh - { queue, coverage, onProgress } for a run starting from scratch
+ * @returns {Object} { queue, rows, seenPlaceIds, queryOptions(unit), save() }
+ */
+function restoreProgress(checkpoint, strategy, { queue, coverage, onProgress }) {
+  const saved = checkpoint?.state?.strategy === strategy ? checkpoint.state : null;
+  let resume = saved?.current || null;
+
+  const progress = {
+    queue: saved ? saved.queue : queue,
+    rows: saved ? saved.rows : [],
+    seenPlaceIds: new Set(saved?.seen_place_ids),
+
+    /**
+     * fetchSingleQuery options for a unit: where it stopped, if it is the one that was in progress,
+     * and a checkpoint after each page
+     */
+    queryOptions(unit) {
+      const options = { resume, onPage: current => checkpoint?.save(snapshot({ unit, ...current })) };
+      resume = null;
+      return options;
+    },
+
+    /**
+     * Checkpoint after a unit completes
+     */
+    save() {
+      checkpoint?.save(snapshot(null));
+    }
+  };
+
+  // Copies, since the strategy keeps changing these while the checkpoint is written
+  const snapshot = current => ({
+    strategy,
+    queue: progress.queue.slice(),
+    coverage: JSON.parse(JSON.stringify(coverage)),
+    seen_place_ids: Array.from(progress.seenPlaceIds),
+    rows: progress.rows.slice(),
+    current
+  });
+
+  if (saved) {
+    Object.assign(coverage, saved.coverage);
+    if (resume) progress.queue.unshift(resume.unit);
+    logger.info(`Resuming Google Places ${strategy} strategy: ${progress.rows.length} businesses collected, ${progress.queue.length} searches left`);
+    if (progress.rows.length > 0) onProgress({ type: 'rows', source: 'Google Places', rows: progress.rows.slice() });
+  }
+
+  return progress;
+}
+
+/**
+ * Query-variant strategy: "X in Tampa", "X near Tampa", ...
+ */
+async function fetchByQueries({ category, location, maxResults, apiKey, signal, onProgress, coverage, cache, usage, health, checkpoint }) {
+  coverage.strategy = 'queries';
+  coverage.queries_searched = 0;
 
   // Google Places API limitation: max 60 results per query (3 pages × 20 results)
   // To get 100+ results, we need to make multiple queries with location variations
-  const queries = generateSearchQueries(category, location, maxResults);
+  const progress = restoreProgress(checkpoint, 'queries', {
+    queue: generateSearchQueries(category, location, maxResults),
+    coverage,
+    onProgress
+  });
+  // Overlapping variants return many of the same places; skip their Details calls
+  const { queue, rows: allResults, seenPlaceIds } = progress;
+  onProgress({ type: 'queries_planned', source: 'Google Places', total: queue.length });
 
   try {
-    for (const query of queries) {
+    while (queue.length > 0) {
       if (allResults.length >= maxResults) break;
+      if (signal?.aborted) {
+        logger.info('Google Places collection cancelled');
+        break;
+      }
+      if (health.shouldStop) {
+        logger.warn('Google Places collection stopped after a fatal error or repeated failures');
+        break;
+      }
 
+      const query = queue.shift();
       const remaining = maxResults - allResults.length;
-      const queryResults = await fetchSingleQuery(query, category, apiKey, remaining);
+      const queryResults = await fetchSingleQuery(query, category, apiKey, remaining, {
+        signal,
+        onProgress,
+        seenPlaceIds,
+        cache,
+        usage,
+        health,
+        ...progress.queryOptions(query)
+      });
       allResults.push(...queryResults);
+      coverage.queries_searched++;
+      onProgress({ type: 'query_completed', source: 'Google Places', query, count: queryResults.length });
 
-      // Small delay between queries to avoid rate limiting
-      if (allResults.length < maxResults) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      // A query cut short keeps its last checkpoint, so a resumed run searches it again
+      if (!signal?.aborted && !health.shouldStop) progress.save();
     }
 
     logger.info(`Collected ${allResults.length} total businesses from Google Places`);
@@ -48,6 +296,184 @@ async function fetchFromGooglePlaces({ category, location, maxResults = 100 }) {
   }
 }
 
+/**
+ * Geo-tiling strategy: split the geography's bounding box into search circles and
+ * query each with a location bias. Tiles that return the full 60 results are
+ * saturated and get subdivided into four smaller tiles (quadtree).
+ */
+async function fetchByTiles({ category, bounds, maxResults, apiKey, signal, onProgress, coverage, cache, usage, health, checkpoint }) {
+  const query = getBusinessType(category);
+  const tiles = tileBounds(bounds, TILING.initialRadiusM);
+
+  Object.assign(coverage, {
+    strategy: 'tiles',
+    bounds,
+    tiles_planned: tiles.length,
+    tiles_searched: 0,
+    tiles_saturated: 0,
+    tiles_subdivided: 0,
+    tiles_unsearched: 0,
+    max_depth: 0
+  });
+
+  const progress = restoreProgress(checkpoint, 'tiles', { queue: tiles, coverage, onProgress });
+  const { queue, rows: allResults, seenPlaceIds } = progress;
+  onProgress({ type: 'queries_planned', source: 'Google Places', total: queue.length });
+  logger.info(`Geo-tiling "${query}" over ${queue.length} tiles`);
+
+  try {
+    while (queue.length > 0 && allResults.length < maxResults && coverage.tiles_searched < TILING.maxTiles) {
+      if (signal?.aborted) {
+        logger.info('Google Places collection cancelled');
+        break;
+      }
+      if (health.shouldStop) {
+        logger.warn('Google Places collection stopped after a fatal error or repeated failures');
+        break;
+      }
+
+      const tile = queue.shift();
+      const pageStats = { raw_results: 0 };
+      const remaining = maxResults - allResults.length;
+
+      const tileResults = await fetchSingleQuery(query, category, apiKey, remaining, {
+        signal,
+        onProgress,
+        locationBias: tile,
+        bounds,
+        seenPlaceIds,
+        pageStats,
+        cache,
+        usage,
+        health,
+        ...progress.queryOptions(tile)
+      });
+      allResults.push(...tileResults);
+
+      coverage.tiles_searched++;
+      coverage.max_depth = Math.max(coverage.max_depth, tile.depth);
+      onProgress({ type: 'query_completed', source: 'Google Places', query, tile: tile.center, count: tileResults.length });
+
+      // A full 60 means Google had more to give: search smaller tiles
+      if (pageStats.raw_results >= MAX_RESULTS_PER_QUERY) {
+        coverage.tiles_saturated++;
+
+        if (tile.radius / 2 >= TILING.minRadiusM) {
+          const children = subdivideTile(tile);
+          queue.push(...children);
+          coverage.tiles_subdivided++;
+          coverage.tiles_planned += children.length;
+          onProgress({ type: 'queries_planned', source: 'Google Places', total: children.length });
+        }
+      }
+
+      if (!signal?.aborted && !health.shouldStop) progress.save();
+    }
+  } catch (error) {
+    logger.error('Error during Google Places geo-tiling:', error.message);
+  }
+
+  coverage.tiles_unsearched = queue.length;
+  logger.info(`Geo-tiling collected ${allResults.length} businesses from ${coverage.tiles_searched} tiles (${coverage.tiles_saturated} saturated)`);
+  return allResults;
+}
+
+/**
+ * Metro fan-out strategy for state-level geographies: search the state's cities from
+ * the largest down, then its counties, using the bundled gazetteer. A city that
+ * returns the full 60 results is searched again by ZIP code before moving on.
+ */
+async function fetchByMetros({ category, stateCode, maxResults, apiKey, signal, onProgress, coverage, cache, usage, health, checkpoint }) {
+  const areas = listSubAreas(stateCode);
+
+  Object.assign(coverage, {
+    strategy: 'metros',
+    state: stateCode,
+    areas_planned: areas.length,
+    areas_searched: 0,
+    areas_saturated: 0,
+    zip_expansions: 0,
+    areas_unsearched: 0,
+    areas: []
+  });
+
+  const progress = restoreProgress(checkpoint, 'metros', { queue: areas, coverage, onProgress });
+  const { queue, rows: allResults, seenPlaceIds } = progress;
+  onProgress({ type: 'queries_planned', source: 'Google Places', total: queue.length });
+  logger.info(`Fanning out over ${queue.length} sub-areas of ${stateCode}`);
+
+  try {
+    while (queue.length > 0 && allResults.length < maxResults) {
+      if (signal?.aborted) {
+        logger.info('Google Places collection cancelled');
+        break;
+      }
+      if (health.shouldStop) {
+        logger.warn('Google Places collection stopped after a fatal error or repeated failures');
+        break;
+      }
+
+      const area = queue.shift();
+      const query = optimizeSearchQuery(category, area.label);
+      const pageStats = { raw_results: 0 };
+      const remaining = maxResults - allResults.length;
+
+      const areaResults = await fetchSingleQuery(query, category, apiKey, remaining, {
+        signal,
+        onProgress,
+        seenPlaceIds,
+        pageStats,
+        searchArea: area,
+        cache,
+        usage,
+        health,
+        ...progress.queryOptions(area)
+      });
+      allResults.push(...areaResults);
+
+      coverage.areas_searched++;
+      coverage.areas.push({ area: area.label, type: area.type, count: areaResults.length });
+      onProgress({ type: 'query_completed', source: 'Google Places', query, count: areaResults.length });
+
+      // A saturated city has more businesses than one query returns: search its ZIP codes next
+      if (pageStats.raw_results >= MAX_RESULTS_PER_QUERY) {
+        coverage.areas_saturated++;
+
+        if (area.type === 'city' && area.zips.length > 0) {
+          const zipAreas = area.zips.map(zip => ({
+            type: 'zip',
+            name: zip,
+            label: `${zip} ${area.label}`,
+            population: null,
+            zips: [],
+            county: area.county
+          }));
+          queue.unshift(...zipAreas);
+
+          coverage.zip_expansions++;
+          coverage.areas_planned += zipAreas.length;
+          onProgress({ type: 'queries_planned', source: 'Google Places', total: zipAreas.length });
+        }
+      }
+
+      if (!signal?.aborted && !health.shouldStop) progress.save();
+    }
+  } catch (error) {
+    logger.error('Error during Google Places metro fan-out:', error.message);
+  }
+
+  coverage.areas_unsearched = queue.length;
+  logger.info(`Metro fan-out collected ${allResults.length} businesses from ${coverage.areas_searched} sub-areas of ${stateCode}`);
+  return allResults;
+}
+
+/**
+ * Business type search term without a location, e.g. "plumber"
+ */
+function getBusinessType(category) {
+  return optimizeSearchQuery(category, '').replace(/\s+in\s*$/, '').trim();
+}
+
 /**
  * Generate multiple search queries to get more than 60 results
  * Uses industry mapper to optimize search terms for Google Places
@@ -70,14 +496,12 @@ function generateSearchQueries(category, location, maxResults) {
       queries.push(cityQuery);
 
       // Extract just the business type without location
-      const businessType = optimizeSearchQuery(category, '').replace(' in ', '').replace(' service', ' service');
-      queries.push(`${businessType} near ${parts[0]}`);
+      queries.push(`${getBusinessType(category)} near ${parts[0]}`);
     } else {
       // Single location: "Florida" or "Tampa"
       queries.push(optimizeSearchQuery(category, location));
 
-      const businessType = optimizeSearchQuery(category, '').replace(' in ', '').replace(' service', ' service');
-      queries.push(`${businessType} near ${location}`);
+      queries.push(`${getBusinessType(category)} near ${location}`);
     }
   }
 
@@ -87,187 +511,306 @@ function generateSearchQueries(category, location, maxResults) {
 
 /**
  * Fetch results from a single Google Places query
+ * Cancellation is checked between pages; within a page it drops the places whose Details calls had
+ * not started, so no row is returned without the details it was waiting for
+ * @param {Object} [options]
+ * @param {Object} [options.locationBias] - { center: { lat, lng }, radius } search circle
+ * @param {Object} [options.bounds] - Drop places outside this bounding box
+ * @param {Set} [options.seenPlaceIds] - Places already collected; skipped without a Details call
+ * @param {Object} [options.pageStats] - Receives raw_results (before filtering) for saturation checks
+ * @param {Object} [options.searchArea] - Gazetteer sub-area being searched, recorded on each row
+ * @param {Object} [options.cache] - Response cache session
+ * @param {Object} [options.usage] - Usage meter; a page stops early once a budget is reached
+ * @param {Object} [options.health] - Source health that pages and Details calls are retried through
+ * @param {Object} [options.resume] - Progress saved by onPage in an earlier run: continue from its page token
+ * @param {Function} [options.onProgress] - Receives query_started, a row event per row as it is built,
+ *   rows and page_fetched after each page
+ * @param {Function} [options.onPage] - Receives the query's progress after each page that has a next page
+ *   ({ page, next_page_token, token_issued_at, raw_results, rows }), for checkpoints
  */
-async function fetchSingleQuery(query, category, apiKey, maxResults = 60) {
-  const results = [];
-  let nextPageToken = null;
-
-  logger.info(`Fetching query: "${query}"`);
+async function fetchSingleQuery(query, category, apiKey, maxResults = 60, { signal, onProgress = () => {}, locationBias, bounds, seenPlaceIds = new Set(), pageStats = {}, searchArea, cache = createCacheSession(), usage = createUsageMeter(), health = createSourceHealth('google_places', { signal }), resume = null, onPage = () => {} } = {}) {
+  const api = getSearchApi();
+  const results = resume ? [...resume.rows] : [];
+  let nextPageToken = resume?.next_page_token || null;
+  let page = resume?.page || 1;
+  let pagesCounted = page - 1;
+  // A cached page's next page token was issued to an earlier session and has likely expired
+  let tokenFromCache = false;
+  let readCache = true;
+  let tokenIssuedAt = resume?.token_issued_at || 0;
+
+  if (resume) {
+    pageStats.raw_results = resume.raw_results;
+    logger.info(`Resuming query: "${query}" at page ${page} with ${results.length} businesses`);
+    if (results.length > 0) onProgress({ type: 'rows', source: 'Google Places', query, rows: results.slice() });
+  } else {
+    logger.info(`Fetching query: "${query}"`);
+  }
+  onProgress({ type: 'query_started', source: 'Google Places', query, page, resumed: !!resume });
 
   try {
     // Google Places returns max 20 results per request, use pagination (max 3 pages = 60)
-    while (results.length < maxResults && results.length < 60) {
-      const url = 'https://maps.googleapis.com/maps/api/place/textsearch/json';
-      const params = {
+    while (results.length < maxResults && results.length < MAX_RESULTS_PER_QUERY) {
+      if (signal?.aborted || health.shouldStop) {
+        logger.info(`Query "${query}" stopped after ${results.length} businesses`);
+        break;
+      }
+
+      // Pages are cached by query and page number, never by page token
+      const cacheParams = {
         query,
-        key: apiKey
+        location: locationBias ? `${locationBias.center.lat},${locationBias.center.lng}` : undefined,
+        radius: locationBias ? Math.min(locationBias.radius, MAX_SEARCH_RADIUS_M) : undefined,
+        fields: api.fieldMask,
+        page
       };
-
-      if (nextPageToken) {
-        params.pagetoken = nextPageToken;
-        // Required delay between paginated requests
-        await new Promise(resolve => setTimeout(resolve, 2000));
+      let data = readCache ? await cache.get(api.cacheEndpoint, cacheParams) : null;
+      const fromCache = !!data;
+
+      if (!data && tokenFromCache) {
+        // Restart live to get fresh page tokens; places already collected skip their Details calls
+        logger.info(`Query "${query}": page ${page} not cached, restarting without the cache`);
+        page = 1;
+        nextPageToken = null;
+        tokenFromCache = false;
+        readCache = false;
+        continue;
       }
 
-      logger.info(`Fetching from Google Places: ${query} (page ${nextPageToken ? 'next' : '1'})`);
-
-      const response = await axios.get(url, { params });
-      const data = response.data;
-
-      if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
-        const errorMsg = `Google Places API error: ${data.status} - ${data.error_message || 'Unknown error'}`;
-        logger.error(errorMsg);
-
-        // Throw error for critical issues (invalid key, billing, etc.)
-        if (data.status === 'REQUEST_DENIED' || data.status === 'OVER_QUERY_LIMIT') {
-          throw new Error(errorMsg);
+      if (fromCache) {
+        logger.info(`Google Places: ${query} (page ${page}) served from cache`);
+        tokenFromCache = true;
+      } else {
+        logger.info(`Fetching from Google Places (${api.name} API): ${query} (page ${page})`);
+
+        // A next page token only becomes valid a short while after the page that issued it
+        const notBefore = nextPageToken ? tokenIssuedAt + api.pageTokenDelayMs : 0;
+        const pageToken = nextPageToken;
+        data = await health.call(async ({ onRetry }) => {
+          let body;
+          try {
+            body = await api.requestPage({ query, locationBias, pageToken, apiKey, notBefore, signal, onRetry });
+            await usage.record(api.sku, { apiKey });
+            // Error statuses in the body are retried like HTTP errors
+            api.parsePage(body);
+          } catch (error) {
+            // A token saved by a checkpoint may have expired; not an error for the source
+            if (pageToken && error instanceof UpstreamError && error.code === api.expiredTokenCode) return null;
+            throw error;
+          }
+          return body;
+        }, { what: `"${query}" page ${page}` });
+        tokenIssuedAt = Date.now();
+
+        if (!data) {
+          // Only this query starts over; places already collected skip their Details calls
+          logger.info(`Query "${query}": page token for page ${page} expired, restarting the query`);
+          page = 1;
+          nextPageToken = null;
+          continue;
         }
+      }
 
-        // For other errors, just break and return partial results
-        break;
+      const pageResult = api.parsePage(data);
+
+      if (!fromCache) {
+        await cache.set(api.cacheEndpoint, cacheParams, data);
       }
 
-      if (!data.results || data.results.length === 0) {
+      if (pageResult.places.length === 0) {
         logger.info('No more results from Google Places');
         break;
       }
 
-      // Convert Google Places format to our standard format
-      for (const place of data.results) {
-        // Get detailed place info if we have place_id
-        let detailedInfo = null;
-        if (place.place_id) {
-          try {
-            detailedInfo = await getPlaceDetails(place.place_id, apiKey);
-            await new Promise(resolve => setTimeout(resolve, 100)); // Rate limiting
-          } catch (error) {
-            logger.warn(`Failed to get details for ${place.name}:`, error.message);
-          }
+      // Pages re-fetched after a restart were already counted
+      if (page > pagesCounted) {
+        pageStats.raw_results = (pageStats.raw_results || 0) + pageResult.places.length;
+        pagesCounted = page;
+      }
+
+      // Places to keep from this page, in page order
+      const candidates = [];
+      for (const { place, details } of pageResult.places) {
+        if (results.length + candidates.length >= maxResults) break;
+        if (place.place_id && seenPlaceIds.has(place.place_id)) continue;
+        if (bounds && place.geometry?.location && !isInBounds(place.geometry.location, bounds)) continue;
+        if (place.place_id) seenPlaceIds.add(place.place_id);
+        candidates.push({ place, details });
+      }
+
+      // Details lookups for the page run in parallel within the scheduler's host limits
+      // (Places API (New) returns the details with the search, so none are needed)
+      const buildRow = async ({ place, details }) => {
+        if (!api.needsDetails || !place.place_id) {
+          return buildBusinessRow(place, details, { category, query, searchArea });
         }
 
-        const business = {
-          business_name: place.name,
-          category: category,
-          street: detailedInfo?.formatted_address || place.formatted_address || null,
-          city: extractCity(place.formatted_address),
-          state: extractState(place.formatted_address),
-          postal_code: extractZip(place.formatted_address),
-          country: 'US',
-          phone: detailedInfo?.formatted_phone_number || detailedInfo?.international_phone_number || null,
-          email: null, // Google Places doesn't provide email
-          website: detailedInfo?.website || null,
-          source_url: `https://www.google.com/maps/place/?q=place_id:${place.place_id}`,
-          confidence: calculateConfidence(place, detailedInfo),
-          notes: `Rating: ${place.rating || 'N/A'} (${place.user_ratings_total || 0} reviews)`,
-          // Additional Google Places metadata
-          google_place_id: place.place_id,
-          google_rating: place.rating,
-          google_reviews: place.user_ratings_total,
-          google_types: place.types?.join(', '),
-          is_operational: place.business_status === 'OPERATIONAL'
-        };
-
-        results.push(business);
-
-        if (results.length >= maxResults) {
-          break;
+        try {
+          const detailedInfo = await health.call(
+            ({ onRetry }) => getPlaceDetails(place.place_id, apiKey, { cache, usage, signal, onRetry }),
+            { what: `details for ${place.name}`, itemError: isPlaceError }
+          );
+          return buildBusinessRow(place, detailedInfo, { category, query, searchArea });
+        } catch (error) {
+          // A reached budget, a cancellation or a stopped source drops the places whose Details calls had not finished;
+          // a failure of this place's call alone keeps its search result
+          if (signal?.aborted || (health.shouldStop && !isPlaceError(error))) return null;
+          logger.warn(`Failed to get details for ${place.name}:`, error.message);
+          return buildBusinessRow(place, null, { category, query, searchArea });
         }
-      }
+      };
+      const pageRows = (await Promise.all(candidates.map(async candidate => {
+        const row = await buildRow(candidate);
+        // Each row is reported as soon as it is built, before the rest of the page
+        if (row) onProgress({ type: 'row', source: 'Google Places', query, row });
+        return row;
+      }))).filter(Boolean);
+
+      results.push(...pageRows);
+
+      onProgress({ type: 'rows', source: 'Google Places', query, rows: pageRows });
+      onProgress({
+        type: 'page_fetched',
+        source: 'Google Places',
+        query,
+        page,
+        places: pageResult.places.length,
+        rows: pageRows.length,
+        from_cache: fromCache
+      });
 
-      nextPageToken = data.next_page_token;
+      nextPageToken = pageResult.nextPageToken;
 
       // Break if no more pages
       if (!nextPageToken) {
         break;
       }
+
+      page++;
+
+      // A page cut short is searched again on resume
+      if (!signal?.aborted && !health.shouldStop) {
+        onPage({
+          page,
+          next_page_token: nextPageToken,
+          token_issued_at: tokenIssuedAt,
+          raw_results: pageStats.raw_results || 0,
+          rows: results.slice()
+        });
+      }
     }
 
     logger.info(`Query "${query}" returned ${results.length} businesses`);
     return results;
 
   } catch (error) {
-    logger.error(`Error fetching query "${query}":`, error.message);
+    if (signal?.aborted) {
+      logger.info(`Query "${query}" cancelled after ${results.length} businesses`);
+    } else {
+      // Already retried and recorded on the source health; the strategy decides whether to go on
+      logger.error(`Error fetching query "${query}":`, error.message);
+    }
     return results; // Return partial results
   }
 }
 
+/**
+ * Build a row from a Text Search result and its Place Details (legacy shapes)
+ * @param {Object} place - Text Search result
+ * @param {Object|null} details - Place Details result
+ * @param {Object} context - { category, query, searchArea }
+ * @returns {Object} Business row with confidence scored
+ */
+function buildBusinessRow(place, details, { category, query, searchArea }) {
+  // Structured components when Details returned them, otherwise the formatted address
+  const address = fromGoogleComponents(details?.address_components) ||
+    parseAddress(details?.formatted_address || place.formatted_address);
+
+  const business = {
+    business_name: place.name,
+    category: category,
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    postal_code: address.postal_code,
+    country: address.country || 'US',
+    street_number: address.street_number,
+    route: address.route,
+    unit: address.unit,
+    county: address.county,
+    phone: details?.formatted_phone_number || details?.international_phone_number || null,
+    email: null, // Google Places doesn't provide email
+    website: details?.website || null,
+    source_url: `https://www.google.com/maps/place/?q=place_id:${place.place_id}`,
+    confidence: null, // scored below from the shared model
+    notes: `Rating: ${place.rating || 'N/A'} (${place.user_ratings_total || 0} reviews)`,
+    // Additional Google Places metadata
+    google_place_id: place.place_id,
+    google_rating: place.rating,
+    google_reviews: place.user_ratings_total,
+    google_types: place.types?.join(', '),
+    is_operational: place.business_status ? place.business_status === 'OPERATIONAL' : null,
+    opening_hours: details?.opening_hours?.weekday_text || null,
+    // Places data is live: current as of this request
+    source_updated_at: new Date().toISOString(),
+    // Which search found the row
+    search_query: query,
+    search_area: searchArea?.label || null,
+    search_area_type: searchArea?.type || null
+  };
+
+  return Object.assign(business, scoreConfidence(business));
+}
+
 /**
  * Get detailed place information
+ * Details is the most expensive Places SKU, so responses are cached per place and field list
  */
-async function getPlaceDetails(placeId, apiKey) {
-  const url = 'https://maps.googleapis.com/maps/api/place/details/json';
+async function getPlaceDetails(placeId, apiKey, { cache = createCacheSession(), usage = createUsageMeter(), signal, onRetry } = {}) {
   const params = {
     place_id: placeId,
-    fields: 'name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total',
+    fields: DETAILS_FIELDS,
     key: apiKey
   };
 
-  const response = await axios.get(url, { params });
+  const cached = await cache.get('details', params);
+  if (cached) return cached;
+
+  const response = await scheduleRequest({ url: DETAILS_URL, params }, { signal, onRetry });
+  await usage.record('places_details', { apiKey });
 
   if (response.data.status === 'OK') {
+    await cache.set('details', params, response.data.result);
     return response.data.result;
   }
 
-  return null;
-}
-
-/**
- * Calculate confidence score based on available data
- */
-function calculateConfidence(place, details) {
-  let score = 0.5; // Base score
-
-  // Has reviews and good rating
-  if (place.rating && place.rating >= 4.0) score += 0.15;
-  if (place.user_ratings_total && place.user_ratings_total >= 10) score += 0.1;
-
-  // Is operational
-  if (place.business_status === 'OPERATIONAL') score += 0.1;
-
-  // Has additional details
-  if (details?.website) score += 0.1;
-  if (details?.formatted_phone_number) score += 0.05;
-
-  return Math.min(1.0, Math.round(score * 100) / 100);
-}
-
-/**
- * Extract city from formatted address
- */
-function extractCity(address) {
-  if (!address) return null;
-
-  // Format: "123 Main St, City, ST 12345, USA"
-  const parts = address.split(',').map(p => p.trim());
-  if (parts.length >= 3) {
-    return parts[parts.length - 3]; // City is usually 3rd from end
+  // The place no longer exists; the row keeps its search result
+  if (response.data.status === 'NOT_FOUND' || response.data.status === 'ZERO_RESULTS') {
+    return null;
   }
 
-  return null;
-}
-
-/**
- * Extract state from formatted address
- */
-function extractState(address) {
-  if (!address) return null;
-
-  const stateMatch = address.match(/\b(AL|AK|AZ|AR|CA|CO|CT|DC|DE|FL|GA|HI|IA|ID|IL|IN|KS|KY|LA|MA|MD|ME|MI|MN|MO|MS|MT|NC|ND|NE|NH|NJ|NM|NV|NY|OH|OK|OR|PA|PR|RI|SC|SD|TN|TX|UT|VA|VI|VT|WA|WI|WV|WY)\b/i);
-
-  return stateMatch ? stateMatch[1].toUpperCase() : null;
+  throw statusError(response.data);
 }
 
-/**
- * Extract ZIP code from formatted address
- */
-function extractZip(address) {
-  if (!address) return null;
-
-  const zipMatch = address.match(/\b(\d{5})(?:-\d{4})?\b/);
-
-  return zipMatch ? zipMatch[1] : null;
-}
+registerCollector({
+  name: 'google_places',
+  label: 'Google Places',
+  requiredEnv: ['GOOGLE_MAPS_API_KEY'],
+  capabilities: {
+    provides_phone: true,
+    provides_email: false,
+    provides_website: true,
+    provides_registry: false,
+    strategies: ['queries', 'tiles', 'metros'],
+    places_api: getSearchApi().name
+  },
+  rateLimit: RATE_LIMIT,
+  hosts: HOSTS,
+  defaultEnabled: true,
+  fetch: fetchFromGooglePlaces
+});
 
 module.exports = {
-  fetchFromGooglePlaces
+  fetchFromGooglePlaces,
+  buildBusinessRow
 };
@@ -1,8 +1,46 @@
 // Collector orchestrator - combines multiple data sources
+const { setMaxListeners } = require('events');
 const logger = require('../utils/logger');
+// Collectors register themselves with the registry when loaded
 const { fetchFromGooglePlaces } = require('./google-places');
 const { fetchFromOpenCorporates } = require('./opencorporates');
-const { deduplicateRecords } = require('../utils/deduplication');
+const { selectCollectors, getCollectorStatus } = require('./registry');
+const { clusterDuplicates } = require('../utils/deduplication');
+const { attachProvenance } = require('../utils/provenance');
+const { scoreConfidence } = require('../utils/confidence');
+const { createCacheSession } = require('../storage/cache');
+const { createUsageMeter } = require('../storage/usage');
+const { createSourceHealth } = require('../utils/resilience');
+const { applyPhoneValidation } = require('../utils/phone');
+const { applySuppressions } = require('../storage/suppressions');
+const { enrichWithOpenCorporates } = require('../enrichment/opencorporates');
+const { enrichFromWebsites } = require('../enrichment/website');
+
+/**
+ * Search strategies a request may ask for; collectors that do not support one use their default
+ */
+const SEARCH_STRATEGIES = ['queries', 'tiles', 'metros'];
+
+/**
+ * Enrichment stages, run in this order after deduplication when requested via `enrich`
+ * usedSource decides whether the stage is reported in meta.sources_used; `source` names the
+ * API whose circuit breaker the stage shares with the collector of the same name
+ */
+const ENRICHMENT_STAGES = [
+  {
+    name: 'opencorporates',
+    label: 'OpenCorporates',
+    source: 'opencorporates',
+    run: enrichWithOpenCorporates,
+    usedSource: stats => stats.matched > 0
+  },
+  {
+    name: 'website',
+    label: 'Company websites',
+    run: enrichFromWebsites,
+    usedSource: stats => stats.pages_fetched > 0
+  }
+];
 
 /**
  * Collect businesses from all available sources
@@ -10,67 +48,205 @@ const { deduplicateRecords } = require('../utils/deduplication');
  * @param {string} params.category - Business category
  * @param {string} params.geography - Location
  * @param {number} params.maxResults - Maximum total results
+ * @param {Array<string>} [params.sources] - Collector names to run (defaults to default-enabled collectors)
+ * @param {Array<string>} [params.enrich] - Enrichment stages to run (e.g. ['opencorporates', 'website'])
+ * @param {string} [params.strategy] - Search strategy for collectors that support it ("queries" or "tiles")
+ * @param {boolean} [params.requireValidPhone] - Only return rows with a valid, dialable phone
+ * @param {number} [params.minConfidence] - Drop rows scoring below this confidence (0-1)
+ * @param {string} [params.cache] - Response cache mode: "use" (default), "refresh" or "bypass"
+ * @param {AbortSignal} [params.signal] - Cancels collection; partial results are still returned
+ *   (a reached budget stops the run the same way and sets meta.stopped_reason)
+ * @param {Function} [params.onProgress] - Receives progress events from the collectors, and a
+ *   source_error event for each source or enrichment stage that did not complete
+ * @param {Object} [params.checkpoint] - Checkpoint session (src/storage/checkpoints.js) the collectors save
+ *   their progress to; when resuming, finished sources are restored from it instead of searched again
  * @returns {Promise<Object>} Collection results with metadata
  */
-async function collectFromAllSources({ category, geography, maxResults = 100 }) {
+async function collectFromAllSources({ category, geography, maxResults = 100, sources, enrich = [], strategy, requireValidPhone = false, minConfidence, cache: cacheMode = 'use', signal, onProgress, checkpoint }) {
   const startTime = Date.now();
   logger.info(`Starting multi-source collection: ${category} in ${geography}`);
 
   const allResults = [];
   const sourcesUsed = [];
+  // One outcome per source: complete, partial or failed, with retries used
   const errors = [];
+  // Sources that did not complete are also reported as they happen
+  const reportOutcome = outcome => {
+    errors.push(outcome);
+    if (outcome.status !== 'complete') onProgress?.({ type: 'source_error', ...outcome });
+  };
+  const coverage = {};
+  const cache = createCacheSession(cacheMode);
 
-  // Priority order: Google Places (most up-to-date) → OpenCorporates (authoritative)
-  // Google Places gets full quota since it's the primary source with phone numbers
+  // The run stops when the caller cancels or a usage budget is reached
+  const runController = new AbortController();
+  if (signal?.aborted) runController.abort();
+  signal?.addEventListener('abort', () => runController.abort(), { once: true });
+  const runSignal = runController.signal;
+  // Every queued and in-flight request listens on the run signal
+  setMaxListeners(0, runSignal);
+  const usage = createUsageMeter({ onStop: () => runController.abort() });
+  await usage.start();
 
-  // 1. Google Places - Best for current operating businesses with phone numbers
-  try {
-    if (process.env.GOOGLE_MAPS_API_KEY) {
-      logger.info('Fetching from Google Places...');
-      const googleResults = await fetchFromGooglePlaces({
+  // 1. Run the selected collectors in registration order (priority order:
+  // Google Places first - most up-to-date, and the primary source of phone numbers).
+  // Each collector gets the full quota; the combined set is trimmed after dedup.
+  const { selected } = selectCollectors(sources);
+  const explicitlyRequested = Array.isArray(sources) && sources.length > 0;
+
+  for (const collector of selected) {
+    if (runSignal.aborted) break;
+
+    const sourceCheckpoint = checkpoint ? checkpoint.source(collector.name) : null;
+
+    // Finished before the run was interrupted: nothing left to search
+    if (sourceCheckpoint?.done) {
+      const { rows, coverage: savedCoverage, outcome } = sourceCheckpoint.state;
+      const collectorResults = rows.map(row => attachProvenance(row, collector.name, sourceCheckpoint.observedAt));
+      logger.info(`↺ ${collector.label}: ${collectorResults.length} results restored from checkpoint`);
+      reportOutcome({ ...outcome, from_checkpoint: true });
+      if (savedCoverage) coverage[collector.name] = savedCoverage;
+      if (collectorResults.length > 0) {
+        allResults.push(...collectorResults);
+        sourcesUsed.push(collector.label);
+        onProgress?.({ type: 'rows', source: collector.label, rows: collectorResults });
+      }
+      continue;
+    }
+
+    const status = getCollectorStatus(collector);
+    if (!status.ready) {
+      logger.warn(`⊘ ${collector.label}: missing ${status.missing_env.join(', ')}`);
+      if (explicitlyRequested) {
+        reportOutcome({ source: collector.label, phase: 'collect', status: 'failed', rows: 0, retries: 0, error: `Not configured: missing ${status.missing_env.join(', ')}` });
+      }
+      continue;
+    }
+
+    // A source whose circuit opened in an earlier run fails fast until its cooldown passes
+    const health = createSourceHealth(collector.name, { label: collector.label, signal: runSignal });
+    const circuitError = health.circuitError();
+    if (circuitError) {
+      logger.warn(`⊘ ${collector.label}: ${circuitError.message}`);
+      reportOutcome({ ...health.outcome({ error: circuitError }), phase: 'collect' });
+      continue;
+    }
+
+    try {
+      logger.info(`Fetching from ${collector.label}...`);
+      const collectorCoverage = {};
+      const observedAt = sourceCheckpoint ? sourceCheckpoint.observedAt : new Date().toISOString();
+      const fetched = await collector.fetch({
         category,
         location: geography,
-        maxResults: maxResults  // Use full quota for Google Places
+        maxResults,
+        strategy,
+        coverage: collectorCoverage,
+        cache,
+        usage,
+        health,
+        signal: runSignal,
+        onProgress,
+        checkpoint: sourceCheckpoint
       });
+      const collectorResults = fetched.map(row => attachProvenance(row, collector.name, observedAt));
+      const outcome = { ...health.outcome({ rows: collectorResults.length }), phase: 'collect' };
+      reportOutcome(outcome);
+
+      // A source cut short keeps its progress for a resumed run
+      if (sourceCheckpoint && !runSignal.aborted && !health.shouldStop) {
+        sourceCheckpoint.complete({ rows: fetched, coverage: collectorCoverage, outcome });
+      }
+
+      if (Object.keys(collectorCoverage).length > 0) {
+        coverage[collector.name] = collectorCoverage;
+      }
 
-      if (googleResults.length > 0) {
-        allResults.push(...googleResults);
-        sourcesUsed.push('Google Places');
-        logger.info(`✓ Google Places: ${googleResults.length} results`);
+      if (collectorResults.length > 0) {
+        allResults.push(...collectorResults);
+        sourcesUsed.push(collector.label);
+        logger.info(`✓ ${collector.label}: ${collectorResults.length} results`);
       }
-    } else {
-      logger.warn('⊘ Google Places: API key not configured');
+    } catch (error) {
+      logger.error(`✗ ${collector.label} error:`, error.message);
+      reportOutcome({ ...health.outcome({ error }), phase: 'collect' });
+    }
+  }
+
+  // 2. OpenCorporates is opt-in as a raw source (no phone numbers);
+  // by default it runs as a registry enrichment pass after deduplication instead
+
+  // 3. Validate phones (E.164 + line type; invalid numbers become null),
+  // then merge fuzzy duplicates (blocked by phone/ZIP/domain, scored on name, address, phone, domain)
+  const validated = allResults.map(applyPhoneValidation);
+
+  logger.info(`Deduplicating ${validated.length} results...`);
+  const { rows: clustered, stats: deduplication } = clusterDuplicates(validated);
+  let deduplicated = clustered;
+  logger.info(`Merged ${deduplication.records_merged} records into ${deduplication.clusters_merged} clusters`);
+  const enrichment = {};
+
+  // 3b. Drop do-not-contact businesses before spending enrichment calls on them
+  const suppression = { suppressed: 0, by_type: {} };
+  deduplicated = await suppressRows(deduplicated, suppression);
+
+  // 4. Enrichment - registry facts (OpenCorporates), emails and contact pages (websites)
+  for (const stage of ENRICHMENT_STAGES) {
+    if (!enrich.includes(stage.name) || runSignal.aborted) continue;
+
+    const health = createSourceHealth(stage.source || stage.name, { label: stage.label, signal: runSignal });
+
+    try {
+      logger.info(`Enriching ${deduplicated.length} rows from ${stage.label}...`);
+      const stageResult = await stage.run(deduplicated, { signal: runSignal, usage, health });
+      deduplicated = stageResult.rows;
+      enrichment[stage.name] = stageResult.stats;
+      reportOutcome({ ...health.outcome({ rows: deduplicated.length }), phase: 'enrich' });
+
+      if (stage.usedSource(stageResult.stats)) {
+        sourcesUsed.push(stage.label);
+      }
+    } catch (error) {
+      logger.error(`✗ ${stage.label} enrichment error:`, error.message);
+      reportOutcome({ ...health.outcome({ error }), phase: 'enrich' });
     }
-  } catch (error) {
-    logger.error('✗ Google Places error:', error.message);
-    errors.push({ source: 'Google Places', error: error.message });
   }
 
-  // 2. OpenCorporates - DISABLED: Doesn't provide phone numbers needed for outbound calling
-  // Only Google Places provides the phone numbers we need
-  // try {
-  //   logger.info('Fetching from OpenCorporates...');
-  //   const ocResults = await fetchFromOpenCorporates({
-  //     category,
-  //     location: geography,
-  //     maxResults: Math.ceil(maxResults / 2)
-  //   });
-  //
-  //   if (ocResults.length > 0) {
-  //     allResults.push(...ocResults);
-  //     sourcesUsed.push('OpenCorporates');
-  //     logger.info(`✓ OpenCorporates: ${ocResults.length} results`);
-  //   }
-  // } catch (error) {
-  //   logger.error('✗ OpenCorporates error:', error.message);
-  //   errors.push({ source: 'OpenCorporates', error: error.message });
-  // }
-
-  // 3. Deduplicate combined results
-  logger.info(`Deduplicating ${allResults.length} results...`);
-  const deduplicated = deduplicateRecords(allResults);
-
-  // 4. Sort by confidence and limit to maxResults
+  // 4b. Re-check suppressions: enrichment can add emails and alternate phones
+  if (Object.keys(enrichment).length > 0) {
+    deduplicated = await suppressRows(deduplicated, suppression);
+  }
+
+  // 4c. Re-score now that phones are validated, duplicates merged and enrichment has run
+  const scoredAt = Date.now();
+  deduplicated = deduplicated.map(row => ({ ...row, ...scoreConfidence(row, { now: scoredAt }) }));
+
+  // 5. Optionally keep only dialable rows
+  // Counts are over collected records (before dedup): missing phones have phone_type null,
+  // rejected ones keep phone_type 'unknown'
+  const phoneValidation = {
+    records_checked: validated.length,
+    valid: validated.filter(row => row.phone_valid).length,
+    invalid: validated.filter(row => !row.phone_valid && row.phone_type === 'unknown').length,
+    missing: validated.filter(row => row.phone_type === null).length,
+    filtered_out: 0
+  };
+
+  if (requireValidPhone) {
+    const before = deduplicated.length;
+    deduplicated = deduplicated.filter(row => row.phone_valid);
+    phoneValidation.filtered_out = before - deduplicated.length;
+  }
+
+  // 5b. Optionally drop rows scoring below min_confidence
+  const confidenceFilter = { min_confidence: minConfidence ?? null, filtered_out: 0 };
+  if (typeof minConfidence === 'number') {
+    const before = deduplicated.length;
+    deduplicated = deduplicated.filter(row => row.confidence >= minConfidence);
+    confidenceFilter.filtered_out = before - deduplicated.length;
+  }
+
+  // 6. Sort by confidence and limit to maxResults
   const sorted = deduplicated
     .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
     .slice(0, maxResults);
@@ -88,16 +264,45 @@ async function collectFromAllSources({ category, geography, maxResults = 100 })
       sources_used: sourcesUsed,
       execution_time_ms: executionTime,
       errors: errors.length > 0 ? errors : undefined,
+      cancelled: signal?.aborted || undefined,
+      stopped_reason: usage.stoppedReason || undefined,
+      enrichment: Object.keys(enrichment).length > 0 ? enrichment : undefined,
+      coverage: Object.keys(coverage).length > 0 ? coverage : undefined,
+      cache: cache.summary(),
+      usage: usage.summary(),
+      phone_validation: phoneValidation,
+      confidence: confidenceFilter,
+      deduplication,
+      suppression,
       debug: {
         api_key_configured: !!process.env.GOOGLE_MAPS_API_KEY,
         results_before_dedup: allResults.length,
-        duplicates_removed: allResults.length - deduplicated.length
+        duplicates_removed: deduplication.records_in - deduplication.records_out
       }
     },
     rows: sorted
   };
 }
 
+/**
+ * Apply suppression lists and accumulate counts into `totals`
+ * Suppressed values are never reported, only how many rows matched each type
+ */
+async function suppressRows(rows, totals) {
+  const { rows: kept, stats } = await applySuppressions(rows);
+
+  totals.suppressed += stats.suppressed;
+  for (const [type, count] of Object.entries(stats.by_type)) {
+    totals.by_type[type] = (totals.by_type[type] || 0) + count;
+  }
+
+  if (stats.suppressed > 0) {
+    logger.info(`Suppressed ${stats.suppressed} do-not-contact rows`);
+  }
+
+  return kept;
+}
+
 /**
  * Quick collection with automatic fallback
  * If primary source fails, tries backup sources
@@ -168,6 +373,7 @@ async function quickCollect(category, geography, maxResults = 50) {
 }
 
 module.exports = {
+  SEARCH_STRATEGIES,
   collectFromAllSources,
   quickCollect
 };
@@ -1,6 +1,34 @@
 // OpenCorporates API collector for business registration data
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { registerCollector } = require('./registry');
+const { scheduleRequest } = require('../utils/request-scheduler');
+const { createSourceHealth } = require('../utils/resilience');
+const { parseAddress, fromParts } = require('../utils/address');
+const { scoreConfidence } = require('../utils/confidence');
+const { createUsageMeter } = require('../storage/usage');
+
+/**
+ * Minimum spacing between OpenCorporates requests (ms), on top of the request scheduler's host limits
+ * The free tier (no API token) is much more restrictive
+ */
+const RATE_LIMIT = {
+  pageDelayMs: 500,
+  pageDelayNoKeyMs: 2000
+};
+
+const SEARCH_URL = 'https://api.opencorporates.com/v0.4/companies/search';
+
+/**
+ * Send a request through the shared scheduler at the pacing the key allows,
+ * retrying transient failures through the source health
+ */
+function requestOpenCorporates(config, { apiKey, signal, health = createSourceHealth('opencorporates', { signal }) }) {
+  return health.call(({ onRetry }) => scheduleRequest({ timeout: 15000, ...config }, {
+    signal,
+    onRetry,
+    minIntervalMs: apiKey ? RATE_LIMIT.pageDelayMs : RATE_LIMIT.pageDelayNoKeyMs
+  }), { what: config.params?.q ? `search "${config.params.q}"` : config.url });
+}
 
 /**
  * Map US state names/codes to OpenCorporates jurisdiction codes
@@ -64,9 +92,14 @@ const STATE_TO_JURISDICTION = {
  * @param {string} params.category - Business category
  * @param {string} params.location - Location (state name or code)
  * @param {number} params.maxResults - Maximum number of results
+ * @param {AbortSignal} [params.signal] - Stops collection between pages when aborted
+ * @param {Object} [params.usage] - Usage meter (src/storage/usage.js) that every API call is recorded on
+ * @param {Object} [params.health] - Source health (src/utils/resilience.js) that requests are retried through
+ * @param {Object} [params.checkpoint] - Source checkpoint (src/storage/checkpoints.js): the next page and the
+ *   rows so far are saved after every page, and a resumed run continues from them
  * @returns {Promise<Array>} Array of business records
  */
-async function fetchFromOpenCorporates({ category, location, maxResults = 100 }) {
+async function fetchFromOpenCorporates({ category, location, maxResults = 100, signal, usage = createUsageMeter(), health = createSourceHealth('opencorporates', { signal }), checkpoint = null }) {
   const apiKey = process.env.OPENCORPORATES_API_KEY;
 
   // OpenCorporates works better with jurisdiction codes
@@ -79,13 +112,26 @@ async function fetchFromOpenCorporates({ category, location, maxResults = 100 })
     return [];
   }
 
-  const results = [];
-  let page = 1;
+  const saved = checkpoint?.state;
+  const results = saved ? saved.rows.slice() : [];
+  let page = saved?.page || 1;
   const perPage = 30; // OpenCorporates returns 30 per page
 
+  if (saved) {
+    logger.info(`Resuming OpenCorporates at page ${page} with ${results.length} businesses`);
+  }
+
   try {
     while (results.length < maxResults) {
-      const url = 'https://api.opencorporates.com/v0.4/companies/search';
+      if (signal?.aborted) {
+        logger.info('OpenCorporates collection cancelled');
+        break;
+      }
+      if (health.shouldStop) {
+        logger.warn('OpenCorporates collection stopped after a fatal error or repeated failures');
+        break;
+      }
+
       const params = {
         q: category,
         jurisdiction_code: jurisdictionCode,
@@ -99,10 +145,8 @@ async function fetchFromOpenCorporates({ category, location, maxResults = 100 })
 
       logger.info(`Fetching from OpenCorporates: ${category} in ${jurisdictionCode} (page ${page})`);
 
-      const response = await axios.get(url, {
-        params,
-        timeout: 15000
-      });
+      const response = await requestOpenCorporates({ url: SEARCH_URL, params }, { apiKey, signal, health });
+      await usage.record('opencorporates_search', { apiKey });
 
       const data = response.data;
       const companies = data?.results?.companies || [];
@@ -115,32 +159,41 @@ async function fetchFromOpenCorporates({ category, location, maxResults = 100 })
       for (const item of companies) {
         const company = item.company;
 
-        // Parse address
-        const address = company.registered_address_in_full || '';
-        const addressParts = parseAddress(address);
+        // Structured registered address when present, otherwise parse the full text
+        const address = fromParts(company.registered_address) ||
+          parseAddress(company.registered_address_in_full);
 
         const business = {
           business_name: company.name,
           category: category,
-          street: addressParts.street,
-          city: addressParts.city,
-          state: addressParts.state,
-          postal_code: addressParts.zip,
-          country: 'USA',
+          street: address.street,
+          city: address.city,
+          state: address.state,
+          postal_code: address.postal_code,
+          country: address.country || 'US',
+          street_number: address.street_number,
+          route: address.route,
+          unit: address.unit,
+          county: address.county,
           phone: null, // OpenCorporates doesn't provide phone
           email: null, // OpenCorporates doesn't provide email
           website: null, // OpenCorporates doesn't provide website
           source_url: company.opencorporates_url,
-          confidence: calculateConfidence(company),
+          confidence: null, // scored below from the shared model
           notes: `Status: ${company.current_status || 'Unknown'}, Company Type: ${company.company_type || 'Unknown'}`,
           // Additional OpenCorporates metadata
           oc_company_number: company.company_number,
           oc_jurisdiction: company.jurisdiction_code,
+          oc_legal_name: company.name,
           oc_incorporation_date: company.incorporation_date,
           oc_status: company.current_status,
-          oc_company_type: company.company_type
+          oc_inactive: isInactive(company),
+          oc_company_type: company.company_type,
+          // When OpenCorporates last read the registry
+          source_updated_at: company.retrieved_at || company.updated_at || null
         };
 
+        Object.assign(business, scoreConfidence(business));
         results.push(business);
 
         if (results.length >= maxResults) {
@@ -156,105 +209,121 @@ async function fetchFromOpenCorporates({ category, location, maxResults = 100 })
 
       page++;
 
-      // Rate limiting: OpenCorporates free tier has limits
-      await new Promise(resolve => setTimeout(resolve, apiKey ? 500 : 2000));
+      // A resumed run starts at the next page
+      checkpoint?.save({ page, rows: results.slice() });
     }
 
     logger.info(`Collected ${results.length} businesses from OpenCorporates`);
     return results;
 
   } catch (error) {
+    if (signal?.aborted) {
+      logger.info('OpenCorporates collection cancelled');
+      return results;
+    }
     logger.error('Error fetching from OpenCorporates:', error.message);
     return results; // Return partial results
   }
 }
 
 /**
- * Extract state jurisdiction from location string
+ * Search companies by name within a single jurisdiction
+ * Used by the registry enrichment stage (see src/enrichment/opencorporates.js)
+ * @param {string} name - Company name to search for
+ * @param {string} jurisdictionCode - OpenCorporates jurisdiction (e.g. "us_fl")
+ * @param {Object} [options]
+ * @param {number} [options.perPage=10] - Number of candidates to return
+ * @param {Object} [options.usage] - Usage meter the call is recorded on
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.health] - Source health the request is retried through
+ * @returns {Promise<Array>} Raw OpenCorporates company objects
  */
-function extractStateJurisdiction(location) {
-  // Try to find state code or name in location string
-  for (const [key, jurisdiction] of Object.entries(STATE_TO_JURISDICTION)) {
-    if (location.includes(key)) {
-      return jurisdiction;
-    }
+async function searchCompaniesByName(name, jurisdictionCode, { perPage = 10, usage = createUsageMeter(), signal, health } = {}) {
+  const apiKey = process.env.OPENCORPORATES_API_KEY;
+  const params = {
+    q: name,
+    jurisdiction_code: jurisdictionCode,
+    per_page: perPage
+  };
+
+  if (apiKey) {
+    params.api_token = apiKey;
   }
 
-  return null;
+  const response = await requestOpenCorporates({ url: SEARCH_URL, params }, { apiKey, signal, health });
+  await usage.record('opencorporates_search', { apiKey });
+
+  return (response.data?.results?.companies || []).map(item => item.company);
 }
 
 /**
- * Parse address into components
+ * Fetch the full company record (includes registered agent where the registry publishes it)
+ * @param {Object} [options]
+ * @param {Object} [options.usage] - Usage meter the call is recorded on
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.health] - Source health the request is retried through
+ * @returns {Promise<Object|null>} Raw OpenCorporates company object
  */
-function parseAddress(address) {
-  if (!address) {
-    return { street: null, city: null, state: null, zip: null };
-  }
+async function getCompany(jurisdictionCode, companyNumber, { usage = createUsageMeter(), signal, health } = {}) {
+  const apiKey = process.env.OPENCORPORATES_API_KEY;
+  const url = `https://api.opencorporates.com/v0.4/companies/${jurisdictionCode}/${encodeURIComponent(companyNumber)}`;
 
-  const zipMatch = address.match(/\b(\d{5})(?:-\d{4})?\b/);
-  const zip = zipMatch ? zipMatch[1] : null;
-
-  const stateMatch = address.match(/\b(AL|AK|AZ|AR|CA|CO|CT|DC|DE|FL|GA|HI|IA|ID|IL|IN|KS|KY|LA|MA|MD|ME|MI|MN|MO|MS|MT|NC|ND|NE|NH|NJ|NM|NV|NY|OH|OK|OR|PA|PR|RI|SC|SD|TN|TX|UT|VA|VI|VT|WA|WI|WV|WY)\b/i);
-  const state = stateMatch ? stateMatch[1].toUpperCase() : null;
-
-  // Simple city/street extraction
-  let city = null;
-  let street = null;
-
-  if (state) {
-    const parts = address.split(new RegExp(`\\b${state}\\b`, 'i'));
-    if (parts[0]) {
-      const preParts = parts[0].split(',').map(p => p.trim());
-      if (preParts.length >= 2) {
-        street = preParts[0];
-        city = preParts[1];
-      } else {
-        street = preParts[0];
-      }
-    }
-  } else {
-    // No state found, just take first part as street
-    const parts = address.split(',').map(p => p.trim());
-    street = parts[0] || null;
-    city = parts[1] || null;
-  }
+  const response = await requestOpenCorporates({
+    url,
+    params: apiKey ? { api_token: apiKey } : {}
+  }, { apiKey, signal, health });
+  await usage.record('opencorporates_company', { apiKey });
 
-  return { street, city, state, zip };
+  return response.data?.results?.company || null;
 }
 
 /**
- * Calculate confidence score
+ * Registry statuses that mean the company is no longer active
+ * Rows carry the result as oc_inactive, which src/utils/confidence.js scores
  */
-function calculateConfidence(company) {
-  let score = 0.4; // Base score (registry data is authoritative but may be outdated)
-
-  // Active status
-  if (company.current_status && /active|good standing/i.test(company.current_status)) {
-    score += 0.3;
-  }
+function isInactive(company) {
+  if (company.inactive === true) return true;
+  if (company.dissolution_date) return true;
+  return /dissolved|inactive|revoked|cancel|withdrawn|merged|terminated/i.test(company.current_status || '');
+}
 
-  // Recent incorporation
-  if (company.incorporation_date) {
-    const yearMatch = company.incorporation_date.match(/(\d{4})/);
-    if (yearMatch) {
-      const year = parseInt(yearMatch[1]);
-      const currentYear = new Date().getFullYear();
-      if (currentYear - year <= 5) {
-        score += 0.15; // Recently incorporated
-      } else if (currentYear - year <= 10) {
-        score += 0.1;
-      }
+/**
+ * Extract state jurisdiction from location string
+ */
+function extractStateJurisdiction(location) {
+  // Try to find state code or name in location string
+  for (const [key, jurisdiction] of Object.entries(STATE_TO_JURISDICTION)) {
+    if (location.includes(key)) {
+      return jurisdiction;
     }
   }
 
-  // Has full address
-  if (company.registered_address_in_full) {
-    score += 0.15;
-  }
-
-  return Math.min(1.0, Math.round(score * 100) / 100);
+  return null;
 }
 
+// Registered as an opt-in raw source (sources=opencorporates); it has no phone
+// numbers, so by default it only runs as an enrichment pass
+registerCollector({
+  name: 'opencorporates',
+  label: 'OpenCorporates',
+  optionalEnv: ['OPENCORPORATES_API_KEY'],
+  capabilities: {
+    provides_phone: false,
+    provides_email: false,
+    provides_website: false,
+    provides_registry: true
+  },
+  rateLimit: RATE_LIMIT,
+  hosts: ['api.opencorporates.com'],
+  defaultEnabled: false,
+  fetch: fetchFromOpenCorporates
+});
+
 module.exports = {
-  fetchFromOpenCorporates
+  fetchFromOpenCorporates,
+  RATE_LIMIT,
+  searchCompaniesByName,
+  getCompany,
+  isInactive,
+  STATE_TO_JURISDICTION
 };
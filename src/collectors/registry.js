@@ -0,0 +1,111 @@
+// Collector registry - data sources register themselves here
+const logger = require('../utils/logger');
+const { getHostPolicy } = require('../utils/request-scheduler');
+
+const collectors = new Map();
+
+/**
+ * Register a collector
+ * @param {Object} collector
+ * @param {string} collector.name - Identifier used in `sources=` (e.g. "google_places")
+ * @param {string} collector.label - Human-readable name reported in meta.sources_used
+ * @param {Array<string>} [collector.requiredEnv] - Env vars that must be set for the collector to run
+ * @param {Array<string>} [collector.optionalEnv] - Env vars that improve the collector (e.g. higher quotas)
+ * @param {Object} collector.capabilities - e.g. { provides_phone, provides_email, provides_website, provides_registry }
+ * @param {Object} collector.rateLimit - Pacing the collector adds on top of its hosts' limits (delays in ms)
+ * @param {Array<string>} [collector.hosts] - Hosts the collector calls; requests go through the shared
+ *   request scheduler (src/utils/request-scheduler.js), which applies each host's limits
+ * @param {boolean} [collector.defaultEnabled] - Runs when the request does not name sources
+ * @param {Function} collector.fetch - async ({ category, location, maxResults, strategy, coverage, cache, signal, onProgress }) => rows
+ *   `coverage` is an object the collector may fill with coverage statistics (reported in meta.coverage)
+ *   `cache` is the run's response cache session (src/storage/cache.js); hits and misses are reported in meta.cache
+ */
+function registerCollector(collector) {
+  if (!collector.name || typeof collector.fetch !== 'function') {
+    throw new Error('Collector must have a name and a fetch function');
+  }
+
+  if (collectors.has(collector.name)) {
+    logger.warn(`Collector "${collector.name}" registered twice; replacing previous registration`);
+  }
+
+  collectors.set(collector.name, {
+    label: collector.name,
+    requiredEnv: [],
+    optionalEnv: [],
+    capabilities: {},
+    rateLimit: {},
+    hosts: [],
+    defaultEnabled: false,
+    ...collector
+  });
+}
+
+/**
+ * Look up a registered collector by name
+ */
+function getCollector(name) {
+  return collectors.get(name) || null;
+}
+
+/**
+ * All registered collectors, in registration order
+ */
+function listCollectors() {
+  return Array.from(collectors.values());
+}
+
+/**
+ * Readiness of a collector based on its required environment variables
+ */
+function getCollectorStatus(collector) {
+  const missingEnv = collector.requiredEnv.filter(key => !process.env[key]);
+
+  return {
+    name: collector.name,
+    label: collector.label,
+    ready: missingEnv.length === 0,
+    missing_env: missingEnv,
+    optional_env_set: collector.optionalEnv.filter(key => !!process.env[key]),
+    default_enabled: collector.defaultEnabled,
+    capabilities: collector.capabilities,
+    rate_limit: collector.rateLimit,
+    host_limits: Object.fromEntries(collector.hosts.map(host => [host, getHostPolicy(host)]))
+  };
+}
+
+/**
+ * Resolve which collectors a request should run
+ * @param {Array<string>} [sources] - Requested collector names; defaults to default-enabled collectors
+ * @returns {Object} { selected, unknown }
+ */
+function selectCollectors(sources) {
+  if (!sources || sources.length === 0) {
+    return {
+      selected: listCollectors().filter(collector => collector.defaultEnabled),
+      unknown: []
+    };
+  }
+
+  const selected = [];
+  const unknown = [];
+
+  for (const name of sources) {
+    const collector = getCollector(name);
+    if (!collector) {
+      unknown.push(name);
+    } else if (!selected.includes(collector)) {
+      selected.push(collector);
+    }
+  }
+
+  return { selected, unknown };
+}
+
+module.exports = {
+  registerCollector,
+  getCollector,
+  listCollectors,
+  getCollectorStatus,
+  selectCollectors
+};
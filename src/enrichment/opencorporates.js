@@ -0,0 +1,160 @@
+// OpenCorporates enrichment - attaches registry facts to collected rows
+// OpenCorporates has no phone numbers, so instead of being a raw source it is
+// used to verify rows from other collectors against the state registry.
+const stringSimilarity = require('string-similarity');
+const logger = require('../utils/logger');
+const { createSourceHealth } = require('../utils/resilience');
+const { toZip5 } = require('../utils/address');
+const { normalizeCompanyName } = require('../utils/deduplication');
+const {
+  searchCompaniesByName,
+  getCompany,
+  isInactive,
+  STATE_TO_JURISDICTION
+} = require('../collectors/opencorporates');
+
+// Minimum name similarity to attach a registry match at all
+const MATCH_THRESHOLD = parseFloat(process.env.OC_MATCH_THRESHOLD) || 0.7;
+// Similarity at which a match counts as verified (cross-source agreement in src/utils/confidence.js)
+const VERIFIED_THRESHOLD = parseFloat(process.env.OC_VERIFIED_THRESHOLD) || 0.85;
+
+/**
+ * Score a registry candidate against a row
+ * Name similarity, with a small bonus when the registered address shares the row's ZIP or city
+ */
+function scoreCandidate(row, company) {
+  const nameScore = stringSimilarity.compareTwoStrings(
+    normalizeCompanyName(row.business_name),
+    normalizeCompanyName(company.name)
+  );
+
+  const registeredAddress = (company.registered_address_in_full || '').toLowerCase();
+  const zip = toZip5(row.postal_code);
+  let bonus = 0;
+
+  if (zip && registeredAddress.includes(zip)) {
+    bonus = 0.05;
+  } else if (row.city && registeredAddress.includes(row.city.toLowerCase())) {
+    bonus = 0.03;
+  }
+
+  return Math.min(1.0, Math.round((nameScore + bonus) * 100) / 100);
+}
+
+/**
+ * Find the best registry match for a row
+ * @returns {Promise<Object|null>} { company, score }
+ */
+async function findBestMatch(row, jurisdictionCode, { usage, signal, health } = {}) {
+  const query = normalizeCompanyName(row.business_name);
+  if (!query) return null;
+
+  const candidates = await searchCompaniesByName(query, jurisdictionCode, { usage, signal, health });
+  let best = null;
+
+  for (const company of candidates) {
+    const score = scoreCandidate(row, company);
+    if (!best || score > best.score) {
+      best = { company, score };
+    }
+  }
+
+  return best && best.score >= MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Apply a registry match to a row
+ */
+function applyMatch(row, company, score) {
+  const verified = score >= VERIFIED_THRESHOLD;
+  const inactive = isInactive(company);
+
+  const enriched = {
+    ...row,
+    oc_company_number: company.company_number,
+    oc_jurisdiction: company.jurisdiction_code,
+    oc_legal_name: company.name,
+    oc_status: company.current_status || null,
+    oc_incorporation_date: company.incorporation_date || null,
+    oc_company_type: company.company_type || null,
+    oc_registered_address: company.registered_address_in_full || null,
+    oc_agent_name: company.agent_name || null,
+    oc_agent_address: company.agent_address || null,
+    oc_url: company.opencorporates_url || null,
+    oc_match_score: score,
+    oc_match_verified: verified,
+    oc_inactive: inactive
+  };
+
+  const note = inactive
+    ? `Registry: ${company.name} is ${company.current_status || 'inactive'} (match ${score})`
+    : `Registry match: ${company.name} (${company.current_status || 'status unknown'}, match ${score})`;
+  enriched.notes = [row.notes, note].filter(Boolean).join(' | ');
+
+  return enriched;
+}
+
+/**
+ * Enrich rows with OpenCorporates registry data
+ * @param {Array} rows - Deduplicated rows
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops enrichment between rows
+ * @param {Object} [options.usage] - Usage meter that registry lookups are recorded on
+ * @param {Object} [options.health] - Source health for OpenCorporates; lookups stop once it says so
+ * @returns {Promise<Object>} { rows, stats }
+ */
+async function enrichWithOpenCorporates(rows, { signal, usage, health = createSourceHealth('opencorporates', { signal }) } = {}) {
+  const stats = { looked_up: 0, matched: 0, verified: 0, inactive: 0, skipped: 0, errors: 0 };
+  const enriched = [];
+
+  for (const row of rows) {
+    const jurisdictionCode = row.state && STATE_TO_JURISDICTION[row.state.toUpperCase()];
+
+    if (signal?.aborted || health.shouldStop || !jurisdictionCode || !row.business_name || row.oc_company_number) {
+      stats.skipped++;
+      enriched.push(row);
+      continue;
+    }
+
+    try {
+      stats.looked_up++;
+      const match = await findBestMatch(row, jurisdictionCode, { usage, signal, health });
+
+      if (match) {
+        let company = match.company;
+
+        // Registered agent details are only on the full company record
+        if (match.score >= VERIFIED_THRESHOLD && !company.agent_name) {
+          company = (await getCompany(company.jurisdiction_code, company.company_number, { usage, signal, health })) || company;
+        }
+
+        const enrichedRow = applyMatch(row, company, match.score);
+        stats.matched++;
+        if (enrichedRow.oc_match_verified) stats.verified++;
+        if (enrichedRow.oc_inactive) stats.inactive++;
+        enriched.push(enrichedRow);
+      } else {
+        enriched.push(row);
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        stats.looked_up--;
+        stats.skipped++;
+      } else {
+        logger.warn(`OpenCorporates lookup failed for ${row.business_name}:`, error.message);
+        stats.errors++;
+      }
+      enriched.push(row);
+    }
+  }
+
+  logger.info(`OpenCorporates enrichment: ${stats.matched}/${stats.looked_up} matched (${stats.verified} verified, ${stats.inactive} inactive)`);
+  return { rows: enriched, stats };
+}
+
+module.exports = {
+  enrichWithOpenCorporates,
+  isInactive,
+  normalizeCompanyName,
+  scoreCandidate
+};
@@ -0,0 +1,458 @@
+// Website enrichment - finds public business emails, contact pages, social
+// profiles and additional phone numbers on a row's own website
+const cheerio = require('cheerio');
+const { parsePhone, toRegion } = require('../utils/phone');
+const logger = require('../utils/logger');
+const { respectsRobotsTxt, getCrawlDelay } = require('../utils/robots');
+const { setProvenance } = require('../utils/provenance');
+const { scheduleRequest } = require('../utils/request-scheduler');
+const { createSourceHealth } = require('../utils/resilience');
+const { createUsageMeter } = require('../storage/usage');
+
+// Pages fetched per site beyond the homepage
+const MAX_LINKS_PER_SITE = parseInt(process.env.WEBSITE_MAX_LINKS) || 3;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_CONTENT_LENGTH = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Link text/href patterns worth following, most useful first
+const LINK_PATTERNS = [
+  { type: 'contact', pattern: /contact|get[-\s]?in[-\s]?touch|reach[-\s]?us/i },
+  { type: 'about', pattern: /about|team|our[-\s]?story|who[-\s]?we[-\s]?are/i }
+];
+
+// Role-based local parts, in order of preference
+const ROLE_PREFIXES = ['info', 'office', 'contact', 'hello', 'sales', 'admin', 'service', 'support', 'team', 'mail'];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+// Things that look like emails but are not (asset names, tracking and platform addresses)
+const IGNORED_EMAIL = /\.(png|jpe?g|gif|svg|webp|css|js)$|@(example\.com|sentry|wixpress\.com|domain\.com|email\.com)|^(noreply|no-reply|donotreply)@/i;
+
+// Social networks worth recording, matched on the link's host and path
+const SOCIAL_NETWORKS = {
+  facebook: { host: /(^|\.)facebook\.com$|(^|\.)fb\.com$/, path: /^\/(?!sharer|share|dialog|plugins|tr\b)[^/]+/ },
+  instagram: { host: /(^|\.)instagram\.com$/, path: /^\/(?!p\/|explore)[^/]+/ },
+  linkedin: { host: /(^|\.)linkedin\.com$/, path: /^\/(company|in|school)\/[^/]+/ },
+  yelp: { host: /(^|\.)yelp\.com$/, path: /^\/biz\/[^/]+/ },
+  nextdoor: { host: /(^|\.)nextdoor\.com$/, path: /^\/(pages|page|business)\/[^/]+/ }
+};
+
+/**
+ * Fetch an HTML page politely (robots.txt + crawl delay)
+ * Redirects are followed one hop at a time so robots.txt is checked again for every URL,
+ * including hosts a redirect leads to
+ * @param {string} url
+ * @param {Object} context - { stats, signal, usage, health }: every request is retried through the
+ *   health and counted on the usage meter
+ * @returns {Promise<Object>} { url, html } (html is null when the page is not HTML), or { blocked: true }
+ *   if robots.txt disallows it
+ */
+async function fetchPage(url, { stats, signal, usage, health }) {
+  let current = new URL(url).href;
+
+  for (let redirects = 0; ; redirects++) {
+    if (!(await respectsRobotsTxt(current))) {
+      stats.blocked_by_robots++;
+      return { blocked: true };
+    }
+
+    const minIntervalMs = await getCrawlDelay(current);
+    // A site that is down says nothing about other sites, so failures never open the shared circuit
+    const response = await health.call(async ({ onRetry }) => {
+      // The scheduler spaces requests to the same host by its Crawl-delay
+      const answer = await scheduleRequest({
+        url: current,
+        timeout: REQUEST_TIMEOUT_MS,
+        maxContentLength: MAX_CONTENT_LENGTH,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        responseType: 'text',
+        headers: {
+          'User-Agent': process.env.USER_AGENT || 'RinglyProBusinessCollector/1.0',
+          'Accept': 'text/html,application/xhtml+xml'
+        }
+      }, { minIntervalMs, signal, onRetry });
+      await usage.record('website_page');
+      return answer;
+    }, { what: current, itemError: () => true });
+
+    if (response.status >= 300) {
+      const location = response.headers.location;
+      if (!location) throw new Error(`Redirect without a location from ${current}`);
+      if (redirects >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects from ${url}`);
+
+      // Relative links on the final page resolve against the URL it was served from
+      current = new URL(location, current).href;
+      continue;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (!contentType.includes('html')) {
+      return { url: current, html: null };
+    }
+
+    return { url: current, html: response.data };
+  }
+}
+
+/**
+ * Pick same-site links that likely lead to contact details
+ * @returns {Array<Object>} { url, type }, contact pages first
+ */
+function findCandidateLinks($, pageUrl) {
+  const base = new URL(pageUrl);
+  const found = new Map();
+
+  $('a[href]').each((_, element) => {
+    const href = $(element).attr('href');
+    const text = $(element).text();
+    const inFooter = $(element).closest('footer').length > 0;
+
+    let url;
+    try {
+      url = new URL(href, base);
+    } catch (e) {
+      return;
+    }
+
+    if (!/^https?:$/.test(url.protocol) || url.host !== base.host) return;
+    url.hash = '';
+    if (url.href === base.href || found.has(url.href)) return;
+
+    const match = LINK_PATTERNS.findIndex(({ pattern }) => pattern.test(url.pathname) || pattern.test(text));
+    if (match === -1) return;
+
+    found.set(url.href, {
+      url: url.href,
+      type: LINK_PATTERNS[match].type,
+      rank: match * 2 + (inFooter ? 1 : 0)
+    });
+  });
+
+  return Array.from(found.values())
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, MAX_LINKS_PER_SITE);
+}
+
+/**
+ * Extract emails from mailto links and visible text
+ * @returns {Array<Object>} { email, method }
+ */
+function extractEmails($) {
+  const emails = new Map();
+
+  $('a[href^="mailto:"]').each((_, element) => {
+    const href = $(element).attr('href');
+    let address;
+    try {
+      address = decodeURIComponent(href.slice('mailto:'.length).split('?')[0]).trim().toLowerCase();
+    } catch (e) {
+      return;
+    }
+
+    if (address && !IGNORED_EMAIL.test(address) && !emails.has(address)) {
+      emails.set(address, { email: address, method: 'mailto' });
+    }
+  });
+
+  $('script, style, noscript').remove();
+  const text = $('body').text();
+
+  for (const match of text.match(EMAIL_PATTERN) || []) {
+    const address = match.toLowerCase().replace(/\.$/, '');
+
+    if (!IGNORED_EMAIL.test(address) && !emails.has(address)) {
+      emails.set(address, { email: address, method: 'text' });
+    }
+  }
+
+  return Array.from(emails.values());
+}
+
+/**
+ * Extract links to the business's social profiles
+ * @returns {Object} network -> profile URL
+ */
+function extractSocialLinks($, pageUrl) {
+  const social = {};
+
+  $('a[href]').each((_, element) => {
+    let url;
+    try {
+      url = new URL($(element).attr('href'), pageUrl);
+    } catch (e) {
+      return;
+    }
+
+    for (const [network, { host, path }] of Object.entries(SOCIAL_NETWORKS)) {
+      if (!social[network] && host.test(url.hostname) && path.test(url.pathname)) {
+        url.hash = '';
+        url.search = '';
+        social[network] = url.href.replace(/\/$/, '');
+      }
+    }
+  });
+
+  return social;
+}
+
+/**
+ * Extract phone numbers published as tel: and sms: links
+ * @param {string} [defaultCountry='US'] - Region used for numbers without a country code
+ * @returns {Array<Object>} { phone, national, type, kind, label }
+ */
+function extractPhoneLinks($, defaultCountry = 'US') {
+  const phones = new Map();
+
+  $('a[href^="tel:"], a[href^="sms:"]').each((_, element) => {
+    const href = $(element).attr('href');
+    const kind = href.startsWith('sms:') ? 'sms' : 'tel';
+    let raw;
+    try {
+      raw = decodeURIComponent(href.slice(kind.length + 1).split(/[?;,]/)[0]);
+    } catch (e) {
+      return;
+    }
+
+    const parsed = parsePhone(raw, defaultCountry);
+    if (!parsed.phone_valid || phones.has(parsed.phone)) return;
+
+    phones.set(parsed.phone, {
+      phone: parsed.phone,
+      national: parsed.phone_national,
+      type: parsed.phone_type,
+      kind,
+      label: $(element).text().replace(/\s+/g, ' ').trim() || null
+    });
+  });
+
+  return Array.from(phones.values());
+}
+
+/**
+ * Rank an email: role-based on the business's own domain is best
+ * @returns {number|null} Score, or null for a personal address on another domain (a web designer's
+ *   footer credit, a staff member's webmail), which is never picked
+ */
+function scoreEmail(email, siteHostname) {
+  const [local, domain] = email.split('@');
+  const siteDomain = siteHostname.replace(/^www\./, '');
+  const sameDomain = domain === siteDomain || domain.endsWith(`.${siteDomain}`);
+  const roleIndex = ROLE_PREFIXES.indexOf(local);
+
+  if (!sameDomain && roleIndex === -1) return null;
+
+  return (sameDomain ? 10 : 0) + (roleIndex === -1 ? 0 : ROLE_PREFIXES.length - roleIndex);
+}
+
+/**
+ * Crawl a business website for public contact details
+ * Visits the homepage plus a few likely contact/about links
+ * @param {string} website - Business website URL
+ * @param {Object} [options]
+ * @param {Object} [options.stats] - Counters updated in place
+ * @param {string} [options.country='US'] - Region for phone numbers without a country code
+ * @param {Function} [options.onPage] - Called with ({ url, type, $ }) for every page fetched
+ * @param {AbortSignal} [options.signal] - Aborts the request in flight
+ * @param {Object} [options.usage] - Usage meter every page request is recorded on
+ * @param {Object} [options.health] - Source health page requests are retried through
+ * @returns {Promise<Object>} { email, email_source_url, contact_url, social, phones, pages_visited }
+ */
+async function crawlWebsite(website, { stats = createStats(), country = 'US', onPage = () => {}, signal, usage = createUsageMeter(), health = createSourceHealth('website', { signal }) } = {}) {
+  const result = {
+    email: null,
+    email_source_url: null,
+    email_method: null,
+    contact_url: null,
+    social: {},
+    phones: [],
+    pages_visited: []
+  };
+  const homeUrl = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+
+  const context = { stats, signal, usage, health };
+  const home = await fetchPage(homeUrl, context);
+  if (home.blocked) {
+    result.blocked = true;
+    return result;
+  }
+
+  result.pages_visited.push(home.url);
+  stats.pages_fetched++;
+  // A homepage that is not HTML (a PDF, an image) still shows the site is up
+  if (!home.html) return result;
+
+  const siteHostname = new URL(home.url).hostname;
+  const pages = [{ ...home, type: 'home' }];
+
+  const $home = cheerio.load(home.html);
+  const links = findCandidateLinks($home, home.url);
+
+  for (const link of links) {
+    if (signal?.aborted) break;
+
+    try {
+      const page = await fetchPage(link.url, context);
+      if (page.blocked || !page.html) continue;
+
+      pages.push({ ...page, type: link.type });
+      result.pages_visited.push(page.url);
+      stats.pages_fetched++;
+
+      if (link.type === 'contact' && !result.contact_url) {
+        result.contact_url = page.url;
+      }
+    } catch (error) {
+      if (signal?.aborted) break;
+      logger.debug(`Could not fetch ${link.url}: ${error.message}`);
+    }
+  }
+
+  let best = null;
+
+  for (const page of pages) {
+    const $ = page.type === 'home' ? $home : cheerio.load(page.html);
+    onPage({ url: page.url, type: page.type, $ });
+
+    // Social links and phones: keep the first page each was found on
+    for (const [network, url] of Object.entries(extractSocialLinks($, page.url))) {
+      if (!result.social[network]) {
+        result.social[network] = { url, source_url: page.url };
+      }
+    }
+
+    for (const phone of extractPhoneLinks($, country)) {
+      if (!result.phones.some(existing => existing.phone === phone.phone)) {
+        result.phones.push({ ...phone, source_url: page.url });
+      }
+    }
+
+    for (const candidate of extractEmails($)) {
+      const score = scoreEmail(candidate.email, siteHostname);
+      if (score !== null && (!best || score > best.score)) {
+        best = { ...candidate, score, url: page.url, type: page.type };
+      }
+    }
+  }
+
+  if (best) {
+    result.email = best.email;
+    result.email_source_url = best.url;
+    result.email_method = best.method;
+    result.email_page_type = best.type;
+  }
+
+  return result;
+}
+
+/**
+ * Counters reported in meta.enrichment.website
+ */
+function createStats() {
+  return {
+    sites_crawled: 0,
+    pages_fetched: 0,
+    emails_found: 0,
+    contact_pages_found: 0,
+    social_profiles_found: 0,
+    alt_phones_found: 0,
+    blocked_by_robots: 0,
+    skipped: 0,
+    errors: 0
+  };
+}
+
+/**
+ * Describe where an email was found, e.g. "email from contact page (mailto)"
+ */
+function describeEmailSource(crawl) {
+  const page = crawl.email_page_type === 'home' ? 'homepage' : `${crawl.email_page_type} page`;
+  return `email from ${page} ${crawl.email_source_url} (${crawl.email_method})`;
+}
+
+/**
+ * Enrich rows with emails and contact page URLs from their websites
+ * @param {Array} rows - Deduplicated rows
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops enrichment between rows and aborts the request in flight
+ * @param {Object} [options.usage] - Usage meter; page requests are recorded as `website_page`
+ * @param {Object} [options.health] - Source health for website requests; failed sites show in meta.errors
+ * @returns {Promise<Object>} { rows, stats }
+ */
+async function enrichFromWebsites(rows, { signal, usage = createUsageMeter(), health = createSourceHealth('website', { signal }) } = {}) {
+  const stats = createStats();
+  const enriched = [];
+
+  for (const row of rows) {
+    if (signal?.aborted || health.shouldStop || !row.website) {
+      stats.skipped++;
+      enriched.push(row);
+      continue;
+    }
+
+    try {
+      stats.sites_crawled++;
+      const country = toRegion(row.country);
+      const crawl = await crawlWebsite(row.website, { stats, country, signal, usage, health });
+      const primaryPhone = parsePhone(row.phone, country).phone;
+      const altPhones = crawl.phones.filter(phone => phone.phone !== primaryPhone);
+
+      const updated = {
+        ...row,
+        // Unknown when robots.txt kept us off the homepage
+        website_reachable: crawl.blocked ? (row.website_reachable ?? null) : crawl.pages_visited.length > 0,
+        contact_url: row.contact_url || crawl.contact_url || null,
+        social: Object.keys(crawl.social).length > 0 ? crawl.social : null,
+        alt_phones: altPhones
+      };
+      const notes = [];
+
+      stats.social_profiles_found += Object.keys(crawl.social).length;
+      stats.alt_phones_found += altPhones.length;
+
+      if (crawl.email && !row.email) {
+        updated.email = crawl.email;
+        updated.email_source_url = crawl.email_source_url;
+        updated.provenance = setProvenance(updated, 'email', { source: 'website', source_url: crawl.email_source_url });
+        notes.push(describeEmailSource(crawl));
+        stats.emails_found++;
+      } else if (!crawl.email && crawl.contact_url) {
+        notes.push('no public email; contact form page found');
+      } else if (crawl.blocked) {
+        notes.push('website disallowed by robots.txt; not crawled');
+      }
+
+      if (crawl.contact_url) stats.contact_pages_found++;
+
+      updated.notes = [row.notes, ...notes].filter(Boolean).join(' | ');
+      enriched.push(updated);
+    } catch (error) {
+      // Cancelled or stopped by a budget: the row was not checked, not found unreachable
+      if (signal?.aborted) {
+        stats.skipped++;
+        enriched.push(row);
+        continue;
+      }
+
+      logger.warn(`Website crawl failed for ${row.website}:`, error.message);
+      stats.errors++;
+      enriched.push({
+        ...row,
+        website_reachable: false,
+        notes: [row.notes, `website not crawled: ${error.message}`].filter(Boolean).join(' | ')
+      });
+    }
+  }
+
+  logger.info(`Website enrichment: ${stats.emails_found} emails from ${stats.sites_crawled} sites (${stats.blocked_by_robots} pages blocked by robots.txt)`);
+  return { rows: enriched, stats };
+}
+
+module.exports = {
+  enrichFromWebsites,
+  crawlWebsite,
+  extractEmails,
+  extractSocialLinks,
+  extractPhoneLinks,
+  findCandidateLinks
+};
@@ -0,0 +1,223 @@
+// In-process job queue for long-running collections
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Keep finished jobs around long enough for clients to poll the result
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 2;
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+/**
+ * Create a job and queue it for execution
+ * @param {Object} params - Collection parameters passed to the runner
+ * @param {Function} runner - async (params, { signal, onProgress, jobId }) => result
+ * @param {Object} [options]
+ * @param {string} [options.resumeRunId] - Stored run the job resumes (POST /runs/:id/resume)
+ * @param {string} [options.scheduleId] - Schedule that started the job (src/jobs/scheduler.js)
+ * @returns {Object} The created job
+ */
+function enqueueJob(params, runner, { resumeRunId = null, scheduleId = null } = {}) {
+  pruneExpiredJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    params,
+    resume_run_id: resumeRunId,
+    schedule_id: scheduleId,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    progress: {
+      queries_total: 0,
+      queries_completed: 0,
+      records_collected: 0
+    },
+    rows: [],
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    runner
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+
+  logger.info(`Job ${job.id} queued`, { category: params.category, geography: params.geography });
+
+  drainQueue();
+  return job;
+}
+
+/**
+ * Start queued jobs while below the concurrency limit
+ */
+function drainQueue() {
+  while (running < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const job = pending.shift();
+    running++;
+
+    runJob(job).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+}
+
+/**
+ * Execute a single job and record its outcome
+ */
+async function runJob(job) {
+  job.status = JOB_STATUS.RUNNING;
+  job.started_at = new Date().toISOString();
+  logger.info(`Job ${job.id} started`);
+
+  try {
+    const result = await job.runner(job.params, {
+      signal: job.controller.signal,
+      onProgress: event => applyProgress(job, event),
+      jobId: job.id
+    });
+
+    job.result = result;
+    job.rows = result.rows;
+    job.progress.records_collected = result.rows.length;
+
+    if (job.controller.signal.aborted) {
+      job.status = JOB_STATUS.CANCELLED;
+    } else if (result.meta.error) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = result.meta.error;
+    } else {
+      job.status = JOB_STATUS.COMPLETED;
+    }
+  } catch (error) {
+    logger.error(`Job ${job.id} failed:`, error.message);
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+  } finally {
+    job.finished_at = new Date().toISOString();
+    logger.info(`Job ${job.id} finished with status ${job.status}`);
+  }
+}
+
+/**
+ * Update job progress from a collector progress event
+ */
+function applyProgress(job, event) {
+  switch (event.type) {
+    case 'queries_planned':
+      job.progress.queries_total += event.total;
+      break;
+    case 'query_completed':
+      job.progress.queries_completed++;
+      break;
+    case 'rows':
+      job.rows.push(...event.rows);
+      job.progress.records_collected = job.rows.length;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Look up a job by id
+ */
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * List all known jobs, newest first
+ */
+function listJobs() {
+  pruneExpiredJobs();
+  return Array.from(jobs.values())
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Cancel a queued or running job
+ * Running collections stop at the next page boundary and keep partial rows
+ * @returns {Object|null} The job, or null if not found
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    const index = pending.indexOf(job);
+    if (index !== -1) pending.splice(index, 1);
+    job.status = JOB_STATUS.CANCELLED;
+    job.finished_at = new Date().toISOString();
+  } else if (job.status === JOB_STATUS.RUNNING) {
+    job.controller.abort();
+  }
+
+  logger.info(`Job ${job.id} cancellation requested`);
+  return job;
+}
+
+/**
+ * Drop finished jobs older than the retention window
+ */
+function pruneExpiredJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+
+  for (const [id, job] of jobs) {
+    if (job.finished_at && Date.parse(job.finished_at) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Public representation of a job
+ * @param {Object} job
+ * @param {Object} options
+ * @param {boolean} options.includeRows - Include collected (possibly partial) rows
+ */
+function serializeJob(job, { includeRows = false } = {}) {
+  const body = {
+    id: job.id,
+    status: job.status,
+    params: job.params,
+    resume_run_id: job.resume_run_id || undefined,
+    schedule_id: job.schedule_id || undefined,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    cancel_requested: job.controller.signal.aborted,
+    progress: job.progress,
+    error: job.error || undefined,
+    meta: job.result ? job.result.meta : undefined
+  };
+
+  if (includeRows) {
+    body.rows = job.rows;
+    body.diff = job.result?.diff;
+  }
+
+  return body;
+}
+
+module.exports = {
+  JOB_STATUS,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  serializeJob
+};
@@ -0,0 +1,248 @@
+// Runs due schedules (src/storage/schedules.js) as collection jobs
+// A timer wakes at the earliest next_run_at, and at least once a minute. A due schedule is put on the
+// job queue; if its previous job is still queued or running, that run is skipped instead of overlapping.
+// A run that fell due while the process was down starts once when it comes back. A schedule with a
+// callback sends each run's result to it (src/jobs/webhooks.js).
+const logger = require('../utils/logger');
+const { orchestrate } = require('../orchestrator');
+const { enqueueJob, getJob, JOB_STATUS } = require('./queue');
+const { withCallback } = require('./webhooks');
+const { saveExport } = require('../storage/exports');
+const { getResultStatus } = require('../storage/store');
+const {
+  SCHEDULE_STATUS,
+  nextRunAfter,
+  listSchedules,
+  getSchedule,
+  updateSchedule
+} = require('../storage/schedules');
+
+const MAX_SLEEP_MS = 60 * 1000;
+
+let started = false;
+let timer = null;
+let ticking = null;
+
+/**
+ * Whether a schedule's last job is still queued or running
+ */
+function isRunning(schedule) {
+  const job = schedule.last_job_id ? getJob(schedule.last_job_id) : null;
+  return !!job && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status);
+}
+
+/**
+ * Outcome of a scheduled run, kept as the schedule's last_result
+ */
+function summarizeResult(result, exported) {
+  const { meta } = result;
+
+  return {
+    status: getResultStatus(meta),
+    run_id: meta.run_id || null,
+    total_found: meta.total_found,
+    sources_used: meta.sources_used,
+    // Sources that were partial or failed
+    source_errors: (meta.errors || []).filter(outcome => outcome.status !== 'complete').length,
+    error: meta.error || undefined,
+    stopped_reason: meta.stopped_reason || undefined,
+    diff: meta.diff
+      ? { added: meta.diff.added, removed: meta.diff.removed, changed: meta.diff.changed }
+      : undefined,
+    execution_time_ms: meta.execution_time_ms,
+    finished_at: new Date().toISOString(),
+    export: exported || undefined
+  };
+}
+
+/**
+ * Job runner for a scheduled collection: run it, write the output destination, record the outcome
+ */
+async function runScheduled(scheduleId, params, controls) {
+  let result;
+
+  try {
+    result = await orchestrate(params, controls);
+  } catch (error) {
+    await updateSchedule(scheduleId, {
+      last_result: { status: 'failed', error: error.message, finished_at: new Date().toISOString() }
+    });
+    throw error;
+  }
+
+  // The schedule may have been deleted while it ran
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) return result;
+
+  let exported = null;
+  if (schedule.output && !result.meta.error) {
+    try {
+      const { path: filePath, ...written } = await saveExport(result, schedule.output);
+      exported = written;
+      logger.info(`Schedule ${schedule.id}: wrote ${written.rows} rows to ${filePath}`);
+    } catch (error) {
+      logger.error(`Schedule ${schedule.id}: could not write output:`, error.message);
+      exported = { error: error.message };
+    }
+  }
+
+  await updateSchedule(scheduleId, { last_result: summarizeResult(result, exported) });
+  return result;
+}
+
+/**
+ * Start a schedule's collection now, unless its previous run is still going
+ * @param {Object} schedule
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Object|null>} The job, or null if the run was skipped
+ */
+async function dispatchSchedule(schedule, now = Date.now()) {
+  const nextRunAt = nextRunAfter(schedule, now);
+
+  if (isRunning(schedule)) {
+    logger.warn(`Schedule ${schedule.id} (${schedule.name}): job ${schedule.last_job_id} is still running, skipping this run`);
+    await updateSchedule(schedule.id, {
+      next_run_at: nextRunAt,
+      skipped_count: schedule.skipped_count + 1,
+      last_skipped_at: new Date(now).toISOString()
+    });
+    return null;
+  }
+
+  const job = enqueueJob(
+    schedule.params,
+    withCallback(
+      (params, controls) => runScheduled(schedule.id, params, controls),
+      schedule.callback,
+      { scheduleId: schedule.id }
+    ),
+    { scheduleId: schedule.id }
+  );
+  logger.info(`Schedule ${schedule.id} (${schedule.name}): started job ${job.id}`);
+
+  await updateSchedule(schedule.id, {
+    next_run_at: nextRunAt,
+    last_run_at: new Date(now).toISOString(),
+    last_job_id: job.id,
+    run_count: schedule.run_count + 1
+  });
+  return job;
+}
+
+/**
+ * Start every active schedule whose next run is due
+ */
+async function runDueSchedules(now = Date.now()) {
+  for (const schedule of await listSchedules()) {
+    if (schedule.status !== SCHEDULE_STATUS.ACTIVE || !schedule.next_run_at) continue;
+    if (Date.parse(schedule.next_run_at) > now) continue;
+
+    try {
+      await dispatchSchedule(schedule, now);
+    } catch (error) {
+      logger.error(`Schedule ${schedule.id} could not be started:`, error.message);
+    }
+  }
+}
+
+/**
+ * Wake up after `delay` ms
+ */
+function armTimer(delay) {
+  clearTimeout(timer);
+  if (!started) return;
+
+  timer = setTimeout(() => {
+    tick().catch(error => logger.error('Scheduler tick failed:', error.message));
+  }, delay);
+  // The scheduler alone never keeps the process alive
+  timer.unref();
+}
+
+/**
+ * Set the timer for the earliest next run
+ */
+async function planWake() {
+  if (!started) return;
+
+  const upcoming = (await listSchedules())
+    .filter(schedule => schedule.status === SCHEDULE_STATUS.ACTIVE && schedule.next_run_at)
+    .map(schedule => Date.parse(schedule.next_run_at));
+  const delay = upcoming.length > 0
+    ? Math.min(Math.max(Math.min(...upcoming) - Date.now(), 0), MAX_SLEEP_MS)
+    : MAX_SLEEP_MS;
+
+  armTimer(delay);
+}
+
+/**
+ * Run due schedules and plan the next wake-up
+ * @returns {Promise<void>} Never rejects: a failure is logged and the timer re-armed
+ */
+async function tick() {
+  if (ticking) return ticking;
+
+  ticking = (async () => {
+    try {
+      await runDueSchedules();
+    } catch (error) {
+      logger.error('Scheduler tick failed:', error.message);
+    }
+
+    try {
+      await planWake();
+    } catch (error) {
+      // e.g. an unreadable schedules.json: try again in a minute
+      logger.error('Could not plan the next scheduler wake-up:', error.message);
+      armTimer(MAX_SLEEP_MS);
+    }
+  })().finally(() => {
+    ticking = null;
+  });
+
+  return ticking;
+}
+
+/**
+ * Start running schedules (called once the server is listening)
+ */
+function startScheduler() {
+  if (started) return;
+  started = true;
+  logger.info('Scheduler started');
+  tick().catch(error => logger.error('Scheduler tick failed:', error.message));
+}
+
+/**
+ * Stop the timer; jobs already started keep running
+ */
+function stopScheduler() {
+  started = false;
+  clearTimeout(timer);
+}
+
+/**
+ * Re-plan the timer after schedules change (created, resumed, deleted)
+ */
+function wakeScheduler() {
+  return started ? tick() : Promise.resolve();
+}
+
+/**
+ * Public representation of a schedule
+ */
+function serializeSchedule(schedule) {
+  return {
+    ...schedule,
+    running: isRunning(schedule)
+  };
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  wakeScheduler,
+  dispatchSchedule,
+  runDueSchedules,
+  serializeSchedule
+};
@@ -0,0 +1,475 @@
+// Delivers collection results to callback URLs (callback_url on POST /run, POST /jobs and schedules)
+// Each body is signed with HMAC-SHA256 over its raw bytes using WEBHOOK_SECRET, sent as
+// X-Collector-Signature: sha256=<hex>. Failed deliveries are retried with exponential backoff from the
+// delivery log (src/storage/deliveries.js), across restarts, and can be replayed by hand.
+// Results too large for one request go out in chunks, or as a signed link to a stored export.
+// Callbacks may not reach loopback, private or link-local addresses unless WEBHOOK_ALLOWED_HOSTS lists the host.
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const logger = require('../utils/logger');
+const { scheduleRequest } = require('../utils/request-scheduler');
+const { classifyError } = require('../utils/resilience');
+const { saveExport } = require('../storage/exports');
+const { getResultStatus, RUN_STATUS } = require('../storage/store');
+const {
+  DELIVERY_STATUS,
+  createDelivery,
+  updateDelivery,
+  getDeliveryBody,
+  listDeliveries,
+  getDelivery
+} = require('../storage/deliveries');
+
+const WEBHOOK_CONFIG = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBaseMs: (parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000,
+  retryMaxMs: 60 * 60 * 1000,
+  timeoutMs: 15000,
+  maxBodyBytes: parseInt(process.env.WEBHOOK_MAX_BODY_BYTES) || 1024 * 1024,
+  chunkRows: parseInt(process.env.WEBHOOK_CHUNK_ROWS) || 500,
+  linkTtlMs: (parseFloat(process.env.WEBHOOK_LINK_TTL_HOURS) || 168) * 60 * 60 * 1000
+};
+
+/**
+ * How a result is sent:
+ *   auto   - inline, or a link when the body exceeds WEBHOOK_MAX_BODY_BYTES
+ *   chunks - inline, or several deliveries of WEBHOOK_CHUNK_ROWS rows when too large
+ *   link   - always a link to a stored JSON export
+ */
+const CALLBACK_MODES = ['auto', 'chunks', 'link'];
+
+const MAX_SLEEP_MS = 60 * 1000;
+
+/**
+ * Networks a callback may not reach: unspecified, loopback, private (RFC 1918, unique local),
+ * carrier-grade NAT and link-local, which includes cloud metadata at 169.254.169.254
+ */
+const PRIVATE_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+let started = false;
+let timer = null;
+let planning = null;
+let planAgain = false;
+const inFlight = new Set();
+
+const hmac = value => crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(value).digest('hex');
+
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Hosts allowed to resolve to private addresses (WEBHOOK_ALLOWED_HOSTS), e.g. a receiver on the same network
+ */
+function isAllowedHost(hostname) {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .includes(hostname.replace(/^\[|\]$/g, '').toLowerCase());
+}
+
+/**
+ * Resolve a callback URL's host and refuse private and loopback addresses
+ * Run when a callback is accepted and again before every attempt, since the name may resolve elsewhere by then
+ * @returns {Promise<string|null>} Error message, or null if the host may be called
+ */
+async function checkCallbackHost(url) {
+  const { hostname } = new URL(url);
+  if (isAllowedHost(hostname)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch (error) {
+    return `callbackUrl host ${hostname} could not be resolved (${error.code || error.message})`;
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  return blocked
+    ? `callbackUrl host ${hostname} resolves to a private or loopback address (${blocked.address}); list it in WEBHOOK_ALLOWED_HOSTS to allow it`
+    : null;
+}
+
+/**
+ * Validate a callback before a collection is accepted
+ * @param {string} url
+ * @param {string} [mode='auto']
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateCallback(url, mode = 'auto') {
+  if (!process.env.WEBHOOK_SECRET) {
+    return 'Callbacks are disabled: set WEBHOOK_SECRET to sign them';
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return `callbackUrl is not a valid URL: ${url}`;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'callbackUrl must be an http or https URL';
+  }
+
+  if (!CALLBACK_MODES.includes(mode)) {
+    return `Unsupported callback mode "${mode}"; supported: ${CALLBACK_MODES.join(', ')}`;
+  }
+  return checkCallbackHost(url);
+}
+
+/**
+ * Signed, expiring URL for a stored export (served by GET /exports/:file)
+ */
+function exportLink(baseUrl, file) {
+  const expires = Math.floor((Date.now() + WEBHOOK_CONFIG.linkTtlMs) / 1000);
+  const signature = hmac(`${file}:${expires}`);
+
+  return {
+    url: `${baseUrl}/exports/${encodeURIComponent(file)}?expires=${expires}&signature=${signature}`,
+    expires_at: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Check the signature and expiry of an export link
+ */
+function verifyExportLink(file, expires, signature) {
+  if (!process.env.WEBHOOK_SECRET || !expires || !signature) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(hmac(`${file}:${expires}`));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Bodies to send for a result, each { body, mode, group_id?, chunk? }
+ */
+async function buildBodies(callback, result, envelope) {
+  const { meta, rows = [], diff } = result;
+
+  const inline = JSON.stringify({ ...envelope, meta, rows, diff });
+  if (callback.mode !== 'link' && Buffer.byteLength(inline) <= WEBHOOK_CONFIG.maxBodyBytes) {
+    return [{ body: inline, mode: 'inline' }];
+  }
+
+  if (callback.mode === 'chunks') {
+    const groupId = crypto.randomUUID();
+    const total = Math.max(1, Math.ceil(rows.length / WEBHOOK_CONFIG.chunkRows));
+
+    // diff lists are left out; meta.diff still carries the counts
+    return Array.from({ length: total }, (_, index) => {
+      const chunk = { index, total, rows_total: rows.length };
+      const slice = rows.slice(index * WEBHOOK_CONFIG.chunkRows, (index + 1) * WEBHOOK_CONFIG.chunkRows);
+      return {
+        body: JSON.stringify({ ...envelope, group_id: groupId, chunk, meta, rows: slice }),
+        mode: 'chunk',
+        group_id: groupId,
+        chunk
+      };
+    });
+  }
+
+  const { file, format, rows: rowCount, bytes } = await saveExport(result, { format: 'json' });
+  const link = exportLink(callback.base_url, file);
+  return [{
+    body: JSON.stringify({ ...envelope, meta, export: { ...link, format, rows: rowCount, bytes } }),
+    mode: 'link'
+  }];
+}
+
+/**
+ * Backoff before the next attempt: base * 2^(attempt - 1), capped
+ */
+function retryDelay(attempt) {
+  return Math.min(WEBHOOK_CONFIG.retryBaseMs * 2 ** (attempt - 1), WEBHOOK_CONFIG.retryMaxMs);
+}
+
+/**
+ * The first chunk before this one in its group that has not been delivered
+ */
+async function earlierChunk(delivery) {
+  if (!delivery.group_id) return null;
+
+  const group = await listDeliveries({ groupId: delivery.group_id, limit: Infinity });
+  return group
+    .filter(other => other.chunk.index < delivery.chunk.index && other.status !== DELIVERY_STATUS.DELIVERED)
+    .sort((a, b) => a.chunk.index - b.chunk.index)[0] || null;
+}
+
+/**
+ * Send a pending delivery once, and record the attempt
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {boolean} [options.inOrder=true] - Hold a chunk until the earlier chunks of its group are delivered
+ * @returns {Promise<Object|null>} The updated delivery
+ */
+async function attemptDelivery(id, { inOrder = true } = {}) {
+  if (inFlight.has(id)) return getDelivery(id);
+  inFlight.add(id);
+
+  try {
+    const delivery = await getDelivery(id);
+    if (!delivery || delivery.status !== DELIVERY_STATUS.PENDING) return delivery;
+
+    const body = await getDeliveryBody(id);
+    if (body === null) {
+      return updateDelivery(id, { status: DELIVERY_STATUS.FAILED, next_attempt_at: null, last_error: 'Body is missing' });
+    }
+
+    // A chunk waits for the earlier ones and is retried with them; if one of them failed, so does this one
+    const blocker = inOrder ? await earlierChunk(delivery) : null;
+    if (blocker?.status === DELIVERY_STATUS.PENDING) {
+      return updateDelivery(id, {
+        next_attempt_at: blocker.next_attempt_at,
+        last_error: `Waiting for chunk ${blocker.chunk.index} (${blocker.id})`
+      });
+    }
+    if (blocker) {
+      return updateDelivery(id, {
+        status: DELIVERY_STATUS.FAILED,
+        next_attempt_at: null,
+        last_error: `Chunk ${blocker.chunk.index} (${blocker.id}) failed`
+      });
+    }
+
+    const attemptCount = (delivery.attempt_count || 0) + 1;
+    const attempt = { attempted_at: new Date().toISOString(), status_code: null, error: null, duration_ms: 0 };
+    const startTime = Date.now();
+
+    const hostError = await checkCallbackHost(delivery.url);
+    if (hostError) {
+      logger.error(`Webhook ${delivery.id} not sent:`, hostError);
+      return updateDelivery(id, {
+        status: DELIVERY_STATUS.FAILED,
+        attempts: [...delivery.attempts, { ...attempt, error: hostError }],
+        attempt_count: attemptCount,
+        next_attempt_at: null,
+        last_error: hostError
+      });
+    }
+
+    try {
+      const response = await scheduleRequest({
+        method: 'post',
+        url: delivery.url,
+        data: body,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': process.env.USER_AGENT || 'RinglyProBusinessCollector/1.0',
+          'X-Collector-Event': delivery.event,
+          'X-Collector-Delivery': delivery.id,
+          'X-Collector-Signature': `sha256=${hmac(body)}`
+        },
+        timeout: WEBHOOK_CONFIG.timeoutMs,
+        // A redirect is a misconfigured receiver, not a delivery
+        maxRedirects: 0
+      });
+
+      attempt.status_code = response.status;
+      attempt.duration_ms = Date.now() - startTime;
+
+      logger.info(`Webhook ${delivery.id} delivered to ${delivery.url} (${response.status})`);
+      return updateDelivery(id, {
+        status: DELIVERY_STATUS.DELIVERED,
+        attempts: [...delivery.attempts, attempt],
+        attempt_count: attemptCount,
+        next_attempt_at: null,
+        delivered_at: new Date().toISOString(),
+        last_error: null
+      });
+    } catch (error) {
+      attempt.status_code = error.response ? error.response.status : null;
+      attempt.error = error.message;
+      attempt.duration_ms = Date.now() - startTime;
+
+      const retry = classifyError(error) === 'transient' && attemptCount < WEBHOOK_CONFIG.maxAttempts;
+      const nextAttemptAt = retry ? new Date(Date.now() + retryDelay(attemptCount)).toISOString() : null;
+
+      if (retry) {
+        logger.warn(`Webhook ${delivery.id} to ${delivery.url} failed (${error.message}), retrying at ${nextAttemptAt}`);
+      } else {
+        logger.error(`Webhook ${delivery.id} to ${delivery.url} failed after ${attemptCount} attempt(s):`, error.message);
+      }
+
+      return updateDelivery(id, {
+        status: retry ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED,
+        attempts: [...delivery.attempts, attempt],
+        attempt_count: attemptCount,
+        next_attempt_at: nextAttemptAt,
+        last_error: error.message
+      });
+    }
+  } finally {
+    inFlight.delete(id);
+    planRetries();
+  }
+}
+
+/**
+ * Send a finished collection's result to its callback
+ * @param {Object} callback - { url, mode, base_url }
+ * @param {Object} result - { meta, rows, diff }
+ * @param {Object} [context]
+ * @param {string} [context.jobId]
+ * @param {string} [context.scheduleId]
+ * @returns {Promise<Array>} The deliveries, in order
+ */
+async function deliverResult(callback, result, { jobId = null, scheduleId = null } = {}) {
+  const status = getResultStatus(result.meta);
+  const event = status === RUN_STATUS.FAILED ? 'collection.failed' : 'collection.completed';
+  const envelope = { event, status, job_id: jobId, run_id: result.meta.run_id || null, schedule_id: scheduleId };
+
+  const bodies = await buildBodies(callback, result, envelope);
+  const created = [];
+  for (const { body, ...details } of bodies) {
+    created.push(await createDelivery({
+      event,
+      url: callback.url,
+      job_id: jobId,
+      run_id: envelope.run_id,
+      schedule_id: scheduleId,
+      ...details
+    }, body));
+  }
+
+  // Chunks go out one after another; after one fails, the rest wait for its retries
+  const sent = [];
+  for (const delivery of created) {
+    sent.push(await attemptDelivery(delivery.id));
+  }
+
+  return sent;
+}
+
+/**
+ * Wrap a job runner so its result, or its failure, is delivered to a callback
+ * @param {Function} runner - async (params, controls) => result
+ * @param {Object|null} callback - { url, mode, base_url }
+ * @param {Object} [context] - { scheduleId }
+ */
+function withCallback(runner, callback, { scheduleId = null } = {}) {
+  if (!callback) return runner;
+
+  return async (params, controls) => {
+    const deliver = result => deliverResult(callback, result, { jobId: controls.jobId, scheduleId })
+      .catch(error => logger.error(`Could not deliver result to ${callback.url}:`, error.message));
+
+    try {
+      const result = await runner(params, controls);
+      deliver(result);
+      return result;
+    } catch (error) {
+      // orchestrate sets error.runId when the run was stored before it failed
+      deliver({ meta: { run_id: error.runId || null, error: error.message, category: params.category, geography: params.geography }, rows: [] });
+      throw error;
+    }
+  };
+}
+
+/**
+ * Re-send a delivery now with its original body, starting a fresh series of attempts
+ * A replayed chunk is sent whatever the state of the rest of its group
+ * @returns {Promise<Object|null>} The updated delivery, or null if not found
+ */
+async function replayDelivery(id) {
+  const delivery = await getDelivery(id);
+  if (!delivery) return null;
+
+  await updateDelivery(id, {
+    status: DELIVERY_STATUS.PENDING,
+    attempt_count: 0,
+    next_attempt_at: new Date().toISOString(),
+    replayed_at: new Date().toISOString(),
+    replay_count: (delivery.replay_count || 0) + 1
+  });
+  return attemptDelivery(id, { inOrder: false });
+}
+
+/**
+ * Set the timer for the earliest pending retry
+ * Calls made while a plan is being made are coalesced into one more, so only one timer is ever set
+ * @returns {Promise<void>} Never rejects
+ */
+function planRetries() {
+  if (planning) {
+    planAgain = true;
+    return planning;
+  }
+
+  planning = (async () => {
+    try {
+      do {
+        planAgain = false;
+        await planNextRetry();
+      } while (planAgain);
+    } catch (error) {
+      logger.error('Could not plan webhook retries:', error.message);
+    } finally {
+      // In the same tick as the last check of planAgain, so no call is missed
+      planning = null;
+    }
+  })();
+
+  return planning;
+}
+
+async function planNextRetry() {
+  if (!started) return;
+
+  const due = (await listDeliveries({ status: DELIVERY_STATUS.PENDING, limit: Infinity }))
+    .filter(delivery => !inFlight.has(delivery.id))
+    .map(delivery => Date.parse(delivery.next_attempt_at));
+
+  clearTimeout(timer);
+  if (due.length === 0) return;
+
+  timer = setTimeout(retryDue, Math.min(Math.max(Math.min(...due) - Date.now(), 0), MAX_SLEEP_MS));
+  // Retries alone never keep the process alive
+  timer.unref();
+}
+
+async function retryDue() {
+  try {
+    const pending = await listDeliveries({ status: DELIVERY_STATUS.PENDING, limit: Infinity });
+    const due = pending
+      .filter(delivery => Date.parse(delivery.next_attempt_at) <= Date.now())
+      // Oldest first, and a group's chunks in order
+      .sort((a, b) => a.created_at.localeCompare(b.created_at) || (a.chunk?.index ?? 0) - (b.chunk?.index ?? 0));
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery.id);
+    }
+  } catch (error) {
+    logger.error('Webhook retry pass failed:', error.message);
+  }
+  await planRetries();
+}
+
+/**
+ * Start retrying pending deliveries, including ones left over from before a restart
+ */
+function startWebhookDispatcher() {
+  if (started) return;
+  started = true;
+  planRetries();
+}
+
+module.exports = {
+  CALLBACK_MODES,
+  validateCallback,
+  verifyExportLink,
+  deliverResult,
+  withCallback,
+  replayDelivery,
+  startWebhookDispatcher
+};
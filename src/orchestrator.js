@@ -3,6 +3,10 @@ const logger = require('./utils/logger');
 const { deduplicateRecords, normalizeRecord } = require('./utils/deduplication');
 const { respectsRobotsTxt } = require('./utils/robots');
 const { collectFromAllSources } = require('./collectors');
+const store = require('./storage/store');
+const { loadCheckpoint, deleteCheckpoint, pruneCheckpoints, createCheckpointSession } = require('./storage/checkpoints');
+const { diffRows } = require('./utils/diff');
+const { flushUsage } = require('./storage/usage');
 
 // System prompt for the LLM agent
 const SYSTEM_PROMPT = `Role: You are a compliant, source-first web research and data-extraction agent.
@@ -188,36 +192,159 @@ function parseLLMResponse(response) {
   }
 }
 
+/**
+ * Record the start of a run in the store
+ * Storage problems are logged but never fail a collection
+ */
+async function startRunRecord(params) {
+  try {
+    return await store.createRun(params);
+  } catch (error) {
+    logger.warn('Could not record run start:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Load a stored run's checkpoint and mark the run as running again
+ * Unlike recording a new run this fails the collection: without the record or the
+ * checkpoint a resume would silently start over and pay for every query again
+ * @returns {Promise<Object>} { run, saved }
+ */
+async function resumeRunRecord(runId) {
+  const saved = await loadCheckpoint(runId);
+  if (!saved) {
+    throw new Error(`Run ${runId} has no checkpoint to resume from`);
+  }
+
+  const run = await store.resumeRun(runId);
+  if (!run) {
+    throw new Error(`Run ${runId} not found`);
+  }
+
+  return { run, saved };
+}
+
+/**
+ * Record a run's outcome and rows in the store
+ */
+async function finishRunRecord(run, result) {
+  if (!run) return;
+
+  try {
+    await store.finishRun(run.id, result);
+  } catch (error) {
+    logger.warn(`Could not record outcome of run ${run.id}:`, error.message);
+  }
+}
+
+/**
+ * Attach a diff against a baseline run (explicit `since` run id, or the
+ * previous completed run for the same category + geography in delta mode)
+ */
+async function attachDiff(result, params, run) {
+  const baseline = params.since
+    ? await store.getRun(params.since)
+    : await store.findPreviousRun(params, { excludeRunId: run?.id });
+
+  if (params.since && !baseline) {
+    throw new Error(`Baseline run ${params.since} not found`);
+  }
+
+  const baselineRows = baseline ? (await store.getRunRows(baseline.id)) || [] : [];
+  // Matched on the store's business key rather than the bare deduplication key: it prefers the place id
+  // or registry number, so a business whose phone or website changed shows up as changed, not as a
+  // removal plus an addition (the deduplication key is built from the website, or the name, phone and ZIP)
+  const diff = diffRows(baselineRows, result.rows, store.getBusinessKey);
+
+  result.diff = {
+    baseline_run_id: baseline ? baseline.id : null,
+    added: diff.added,
+    removed: diff.removed,
+    changed: diff.changed
+  };
+  result.meta.diff = {
+    baseline_run_id: baseline ? baseline.id : null,
+    baseline_generated_at: baseline?.meta?.generated_at || null,
+    ...diff.summary
+  };
+
+  if (!baseline) {
+    result.meta.diff.note = 'No previous run for this category and geography; every row is reported as added';
+  }
+}
+
 /**
  * Main orchestration function
  * Now uses REAL data collectors (Google Places, OpenCorporates) instead of pure LLM
+ * Every run is recorded in the local store (see src/storage/store.js)
+ * @param {Object} params - Collection parameters
+ * @param {Array<string>} [params.sources] - Collectors to run (see src/collectors/registry.js)
+ * @param {Array<string>} [params.enrich] - Enrichment stages to run after deduplication
+ * @param {string} [params.strategy] - Search strategy: "queries" (default) or "tiles" (geo-tiling)
+ * @param {boolean} [params.requireValidPhone] - Only return rows with a valid phone
+ * @param {number} [params.minConfidence] - Only return rows with at least this confidence (0-1)
+ * @param {string} [params.cache] - "refresh" skips cached API responses, "bypass" also skips storing them
+ * @param {string} [params.since] - Baseline run id to diff against
+ * @param {string} [params.mode] - 'delta' diffs against the previous run for the same category + geography
+ * @param {Object} [options] - Execution controls
+ * @param {AbortSignal} [options.signal] - Cancels the collection between pages
+ * @param {Function} [options.onProgress] - Receives collector progress events
+ * @param {string} [options.resumeRunId] - Continue this stored run from its checkpoint instead of starting a new one;
+ *   throws if the run or its checkpoint is gone
  */
-async function orchestrate(params) {
+async function orchestrate(params, { signal, onProgress, resumeRunId } = {}) {
   const startTime = Date.now();
-  logger.info('Orchestration started', params);
+  logger.info(resumeRunId ? `Resuming run ${resumeRunId}` : 'Orchestration started', params);
+
+  // Checkpoints left by runs that were never resumed expire; the one being resumed is kept
+  await pruneCheckpoints({ keepRunId: resumeRunId }).catch(error => {
+    logger.warn('Could not prune checkpoints:', error.message);
+  });
+
+  const resumed = resumeRunId ? await resumeRunRecord(resumeRunId) : null;
+  const run = resumed ? resumed.run : await startRunRecord(params);
+  // Progress is checkpointed as it is made, so an interrupted run can be resumed
+  const checkpoint = run ? createCheckpointSession(run.id, resumed?.saved || null) : null;
+  let result;
 
   try {
-    const { category, geography, maxResults = 100 } = params;
+    const { category, geography, maxResults = 100, sources, enrich, strategy, requireValidPhone, minConfidence, cache } = params;
 
     // Use real data collectors to fetch actual business data
     logger.info(`Collecting real business data for: ${category} in ${geography}`);
-    const result = await collectFromAllSources({
+    result = await collectFromAllSources({
       category,
       geography,
-      maxResults
+      maxResults,
+      sources,
+      enrich,
+      strategy,
+      requireValidPhone,
+      minConfidence,
+      cache,
+      signal,
+      onProgress,
+      checkpoint
     });
 
+    if (checkpoint?.resumed) {
+      result.meta.checkpoint = checkpoint.summary();
+    }
+
     // Add execution metadata
     result.meta.orchestrator_version = '2.0.0';
     result.meta.method = 'real-data-collection';
 
+    if (params.since || params.mode === 'delta') {
+      await attachDiff(result, params, run);
+    }
+
     logger.info('Orchestration completed successfully', {
       totalRecords: result.meta.total_found,
       executionTime: result.meta.execution_time_ms,
       sources: result.meta.sources_used
     });
-
-    return result;
   } catch (error) {
     logger.error('Orchestration failed', {
       error: error.message,
@@ -226,7 +353,7 @@ async function orchestrate(params) {
     });
 
     // Return error in expected format
-    return {
+    result = {
       meta: {
         category: params.category,
         geography: params.geography,
@@ -239,6 +366,29 @@ async function orchestrate(params) {
       rows: []
     };
   }
+
+  if (run) {
+    result.meta.run_id = run.id;
+  }
+  await finishRunRecord(run, result);
+  // The ledger is otherwise written on a timer; a run's calls are on disk once it returns
+  await flushUsage();
+
+  if (checkpoint) {
+    try {
+      await checkpoint.flush();
+      // A completed run has nothing left to resume
+      if (run.status === store.RUN_STATUS.COMPLETED) {
+        await deleteCheckpoint(run.id);
+      }
+    } catch (error) {
+      // The run is already stored; callers report its id with the failure (e.g. callback payloads)
+      error.runId = run.id;
+      throw error;
+    }
+  }
+
+  return result;
 }
 
 module.exports = { orchestrate, buildUserPrompt, SYSTEM_PROMPT };
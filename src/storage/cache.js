@@ -0,0 +1,303 @@
+// Response cache for paid API calls (Google Places Text Search, searchText and Details)
+// Backends share one interface - get(key) -> { value, expires_at } | null, set(key, value, ttlMs) -
+// so a shared store (e.g. Redis) can be plugged in with setResponseCache().
+// Default: an in-memory LRU in front of one JSON file per entry under DATA_DIR/cache.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { DATA_DIR } = require('./store');
+const { readJson, writeJson } = require('./json-file');
+
+const CACHE_DIR = path.resolve(process.env.CACHE_DIR || path.join(DATA_DIR, 'cache'));
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Time to live per endpoint
+ */
+const CACHE_TTLS = {
+  textsearch: (parseFloat(process.env.CACHE_TEXTSEARCH_TTL_HOURS) || 24) * HOUR_MS,
+  // Places API (New) searchText: search results with contact details, same lifetime as Text Search
+  searchtext: (parseFloat(process.env.CACHE_TEXTSEARCH_TTL_HOURS) || 24) * HOUR_MS,
+  details: (parseFloat(process.env.CACHE_DETAILS_TTL_HOURS) || 168) * HOUR_MS
+};
+
+// `cache` request option: use (default) reads and writes, refresh skips reads, bypass skips both
+const CACHE_MODES = ['use', 'refresh', 'bypass'];
+
+/**
+ * In-memory LRU: a Map keeps insertion order, so re-inserting on read makes the first key the least recent
+ */
+function createMemoryCache({ maxEntries = parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES) || 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (entry.expires_at <= Date.now()) return null;
+
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expires_at: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * On-disk store: one JSON file per entry, so runs in other processes and after restarts share it
+ * Expired entries are removed on read and by a prune pass at most every `pruneIntervalMs` (run from set),
+ * which also keeps the store to `maxEntries` by evicting the least recently written entries.
+ */
+function createDiskCache({
+  dir = CACHE_DIR,
+  maxEntries = parseInt(process.env.CACHE_DISK_MAX_ENTRIES) || 50000,
+  pruneIntervalMs = (parseFloat(process.env.CACHE_PRUNE_INTERVAL_MINUTES) || 60) * 60 * 1000
+} = {}) {
+  let ready = null;
+  let pruning = null;
+  let lastPrunedAt = 0;
+  const fileFor = key => path.join(dir, `${key.replace(/[^\w-]/g, '_')}.json`);
+  const remove = file => fs.promises.unlink(file).catch(() => {});
+
+  /**
+   * Delete expired and unreadable entries, then the oldest ones over maxEntries
+   * @returns {Promise<Object>} { expired, evicted, entries }
+   */
+  const prune = async () => {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { expired: 0, evicted: 0, entries: 0 };
+      throw error;
+    }
+
+    const now = Date.now();
+    const live = [];
+    let expired = 0;
+
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const file = path.join(dir, name);
+      try {
+        const entry = await readJson(file, null);
+        if (entry && entry.expires_at > now) {
+          live.push({ file, writtenAt: (await fs.promises.stat(file)).mtimeMs });
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        // Unreadable (e.g. truncated by hand): treated as expired
+      }
+
+      await remove(file);
+      expired++;
+    }
+
+    const excess = live.sort((a, b) => a.writtenAt - b.writtenAt).slice(0, Math.max(0, live.length - maxEntries));
+    await Promise.all(excess.map(({ file }) => remove(file)));
+
+    if (expired + excess.length > 0) {
+      logger.info(`Disk cache pruned: ${expired} expired, ${excess.length} evicted, ${live.length - excess.length} left`);
+    }
+    return { expired, evicted: excess.length, entries: live.length - excess.length };
+  };
+
+  return {
+    name: 'disk',
+
+    async get(key) {
+      const entry = await readJson(fileFor(key), null);
+      if (!entry) return null;
+
+      if (entry.expires_at <= Date.now()) {
+        await remove(fileFor(key));
+        return null;
+      }
+
+      return entry;
+    },
+
+    async set(key, value, ttlMs) {
+      if (!ready) ready = fs.promises.mkdir(dir, { recursive: true });
+      await ready;
+      await writeJson(fileFor(key), { value, expires_at: Date.now() + ttlMs });
+
+      // In the background: a write never waits for a prune pass
+      if (!pruning && Date.now() - lastPrunedAt >= pruneIntervalMs) {
+        lastPrunedAt = Date.now();
+        pruning = prune()
+          .catch(error => logger.warn('Disk cache prune failed:', error.message))
+          .finally(() => {
+            pruning = null;
+          });
+      }
+    },
+
+    /**
+     * Run a prune pass now (waits for one already running)
+     */
+    async prune() {
+      if (pruning) await pruning;
+      lastPrunedAt = Date.now();
+      return prune();
+    }
+  };
+}
+
+/**
+ * Layered cache: reads go through the layers in order and hits are copied into the faster layers above
+ */
+function createTieredCache(layers) {
+  return {
+    name: layers.map(layer => layer.name).join('+'),
+
+    async get(key) {
+      for (let index = 0; index < layers.length; index++) {
+        const entry = await layers[index].get(key);
+        if (!entry) continue;
+
+        const ttlMs = entry.expires_at - Date.now();
+        await Promise.all(layers.slice(0, index).map(layer => layer.set(key, entry.value, ttlMs)));
+        return entry;
+      }
+
+      return null;
+    },
+
+    async set(key, value, ttlMs) {
+      await Promise.all(layers.map(layer => layer.set(key, value, ttlMs)));
+    }
+  };
+}
+
+let responseCache = null;
+
+/**
+ * The process-wide cache, built from RESPONSE_CACHE ("memory,disk" by default; "memory", "disk" or "off")
+ * @returns {Object|null} null when caching is off
+ */
+function getResponseCache() {
+  if (responseCache !== null) return responseCache || null;
+
+  const backends = { memory: createMemoryCache, disk: createDiskCache };
+  const names = (process.env.RESPONSE_CACHE || 'memory,disk')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => backends[name]);
+
+  responseCache = names.length > 0 ? createTieredCache(names.map(name => backends[name]())) : false;
+  return responseCache || null;
+}
+
+/**
+ * Replace the process-wide cache (e.g. with a shared store); null turns caching off
+ */
+function setResponseCache(cache) {
+  responseCache = cache || false;
+}
+
+/**
+ * Cache key for an endpoint call: endpoint plus a hash of its parameters in a stable order
+ * (the API key is never part of the key)
+ */
+function getCacheKey(endpoint, params) {
+  const stable = Object.keys(params)
+    .filter(name => name !== 'key' && params[name] !== undefined)
+    .sort()
+    .map(name => [name, params[name]]);
+  const hash = crypto.createHash('sha1').update(JSON.stringify(stable)).digest('hex');
+
+  return `${endpoint}-${hash}`;
+}
+
+/**
+ * Per-run view of the cache that applies the request's `cache` mode and counts hits and misses
+ * Cache failures are logged and treated as misses; they never fail a collection.
+ * @param {string} [mode='use'] - "use", "refresh" or "bypass"
+ */
+function createCacheSession(mode = 'use') {
+  const cache = getResponseCache();
+  const stats = {};
+
+  const count = (endpoint, outcome) => {
+    if (!stats[endpoint]) stats[endpoint] = { hits: 0, misses: 0 };
+    stats[endpoint][outcome]++;
+  };
+
+  return {
+    mode,
+
+    /**
+     * @returns {Promise<*>} Cached response, or null on a miss
+     */
+    async get(endpoint, params) {
+      if (!cache || mode !== 'use') {
+        count(endpoint, 'misses');
+        return null;
+      }
+
+      try {
+        const entry = await cache.get(getCacheKey(endpoint, params));
+        count(endpoint, entry ? 'hits' : 'misses');
+        return entry ? entry.value : null;
+      } catch (error) {
+        logger.warn(`Cache read failed for ${endpoint}:`, error.message);
+        count(endpoint, 'misses');
+        return null;
+      }
+    },
+
+    async set(endpoint, params, value) {
+      if (!cache || mode === 'bypass') return;
+
+      try {
+        await cache.set(getCacheKey(endpoint, params), value, CACHE_TTLS[endpoint] || HOUR_MS);
+      } catch (error) {
+        logger.warn(`Cache write failed for ${endpoint}:`, error.message);
+      }
+    },
+
+    /**
+     * Counts reported in meta.cache; every hit is an API call not made
+     */
+    summary() {
+      const endpoints = Object.values(stats);
+      const hits = endpoints.reduce((sum, endpoint) => sum + endpoint.hits, 0);
+      const misses = endpoints.reduce((sum, endpoint) => sum + endpoint.misses, 0);
+
+      return {
+        mode,
+        backend: cache ? cache.name : 'off',
+        hits,
+        misses,
+        hit_rate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : 0,
+        estimated_calls_saved: hits,
+        by_endpoint: stats
+      };
+    }
+  };
+}
+
+module.exports = {
+  CACHE_MODES,
+  CACHE_TTLS,
+  createMemoryCache,
+  createDiskCache,
+  createTieredCache,
+  getResponseCache,
+  setResponseCache,
+  createCacheSession
+};
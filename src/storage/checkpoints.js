@@ -0,0 +1,168 @@
+// Run checkpoints, so an interrupted collection can be resumed instead of paying for the same queries again
+// One file per run under DATA_DIR/checkpoints: for each source, whether it finished and, if not, the
+// collector's own progress (queries left, current page token or page, rows collected so far).
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { DATA_DIR } = require('./store');
+const { readJson, writeJson } = require('./json-file');
+
+const CHECKPOINT_DIR = path.join(DATA_DIR, 'checkpoints');
+
+// Checkpoints not written for this long are dropped; their runs can no longer be resumed
+const RETENTION_MS = (parseFloat(process.env.CHECKPOINT_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const fileFor = runId => path.join(CHECKPOINT_DIR, `${runId}.json`);
+
+/**
+ * Read a run's checkpoint
+ * @returns {Promise<Object|null>} { run_id, updated_at, sources: { name: { done, observed_at, state } } }
+ */
+async function loadCheckpoint(runId) {
+  return readJson(fileFor(runId), null);
+}
+
+/**
+ * Remove a run's checkpoint (once the run has completed)
+ */
+async function deleteCheckpoint(runId) {
+  await fs.promises.unlink(fileFor(runId)).catch(error => {
+    if (error.code !== 'ENOENT') logger.warn(`Could not delete checkpoint for run ${runId}:`, error.message);
+  });
+}
+
+/**
+ * Drop checkpoints past the retention window
+ * Completed runs delete their own; this clears those left by failed, cancelled,
+ * stopped and interrupted runs that were never resumed.
+ * @param {Object} [options]
+ * @param {string} [options.keepRunId] - Run whose checkpoint is kept regardless of age
+ * @returns {Promise<number>} Checkpoints removed
+ */
+async function pruneCheckpoints({ keepRunId = null } = {}) {
+  const cutoff = Date.now() - RETENTION_MS;
+  const names = await fs.promises.readdir(CHECKPOINT_DIR).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  let removed = 0;
+  for (const name of names) {
+    if (!name.endsWith('.json') || name === `${keepRunId}.json`) continue;
+
+    const file = path.join(CHECKPOINT_DIR, name);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (!stat || stat.mtimeMs >= cutoff) continue;
+
+    await fs.promises.unlink(file).catch(() => {});
+    removed++;
+  }
+
+  if (removed > 0) logger.info(`Dropped ${removed} checkpoint(s) older than the retention window`);
+  return removed;
+}
+
+/**
+ * Checkpoint writer for one run
+ * Every save writes the whole checkpoint; saves made while a write is in progress are
+ * coalesced into one more write, so the file always ends with the latest state.
+ * @param {string} runId
+ * @param {Object} [saved] - Checkpoint to continue from (loadCheckpoint), or null for a fresh run
+ */
+function createCheckpointSession(runId, saved = null) {
+  const data = saved || { run_id: runId, sources: {} };
+  let writing = null;
+  let again = false;
+
+  const flush = () => {
+    if (writing) {
+      again = true;
+      return writing;
+    }
+
+    writing = (async () => {
+      do {
+        again = false;
+        await fs.promises.mkdir(CHECKPOINT_DIR, { recursive: true });
+        await writeJson(fileFor(runId), { ...data, updated_at: new Date().toISOString() });
+      } while (again);
+    })()
+      .catch(error => {
+        logger.error(`Failed to write checkpoint for run ${runId}:`, error.message);
+      })
+      .finally(() => {
+        writing = null;
+      });
+
+    return writing;
+  };
+
+  return {
+    runId,
+    resumed: !!saved,
+
+    /**
+     * Progress of one source
+     * @param {string} name - Collector name
+     * @returns {Object} { done, state, observedAt, save(state), complete(result) }
+     */
+    source(name) {
+      if (!data.sources[name]) {
+        data.sources[name] = { done: false, observed_at: new Date().toISOString(), state: null };
+      }
+      const entry = data.sources[name];
+
+      return {
+        get done() {
+          return entry.done;
+        },
+        // The collector's progress as it last saved it; its shape is up to the collector
+        get state() {
+          return entry.state;
+        },
+        // When the source was first searched; restored rows keep it in their provenance
+        get observedAt() {
+          return entry.observed_at;
+        },
+        save(state) {
+          entry.state = state;
+          flush();
+        },
+        // A finished source is not searched again: { rows, coverage, outcome }
+        complete(result) {
+          entry.done = true;
+          entry.state = result;
+          flush();
+        }
+      };
+    },
+
+    /**
+     * Wait for pending writes
+     */
+    async flush() {
+      if (writing) await writing;
+    },
+
+    /**
+     * Reported in meta.checkpoint
+     */
+    summary() {
+      return {
+        resumed: !!saved,
+        sources: Object.fromEntries(Object.entries(data.sources).map(([name, entry]) => [name, {
+          done: entry.done,
+          rows: entry.state?.rows?.length || 0
+        }]))
+      };
+    }
+  };
+}
+
+module.exports = {
+  CHECKPOINT_DIR,
+  loadCheckpoint,
+  deleteCheckpoint,
+  pruneCheckpoints,
+  createCheckpointSession
+};
@@ -0,0 +1,168 @@
+// Webhook delivery log (DATA_DIR/deliveries.json), with each delivery's body in DATA_DIR/deliveries/<id>.json
+// The body is kept exactly as first sent, so retries and replays carry the same bytes and signature.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { DATA_DIR } = require('./store');
+const { readJson, writeJson } = require('./json-file');
+
+const DELIVERIES_FILE = path.join(DATA_DIR, 'deliveries.json');
+const PAYLOAD_DIR = path.join(DATA_DIR, 'deliveries');
+
+// Finished deliveries older than this are dropped from the log
+const RETENTION_MS = (parseFloat(process.env.WEBHOOK_LOG_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+let deliveries = null;
+let loading = null;
+let writeChain = Promise.resolve();
+
+const payloadFile = id => path.join(PAYLOAD_DIR, `${id}.json`);
+
+/**
+ * Load the log into memory (once)
+ */
+async function load() {
+  if (deliveries) return deliveries;
+
+  if (!loading) {
+    loading = (async () => {
+      await fs.promises.mkdir(PAYLOAD_DIR, { recursive: true });
+      deliveries = await readJson(DELIVERIES_FILE, []);
+      return deliveries;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+/**
+ * Persist the log; writes are serialized
+ */
+function persist() {
+  writeChain = writeChain
+    .then(() => writeJson(DELIVERIES_FILE, deliveries))
+    .catch(error => {
+      logger.error('Failed to persist delivery log:', error.message);
+    });
+
+  return writeChain;
+}
+
+/**
+ * Drop finished deliveries past the retention window, with their bodies
+ */
+async function pruneDeliveries() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const expired = deliveries.filter(delivery =>
+    delivery.status !== DELIVERY_STATUS.PENDING && Date.parse(delivery.created_at) < cutoff);
+
+  if (expired.length === 0) return;
+
+  deliveries = deliveries.filter(delivery => !expired.includes(delivery));
+  await Promise.all(expired.map(delivery => fs.promises.unlink(payloadFile(delivery.id)).catch(() => {})));
+}
+
+/**
+ * Record a new delivery and its body
+ * @param {Object} delivery - { event, url, job_id, run_id, schedule_id, group_id, chunk, mode }
+ * @param {string} body - JSON body to send
+ * @returns {Promise<Object>} The delivery, pending
+ */
+async function createDelivery(delivery, body) {
+  await load();
+  await pruneDeliveries();
+
+  const record = {
+    id: crypto.randomUUID(),
+    status: DELIVERY_STATUS.PENDING,
+    ...delivery,
+    bytes: Buffer.byteLength(body),
+    attempts: [],
+    // Attempts since the delivery was created or last replayed
+    attempt_count: 0,
+    last_error: null,
+    next_attempt_at: new Date().toISOString(),
+    created_at: new Date().toISOString(),
+    delivered_at: null
+  };
+
+  await fs.promises.writeFile(payloadFile(record.id), body);
+  deliveries.push(record);
+  await persist();
+
+  return record;
+}
+
+/**
+ * Apply changes to a delivery and persist them
+ */
+async function updateDelivery(id, changes) {
+  await load();
+
+  const delivery = deliveries.find(d => d.id === id);
+  if (!delivery) return null;
+
+  Object.assign(delivery, changes);
+  await persist();
+  return delivery;
+}
+
+/**
+ * The body a delivery sends
+ * @returns {Promise<string|null>}
+ */
+async function getDeliveryBody(id) {
+  try {
+    return await fs.promises.readFile(payloadFile(id), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * List deliveries, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending | delivered | failed
+ * @param {string} [filters.jobId]
+ * @param {string} [filters.scheduleId]
+ * @param {string} [filters.groupId] - Chunks of one result
+ * @param {number} [filters.limit=50]
+ */
+async function listDeliveries({ status, jobId, scheduleId, groupId, limit = 50 } = {}) {
+  await load();
+
+  return deliveries
+    .filter(delivery => !status || delivery.status === status)
+    .filter(delivery => !jobId || delivery.job_id === jobId)
+    .filter(delivery => !scheduleId || delivery.schedule_id === scheduleId)
+    .filter(delivery => !groupId || delivery.group_id === groupId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+/**
+ * Get a single delivery
+ */
+async function getDelivery(id) {
+  await load();
+  return deliveries.find(delivery => delivery.id === id) || null;
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  createDelivery,
+  updateDelivery,
+  getDeliveryBody,
+  listDeliveries,
+  getDelivery
+};
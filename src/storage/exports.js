@@ -0,0 +1,88 @@
+// Collection results written to files under EXPORT_DIR (output destinations of scheduled runs,
+// and results too large to send inline to a callback)
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+const { SUPPORTED_FORMATS, resultSlug, formatResult } = require('../utils/export');
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || path.join(DATA_DIR, 'exports'));
+
+// Names saveExport() produces; anything else is not served
+const EXPORT_FILE_PATTERN = /^[a-z0-9-]+\.(json|csv|ndjson)$/;
+
+const slugify = text => String(text)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+/**
+ * Validate an output destination
+ * @param {Object} output - { format, name }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateOutput(output) {
+  if (typeof output !== 'object' || Array.isArray(output)) {
+    return 'output must be an object: { "format": "csv" | "json" | "ndjson", "name": "optional file name" }';
+  }
+  if (output.format && !SUPPORTED_FORMATS.includes(output.format)) {
+    return `Unsupported output format "${output.format}"; supported: ${SUPPORTED_FORMATS.join(', ')}`;
+  }
+  if (output.name !== undefined && !slugify(output.name)) {
+    return 'output.name must contain letters or digits';
+  }
+  return null;
+}
+
+/**
+ * Write a result to a new file, e.g. exports/plumbers-florida-2026-10-19T09-00-00-000Z.csv
+ * @param {Object} result - { meta, rows }
+ * @param {Object} [output]
+ * @param {string} [output.format='csv'] - json | csv | ndjson
+ * @param {string} [output.name] - File name stem; defaults to category and geography
+ * @returns {Promise<Object>} { file, path, format, rows, bytes, created_at }
+ */
+async function saveExport(result, { format = 'csv', name } = {}) {
+  const createdAt = new Date().toISOString();
+  const stem = name ? slugify(name) : resultSlug(result.meta);
+  const file = `${stem}-${createdAt.replace(/[:.]/g, '-')}.${format}`;
+  const target = path.join(EXPORT_DIR, file);
+  const content = await formatResult(result, format);
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  // Temp file + rename, like writeJson, so a reader never sees half an export
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, content);
+  await fs.promises.rename(tmp, target);
+
+  return {
+    file,
+    path: target,
+    format,
+    rows: result.rows.length,
+    bytes: Buffer.byteLength(content),
+    created_at: createdAt
+  };
+}
+
+/**
+ * Path of a stored export by file name
+ * @returns {Promise<string|null>} Absolute path, or null if the name is not an export or does not exist
+ */
+async function getExportPath(file) {
+  if (!EXPORT_FILE_PATTERN.test(file)) return null;
+
+  const target = path.join(EXPORT_DIR, file);
+  try {
+    await fs.promises.access(target);
+    return target;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  EXPORT_DIR,
+  validateOutput,
+  saveExport,
+  getExportPath
+};
@@ -0,0 +1,29 @@
+// JSON file helpers shared by the file-backed stores
+const fs = require('fs');
+
+/**
+ * Read a JSON file, returning a fallback if it does not exist
+ */
+async function readJson(file, fallback) {
+  try {
+    const content = await fs.promises.readFile(file, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never leaves a truncated file
+ */
+async function writeJson(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data));
+  await fs.promises.rename(tmp, file);
+}
+
+module.exports = {
+  readJson,
+  writeJson
+};
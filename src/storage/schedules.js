@@ -0,0 +1,180 @@
+// File-backed recurring collection schedules (DATA_DIR/schedules.json)
+// Each schedule holds a cron expression, the collection params of POST /run and an optional
+// output destination and callback, plus the times and outcome of its last run. src/jobs/scheduler.js runs them.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { DATA_DIR } = require('./store');
+const { readJson, writeJson } = require('./json-file');
+const { parseCron, nextCronTime } = require('../utils/cron');
+
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+
+const SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused'
+};
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+let schedules = null;
+let loading = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Load schedules into memory (once)
+ */
+async function load() {
+  if (schedules) return schedules;
+
+  if (!loading) {
+    loading = (async () => {
+      schedules = await readJson(SCHEDULES_FILE, []);
+      logger.info(`Loaded ${schedules.length} schedules`);
+      return schedules;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+/**
+ * Persist schedules; writes are serialized
+ */
+function persist() {
+  writeChain = writeChain
+    .then(() => fs.promises.mkdir(DATA_DIR, { recursive: true }))
+    .then(() => writeJson(SCHEDULES_FILE, schedules))
+    .catch(error => {
+      logger.error('Failed to persist schedules:', error.message);
+    });
+
+  return writeChain;
+}
+
+/**
+ * Next run of a schedule after a time, as an ISO string (null if the expression never matches)
+ */
+function nextRunAfter(schedule, after = Date.now()) {
+  const next = nextCronTime(parseCron(schedule.cron), after, schedule.timezone);
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Create a schedule
+ * @param {Object} definition
+ * @param {string} definition.cron - Cron expression (src/utils/cron.js)
+ * @param {string} [definition.timezone] - IANA time zone the expression is read in (SCHEDULE_TIMEZONE, default UTC)
+ * @param {string} [definition.name]
+ * @param {Object} definition.params - Collection parameters, as passed to orchestrate()
+ * @param {Object} [definition.output] - Output destination: { format, name } (src/storage/exports.js)
+ * @param {Object} [definition.callback] - Where to send each result: { url, mode, base_url } (src/jobs/webhooks.js)
+ * @returns {Promise<Object>} The schedule
+ */
+async function createSchedule({ cron, timezone = DEFAULT_TIMEZONE, name, params, output = null, callback = null }) {
+  await load();
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: crypto.randomUUID(),
+    name: name || `${params.category} in ${params.geography}`,
+    cron,
+    timezone,
+    params,
+    output,
+    callback,
+    status: SCHEDULE_STATUS.ACTIVE,
+    created_at: now,
+    updated_at: now,
+    next_run_at: null,
+    last_run_at: null,
+    last_job_id: null,
+    last_result: null,
+    run_count: 0,
+    skipped_count: 0,
+    last_skipped_at: null
+  };
+  schedule.next_run_at = nextRunAfter(schedule);
+
+  schedules.push(schedule);
+  await persist();
+
+  return schedule;
+}
+
+/**
+ * List schedules, oldest first
+ */
+async function listSchedules() {
+  await load();
+  return schedules.slice();
+}
+
+/**
+ * Get a single schedule
+ */
+async function getSchedule(id) {
+  await load();
+  return schedules.find(schedule => schedule.id === id) || null;
+}
+
+/**
+ * Apply changes to a schedule and persist them
+ * @returns {Promise<Object|null>} The updated schedule, or null if not found
+ */
+async function updateSchedule(id, changes) {
+  await load();
+
+  const schedule = schedules.find(s => s.id === id);
+  if (!schedule) return null;
+
+  Object.assign(schedule, changes, { updated_at: new Date().toISOString() });
+  await persist();
+
+  return schedule;
+}
+
+/**
+ * Pause or resume a schedule; resuming plans its next run from now, so runs missed while paused are skipped
+ * @param {string} id
+ * @param {string} status - SCHEDULE_STATUS.ACTIVE or SCHEDULE_STATUS.PAUSED
+ */
+async function setScheduleStatus(id, status) {
+  const schedule = await getSchedule(id);
+  if (!schedule) return null;
+
+  return updateSchedule(id, {
+    status,
+    next_run_at: status === SCHEDULE_STATUS.ACTIVE ? nextRunAfter(schedule) : null
+  });
+}
+
+/**
+ * Delete a schedule
+ * @returns {Promise<boolean>} Whether it existed
+ */
+async function deleteSchedule(id) {
+  await load();
+
+  const index = schedules.findIndex(schedule => schedule.id === id);
+  if (index === -1) return false;
+
+  schedules.splice(index, 1);
+  await persist();
+  return true;
+}
+
+module.exports = {
+  SCHEDULE_STATUS,
+  DEFAULT_TIMEZONE,
+  nextRunAfter,
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  setScheduleStatus,
+  deleteSchedule
+};
@@ -0,0 +1,313 @@
+// File-backed business store with run history
+// Layout under DATA_DIR:
+//   runs.json        - run index (params, timestamps, meta, errors)
+//   businesses.json  - every business ever collected, keyed by business key
+//   runs/<id>.json   - rows returned by each run (snapshot)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getDeduplicationKey } = require('../utils/deduplication');
+const { readJson, writeJson } = require('./json-file');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data'));
+const RUNS_FILE = path.join(DATA_DIR, 'runs.json');
+const BUSINESSES_FILE = path.join(DATA_DIR, 'businesses.json');
+const RUN_ROWS_DIR = path.join(DATA_DIR, 'runs');
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  // Stopped early by a usage budget; partial, so never used as a delta baseline
+  STOPPED: 'stopped',
+  // Still running when the process exited; resumable from its checkpoint
+  INTERRUPTED: 'interrupted'
+};
+
+/**
+ * Statuses a run can be resumed from (POST /runs/:id/resume)
+ */
+const RESUMABLE_STATUSES = [RUN_STATUS.INTERRUPTED, RUN_STATUS.CANCELLED, RUN_STATUS.STOPPED, RUN_STATUS.FAILED];
+
+let state = null;
+let loading = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Status of a finished run, from its result meta
+ */
+function getResultStatus(meta) {
+  if (meta.error) return RUN_STATUS.FAILED;
+  if (meta.cancelled) return RUN_STATUS.CANCELLED;
+  if (meta.stopped_reason) return RUN_STATUS.STOPPED;
+  return RUN_STATUS.COMPLETED;
+}
+
+/**
+ * Stable key for a business across runs
+ * Prefers source identifiers, falls back to the deduplication key
+ */
+function getBusinessKey(record) {
+  if (record.google_place_id) {
+    return `google:${record.google_place_id}`;
+  }
+
+  if (record.oc_company_number) {
+    return `oc:${record.oc_jurisdiction || 'unknown'}:${record.oc_company_number}`;
+  }
+
+  return getDeduplicationKey(record);
+}
+
+/**
+ * Load the store into memory (once)
+ */
+async function load() {
+  if (state) return state;
+
+  if (!loading) {
+    loading = (async () => {
+      await fs.promises.mkdir(RUN_ROWS_DIR, { recursive: true });
+
+      const runs = await readJson(RUNS_FILE, []);
+      const businesses = await readJson(BUSINESSES_FILE, {});
+
+      state = { runs, businesses };
+      logger.info(`Store loaded from ${DATA_DIR}: ${runs.length} runs, ${Object.keys(businesses).length} businesses`);
+
+      // Nothing is running yet in this process, so these were cut short by a restart
+      const interrupted = runs.filter(run => run.status === RUN_STATUS.RUNNING);
+      if (interrupted.length > 0) {
+        interrupted.forEach(run => { run.status = RUN_STATUS.INTERRUPTED; });
+        logger.warn(`${interrupted.length} run(s) were interrupted by a restart and can be resumed`);
+        await persist('runs');
+      }
+      return state;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+/**
+ * Persist the named in-memory index files ('runs', 'businesses'); writes are serialized
+ * Only the files that changed are passed, so a run status update does not rewrite every business
+ */
+function persist(...names) {
+  const files = { runs: RUNS_FILE, businesses: BUSINESSES_FILE };
+
+  writeChain = names
+    .reduce((chain, name) => chain.then(() => writeJson(files[name], state[name])), writeChain)
+    .catch(error => {
+      logger.error('Failed to persist store:', error.message);
+    });
+
+  return writeChain;
+}
+
+/**
+ * Record the start of a run
+ * @param {Object} params - Collection parameters
+ * @returns {Promise<Object>} The run record
+ */
+async function createRun(params) {
+  await load();
+
+  const run = {
+    id: crypto.randomUUID(),
+    status: RUN_STATUS.RUNNING,
+    params,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    meta: null,
+    errors: [],
+    row_count: 0
+  };
+
+  state.runs.push(run);
+  await persist('runs');
+
+  return run;
+}
+
+/**
+ * Mark a run as running again, continuing from its checkpoint
+ * @param {string} runId
+ * @returns {Promise<Object|null>} The run record, or null if there is no such run
+ */
+async function resumeRun(runId) {
+  await load();
+
+  const run = state.runs.find(r => r.id === runId);
+  if (!run) return null;
+
+  run.status = RUN_STATUS.RUNNING;
+  run.finished_at = null;
+  run.resumed_at = new Date().toISOString();
+  run.resume_count = (run.resume_count || 0) + 1;
+  await persist('runs');
+
+  return run;
+}
+
+/**
+ * Record the outcome of a run and upsert its rows into the business store
+ * @param {string} runId
+ * @param {Object} result - { meta, rows } returned by the collectors
+ * @returns {Promise<Object|null>} The updated run record
+ */
+async function finishRun(runId, result) {
+  await load();
+
+  const run = state.runs.find(r => r.id === runId);
+  if (!run) return null;
+
+  const { meta, rows = [] } = result;
+
+  run.finished_at = new Date().toISOString();
+  run.meta = meta;
+  // meta.errors lists every source's outcome; the run keeps the ones that were not complete
+  run.errors = meta.errors
+    ? meta.errors.filter(outcome => outcome.status !== 'complete')
+    : (meta.error ? [{ source: 'orchestrator', error: meta.error }] : []);
+  run.row_count = rows.length;
+  run.status = getResultStatus(meta);
+
+  upsertBusinesses(rows, run);
+
+  await writeJson(path.join(RUN_ROWS_DIR, `${run.id}.json`), rows);
+  // A run without rows leaves the businesses untouched
+  await (rows.length > 0 ? persist('runs', 'businesses') : persist('runs'));
+
+  logger.info(`Run ${run.id} stored: ${rows.length} rows (${run.status})`);
+  return run;
+}
+
+/**
+ * Insert or update businesses seen in a run
+ */
+function upsertBusinesses(rows, run) {
+  const seenAt = run.finished_at;
+
+  for (const row of rows) {
+    const key = getBusinessKey(row);
+    // Rows with nothing identifying them cannot be tracked across runs
+    if (!key) continue;
+
+    const existing = state.businesses[key];
+
+    if (existing) {
+      existing.record = { ...existing.record, ...row };
+      existing.last_seen = seenAt;
+      existing.last_run_id = run.id;
+      existing.times_seen++;
+    } else {
+      state.businesses[key] = {
+        key,
+        record: row,
+        first_seen: seenAt,
+        last_seen: seenAt,
+        first_run_id: run.id,
+        last_run_id: run.id,
+        times_seen: 1
+      };
+    }
+  }
+}
+
+/**
+ * List runs, newest first
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ */
+async function listRuns({ limit = 50 } = {}) {
+  await load();
+
+  return state.runs
+    .slice()
+    .sort((a, b) => b.started_at.localeCompare(a.started_at))
+    .slice(0, limit);
+}
+
+/**
+ * Get a single run record
+ */
+async function getRun(runId) {
+  await load();
+  return state.runs.find(r => r.id === runId) || null;
+}
+
+/**
+ * Find the most recent completed run for the same category and geography
+ * @param {Object} params - { category, geography }
+ * @param {Object} [options]
+ * @param {string} [options.excludeRunId] - Usually the run currently in progress
+ * @returns {Promise<Object|null>}
+ */
+async function findPreviousRun({ category, geography }, { excludeRunId } = {}) {
+  await load();
+
+  const sameTarget = run =>
+    (run.params.category || '').toLowerCase() === (category || '').toLowerCase() &&
+    (run.params.geography || '').toLowerCase() === (geography || '').toLowerCase();
+
+  return state.runs
+    .filter(run => run.id !== excludeRunId && run.status === RUN_STATUS.COMPLETED && sameTarget(run))
+    .sort((a, b) => b.started_at.localeCompare(a.started_at))[0] || null;
+}
+
+/**
+ * Get the rows a run returned
+ * @returns {Promise<Array|null>} Rows, or null if the run has no stored rows
+ */
+async function getRunRows(runId) {
+  return readJson(path.join(RUN_ROWS_DIR, `${runId}.json`), null);
+}
+
+/**
+ * Query stored businesses without calling any API
+ * @param {Object} filters
+ * @param {string} [filters.category] - Case-insensitive category match
+ * @param {string} [filters.state] - Two-letter state code
+ * @param {string} [filters.city] - Case-insensitive city match
+ * @param {number} [filters.limit=100]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<Object>} { total, businesses }
+ */
+async function queryBusinesses({ category, state: stateCode, city, limit = 100, offset = 0 } = {}) {
+  await load();
+
+  const matches = Object.values(state.businesses).filter(({ record }) => {
+    if (category && (record.category || '').toLowerCase() !== category.toLowerCase()) return false;
+    if (stateCode && (record.state || '').toUpperCase() !== stateCode.toUpperCase()) return false;
+    if (city && (record.city || '').toLowerCase() !== city.toLowerCase()) return false;
+    return true;
+  });
+
+  matches.sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+
+  return {
+    total: matches.length,
+    businesses: matches.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  RUN_STATUS,
+  RESUMABLE_STATUSES,
+  getResultStatus,
+  getBusinessKey,
+  createRun,
+  resumeRun,
+  finishRun,
+  listRuns,
+  getRun,
+  findPreviousRun,
+  getRunRows,
+  queryBusinesses
+};
@@ -0,0 +1,298 @@
+// Do-not-contact suppression lists
+// Entries come from CSV files in SUPPRESSION_DIR (columns: type,value[,reason])
+// and from the API (persisted to DATA_DIR/suppressions.json).
+const fs = require('fs');
+const path = require('path');
+const { parseFile } = require('fast-csv');
+const logger = require('../utils/logger');
+const { normalizePhone } = require('../utils/deduplication');
+const { readJson, writeJson } = require('./json-file');
+const { DATA_DIR } = require('./store');
+
+const SUPPRESSION_DIR = path.resolve(process.env.SUPPRESSION_DIR || path.join(DATA_DIR, 'suppressions'));
+const API_ENTRIES_FILE = path.join(DATA_DIR, 'suppressions.json');
+
+const SUPPRESSION_TYPES = ['phone', 'email', 'domain', 'place_id'];
+
+let entries = null;
+let loading = null;
+
+/**
+ * Normalize a suppression value so it compares equal to the row value
+ * @returns {string|null} Normalized value, or null if it cannot be used
+ */
+function normalizeValue(type, value) {
+  if (!value) return null;
+  const raw = String(value).trim();
+
+  switch (type) {
+    case 'phone':
+      return normalizePhone(raw);
+    case 'email':
+      return raw.toLowerCase() || null;
+    case 'domain':
+      return extractDomain(raw);
+    case 'place_id':
+      return raw || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Hostname without "www.", from a URL, bare domain or email address
+ */
+function extractDomain(value) {
+  if (!value) return null;
+  const raw = String(value).trim().toLowerCase();
+
+  if (raw.includes('@') && !raw.includes('/')) {
+    return raw.split('@').pop().replace(/^www\./, '') || null;
+  }
+
+  try {
+    const url = new URL(/^https?:\/\//.test(raw) ? raw : `https://${raw}`);
+    return url.hostname.replace(/^www\./, '') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function entryKey(type, value) {
+  return `${type}:${value}`;
+}
+
+/**
+ * Read every CSV file in the suppression directory
+ */
+async function loadCsvEntries() {
+  let files;
+  try {
+    files = (await fs.promises.readdir(SUPPRESSION_DIR)).filter(file => file.endsWith('.csv'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const loaded = [];
+
+  for (const file of files) {
+    const rows = await new Promise((resolve, reject) => {
+      const collected = [];
+      parseFile(path.join(SUPPRESSION_DIR, file), { headers: true, trim: true, ignoreEmpty: true })
+        .on('error', reject)
+        .on('data', row => collected.push(row))
+        .on('end', () => resolve(collected));
+    });
+
+    for (const row of rows) {
+      const type = (row.type || '').toLowerCase();
+      const value = normalizeValue(type, row.value);
+
+      if (!SUPPRESSION_TYPES.includes(type) || !value) {
+        logger.warn(`Skipping invalid suppression entry in ${file}`);
+        continue;
+      }
+
+      loaded.push({ type, value, reason: row.reason || null, source: `file:${file}` });
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Load suppression entries (once)
+ */
+async function load() {
+  if (entries) return entries;
+
+  if (!loading) {
+    loading = (async () => {
+      const fromFiles = await loadCsvEntries();
+      const fromApi = await readJson(API_ENTRIES_FILE, []);
+
+      entries = new Map();
+      for (const entry of [...fromFiles, ...fromApi]) {
+        entries.set(entryKey(entry.type, entry.value), entry);
+      }
+
+      logger.info(`Loaded ${entries.size} suppression entries (${fromFiles.length} from CSV files, ${fromApi.length} from API)`);
+      return entries;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+/**
+ * Re-read CSV files and API entries from disk
+ */
+async function reloadSuppressions() {
+  entries = null;
+  return load();
+}
+
+/**
+ * Persist API-managed entries (file entries stay in their CSV files)
+ */
+async function persistApiEntries() {
+  await fs.promises.mkdir(DATA_DIR, { recursive: true });
+  const apiEntries = Array.from(entries.values()).filter(entry => entry.source === 'api');
+  await writeJson(API_ENTRIES_FILE, apiEntries);
+}
+
+/**
+ * Add suppression entries
+ * @param {Array<Object>} items - { type, value, reason }
+ * @returns {Promise<Object>} { added, invalid } - invalid items are returned by index, not value
+ */
+async function addSuppressions(items) {
+  await load();
+
+  let added = 0;
+  const invalid = [];
+
+  items.forEach((item, index) => {
+    const type = (item.type || '').toLowerCase();
+    const value = normalizeValue(type, item.value);
+
+    if (!SUPPRESSION_TYPES.includes(type) || !value) {
+      invalid.push(index);
+      return;
+    }
+
+    const key = entryKey(type, value);
+    if (!entries.has(key)) added++;
+
+    entries.set(key, {
+      type,
+      value,
+      reason: item.reason || null,
+      source: 'api',
+      added_at: new Date().toISOString()
+    });
+  });
+
+  await persistApiEntries();
+  return { added, invalid };
+}
+
+/**
+ * Remove suppression entries added through the API
+ * Entries loaded from CSV files must be removed from the file itself
+ * @param {Array<Object>} items - { type, value }
+ * @returns {Promise<Object>} { removed, file_managed, not_found }
+ */
+async function removeSuppressions(items) {
+  await load();
+
+  const result = { removed: 0, file_managed: 0, not_found: 0 };
+
+  for (const item of items) {
+    const type = (item.type || '').toLowerCase();
+    const key = entryKey(type, normalizeValue(type, item.value));
+    const entry = entries.get(key);
+
+    if (!entry) {
+      result.not_found++;
+    } else if (entry.source !== 'api') {
+      result.file_managed++;
+    } else {
+      entries.delete(key);
+      result.removed++;
+    }
+  }
+
+  await persistApiEntries();
+  return result;
+}
+
+/**
+ * Counts per type and source (values are never exposed)
+ */
+async function getSuppressionSummary() {
+  await load();
+
+  const summary = { total: entries.size, by_type: {}, by_source: {} };
+
+  for (const entry of entries.values()) {
+    summary.by_type[entry.type] = (summary.by_type[entry.type] || 0) + 1;
+    summary.by_source[entry.source] = (summary.by_source[entry.source] || 0) + 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Find the first suppression entry matching a row
+ * @returns {Object|null} Matching entry
+ */
+function matchRow(row) {
+  const candidates = [];
+
+  if (row.google_place_id) candidates.push(['place_id', row.google_place_id]);
+
+  const phones = [row.phone, ...(row.alt_phones || []).map(alt => alt.phone)];
+  for (const phone of phones) {
+    const normalized = normalizePhone(phone, row.country);
+    if (normalized) candidates.push(['phone', normalized]);
+  }
+
+  if (row.email) candidates.push(['email', row.email.trim().toLowerCase()]);
+
+  const domains = [extractDomain(row.website), row.email ? extractDomain(row.email) : null];
+  for (const domain of domains.filter(Boolean)) {
+    // Match the domain and its parents, so "shop.example.com" is caught by "example.com"
+    const parts = domain.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      candidates.push(['domain', parts.slice(i).join('.')]);
+    }
+  }
+
+  for (const [type, value] of candidates) {
+    const entry = entries.get(entryKey(type, value));
+    if (entry) return entry;
+  }
+
+  return null;
+}
+
+/**
+ * Remove suppressed rows
+ * @param {Array} rows
+ * @returns {Promise<Object>} { rows, stats } - stats count rows per matched type, without values
+ */
+async function applySuppressions(rows) {
+  await load();
+
+  const stats = { suppressed: 0, by_type: {} };
+  if (entries.size === 0) return { rows, stats };
+
+  const kept = [];
+
+  for (const row of rows) {
+    const match = matchRow(row);
+
+    if (match) {
+      stats.suppressed++;
+      stats.by_type[match.type] = (stats.by_type[match.type] || 0) + 1;
+    } else {
+      kept.push(row);
+    }
+  }
+
+  return { rows: kept, stats };
+}
+
+module.exports = {
+  SUPPRESSION_TYPES,
+  SUPPRESSION_DIR,
+  addSuppressions,
+  removeSuppressions,
+  reloadSuppressions,
+  getSuppressionSummary,
+  applySuppressions
+};
@@ -0,0 +1,294 @@
+// API usage and cost accounting
+// Every outbound API call is recorded by SKU against a per-run meter and a persistent ledger
+// (DATA_DIR/usage.json: UTC day -> API key -> SKU -> { calls, cost }). Budgets stop runs once reached.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { DATA_DIR } = require('./store');
+const { readJson, writeJson } = require('./json-file');
+
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+const PRICING_FILE = process.env.PRICING_FILE
+  ? path.resolve(process.env.PRICING_FILE)
+  : path.join(__dirname, '..', 'config', 'pricing.json');
+const PERSIST_DELAY_MS = 1000;
+
+/**
+ * Spending limits in the price table's currency; unset means unlimited
+ */
+const BUDGETS = {
+  per_run: parseFloat(process.env.USAGE_BUDGET_PER_RUN) || null,
+  daily: parseFloat(process.env.USAGE_BUDGET_DAILY) || null,
+  monthly: parseFloat(process.env.USAGE_BUDGET_MONTHLY) || null
+};
+
+let pricing = null;
+let ledger = null;
+let loading = null;
+let persistTimer = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Price table: { currency, skus: { sku: { provider, endpoint, price_per_1000 } } }
+ */
+function getPricing() {
+  if (pricing) return pricing;
+
+  try {
+    pricing = JSON.parse(fs.readFileSync(PRICING_FILE, 'utf8'));
+  } catch (error) {
+    logger.warn(`Could not load price table from ${PRICING_FILE}: ${error.message}; calls are counted without cost`);
+    pricing = { currency: 'USD', skus: {} };
+  }
+
+  return pricing;
+}
+
+/**
+ * Cost of one call to a SKU; unknown SKUs are counted at no cost
+ */
+function priceOf(sku) {
+  return (getPricing().skus[sku]?.price_per_1000 || 0) / 1000;
+}
+
+/**
+ * Identify an API key in reports without exposing it: provider plus a short hash
+ */
+function getKeyId(provider, apiKey) {
+  if (!apiKey) return `${provider}:anonymous`;
+  return `${provider}:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 8)}`;
+}
+
+async function loadLedger() {
+  if (ledger) return ledger;
+
+  if (!loading) {
+    loading = readJson(USAGE_FILE, { days: {} })
+      .then(data => {
+        ledger = data;
+        return ledger;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+}
+
+/**
+ * Queue a ledger write; writes are serialized
+ */
+function persist() {
+  persistTimer = null;
+  writeChain = writeChain
+    .then(() => fs.promises.mkdir(DATA_DIR, { recursive: true }))
+    .then(() => writeJson(USAGE_FILE, ledger))
+    .catch(error => {
+      logger.error('Failed to persist usage ledger:', error.message);
+    });
+
+  return writeChain;
+}
+
+/**
+ * Write the ledger at most once per PERSIST_DELAY_MS
+ * The timer does not hold the process open; flushUsage() writes what is pending before exit
+ */
+function schedulePersist() {
+  if (persistTimer) return;
+
+  persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+  persistTimer.unref?.();
+}
+
+/**
+ * Write pending ledger changes now, at the end of a run or on shutdown
+ * @returns {Promise<void>} Resolves once every queued write is done
+ */
+function flushUsage() {
+  if (!persistTimer) return writeChain;
+
+  clearTimeout(persistTimer);
+  return persist();
+}
+
+/**
+ * Add calls to a { calls, cost, by_sku } summary
+ */
+function addTo(summary, sku, calls, cost) {
+  summary.calls += calls;
+  summary.cost += cost;
+  if (!summary.by_sku[sku]) summary.by_sku[sku] = { calls: 0, cost: 0 };
+  summary.by_sku[sku].calls += calls;
+  summary.by_sku[sku].cost += cost;
+}
+
+function emptySummary() {
+  return { calls: 0, cost: 0, by_sku: {}, by_key: {} };
+}
+
+/**
+ * Round costs for reporting (fractions of a cent add up over thousands of calls)
+ */
+function roundCosts(summary) {
+  const round = value => Math.round(value * 10000) / 10000;
+  const roundGroup = group => Object.fromEntries(
+    Object.entries(group).map(([name, entry]) => [name, { ...entry, cost: round(entry.cost) }])
+  );
+
+  return {
+    ...summary,
+    cost: round(summary.cost),
+    by_sku: roundGroup(summary.by_sku),
+    by_key: summary.by_key ? roundGroup(summary.by_key) : undefined
+  };
+}
+
+/**
+ * Totals for the ledger days whose date starts with `prefix` ("2026-10-18" for a day, "2026-10" for a month)
+ */
+function summarizeLedger(prefix) {
+  const summary = emptySummary();
+
+  for (const [date, keys] of Object.entries(ledger.days)) {
+    if (!date.startsWith(prefix)) continue;
+
+    for (const [keyId, skus] of Object.entries(keys)) {
+      if (!summary.by_key[keyId]) summary.by_key[keyId] = { calls: 0, cost: 0 };
+
+      for (const [sku, { calls, cost }] of Object.entries(skus)) {
+        addTo(summary, sku, calls, cost);
+        summary.by_key[keyId].calls += calls;
+        summary.by_key[keyId].cost += cost;
+      }
+    }
+  }
+
+  return summary;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Usage report for GET /usage: today, this month, and totals per day and per month
+ * @param {Object} [options]
+ * @param {number} [options.days=31] - Most recent days to list
+ */
+async function getUsageReport({ days = 31 } = {}) {
+  await loadLedger();
+
+  const dates = Object.keys(ledger.days).sort().reverse();
+  const months = [...new Set(dates.map(date => date.slice(0, 7)))];
+
+  return {
+    currency: getPricing().currency,
+    prices: getPricing().skus,
+    budgets: BUDGETS,
+    today: { date: today(), ...roundCosts(summarizeLedger(today())) },
+    month: { month: thisMonth(), ...roundCosts(summarizeLedger(thisMonth())) },
+    daily: dates.slice(0, days).map(date => ({ date, ...roundCosts(summarizeLedger(date)) })),
+    monthly: months.map(month => ({ month, ...roundCosts(summarizeLedger(month)) }))
+  };
+}
+
+/**
+ * Per-run usage meter
+ * Records calls into the ledger and stops the run (via `onStop`) when a budget is reached;
+ * the call that crosses a budget is the last one made.
+ * @param {Object} [options]
+ * @param {Function} [options.onStop] - Called once with the reason when a budget is reached
+ * @param {Object} [options.budgets] - Overrides BUDGETS
+ */
+function createUsageMeter({ onStop = () => {}, budgets = BUDGETS } = {}) {
+  const run = emptySummary();
+  let stoppedReason = null;
+
+  const stop = reason => {
+    if (stoppedReason) return;
+    stoppedReason = reason;
+    logger.warn(`Stopping run: ${reason}`);
+    onStop(reason);
+  };
+
+  // Compare spend with each budget; the daily and monthly totals include other runs
+  const checkBudgets = () => {
+    const { currency } = getPricing();
+    const spent = {
+      per_run: run.cost,
+      daily: summarizeLedger(today()).cost,
+      monthly: summarizeLedger(thisMonth()).cost
+    };
+
+    for (const [name, limit] of Object.entries(budgets)) {
+      if (limit && spent[name] >= limit) {
+        stop(`budget_exceeded: ${name.replace('_', '-')} budget of ${limit} ${currency} reached (${Math.round(spent[name] * 100) / 100} ${currency} spent)`);
+        return;
+      }
+    }
+  };
+
+  return {
+    get stoppedReason() {
+      return stoppedReason;
+    },
+
+    /**
+     * Check budgets before the first call: a daily or monthly budget may already be spent
+     */
+    async start() {
+      await loadLedger();
+      checkBudgets();
+    },
+
+    /**
+     * Record one call
+     * @param {string} sku - Key in the price table, e.g. "places_details"
+     * @param {Object} [options]
+     * @param {string} [options.provider] - Defaults to the SKU's provider
+     * @param {string} [options.apiKey] - Key the call was made with (stored as a hash)
+     */
+    async record(sku, { provider = getPricing().skus[sku]?.provider || 'unknown', apiKey } = {}) {
+      await loadLedger();
+
+      const cost = priceOf(sku);
+      const keyId = getKeyId(provider, apiKey);
+      const day = today();
+
+      addTo(run, sku, 1, cost);
+      if (!run.by_key[keyId]) run.by_key[keyId] = { calls: 0, cost: 0 };
+      run.by_key[keyId].calls++;
+      run.by_key[keyId].cost += cost;
+
+      if (!ledger.days[day]) ledger.days[day] = {};
+      if (!ledger.days[day][keyId]) ledger.days[day][keyId] = {};
+      const entry = ledger.days[day][keyId][sku] || (ledger.days[day][keyId][sku] = { calls: 0, cost: 0 });
+      entry.calls++;
+      entry.cost += cost;
+      schedulePersist();
+
+      checkBudgets();
+    },
+
+    /**
+     * Totals reported in meta.usage
+     */
+    summary() {
+      return {
+        currency: getPricing().currency,
+        ...roundCosts(run),
+        budgets: Object.fromEntries(Object.entries(budgets).filter(([, limit]) => limit))
+      };
+    }
+  };
+}
+
+module.exports = {
+  BUDGETS,
+  getPricing,
+  getUsageReport,
+  createUsageMeter,
+  flushUsage
+};
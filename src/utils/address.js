@@ -0,0 +1,301 @@
+// Structured US address parsing shared by all collectors
+// Returns street_number, route, unit, city, county, state, postal_code (ZIP+4 kept) and ISO country
+
+const STATE_NAMES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  PR: 'Puerto Rico', VI: 'U.S. Virgin Islands', GU: 'Guam'
+};
+
+const STATE_BY_NAME = Object.fromEntries(
+  Object.entries(STATE_NAMES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+const COUNTRY_CODES = {
+  'us': 'US',
+  'usa': 'US',
+  'u.s.': 'US',
+  'u.s.a.': 'US',
+  'united states': 'US',
+  'united states of america': 'US',
+  'ca': 'CA',
+  'canada': 'CA',
+  'mx': 'MX',
+  'mexico': 'MX',
+  'uk': 'GB',
+  'united kingdom': 'GB'
+};
+
+const ZIP_PATTERN = /\b(\d{5})(?:[-\s](\d{4}))?$/;
+
+// Secondary unit designators (USPS Publication 28), e.g. "Suite 200", "Apt 4B", "#12"
+const UNIT_PATTERN = /^(?:(?:suite|ste|unit|apt|apartment|room|rm|floor|fl|bldg|building|dept|office|ofc|lot|space|spc|trlr|box)\.?\s*#?\s*[\w-]+|#\s*[\w-]+)$/i;
+const TRAILING_UNIT_PATTERN = /[\s,]+((?:suite|ste|unit|apt|apartment|room|rm|floor|fl|bldg|building|dept|office|ofc|lot|space|spc|trlr)\.?\s*#?\s*[\w-]+|#\s*[\w-]+)$/i;
+
+// Street-type suffixes used to split "123 Main St Tampa" when there are no commas
+const STREET_SUFFIX_PATTERN = /^(.*\b(?:st|street|ave|avenue|blvd|boulevard|rd|road|dr|drive|ln|lane|way|ct|court|pl|place|pkwy|parkway|hwy|highway|cir|circle|ter|terrace|trl|trail|sq|square)\.?(?:\s+[nsew]{1,2})?)\s+(.+)$/i;
+
+function emptyAddress() {
+  return {
+    street: null,
+    street_number: null,
+    route: null,
+    unit: null,
+    city: null,
+    county: null,
+    state: null,
+    postal_code: null,
+    country: null
+  };
+}
+
+/**
+ * ISO 3166-1 alpha-2 country code from a code or name ("USA", "United States" -> "US")
+ * @returns {string|null}
+ */
+function toIsoCountry(value) {
+  if (!value) return null;
+  const raw = String(value).trim();
+
+  const known = COUNTRY_CODES[raw.toLowerCase()];
+  if (known) return known;
+
+  return /^[A-Za-z]{2}$/.test(raw) ? raw.toUpperCase() : null;
+}
+
+/**
+ * Two-letter state code from a code or full name ("Florida", "fl" -> "FL")
+ * @returns {string|null}
+ */
+function toStateCode(value) {
+  if (!value) return null;
+  const raw = String(value).trim().replace(/\.$/, '');
+
+  if (/^[A-Za-z]{2}$/.test(raw) && STATE_NAMES[raw.toUpperCase()]) {
+    return raw.toUpperCase();
+  }
+
+  return STATE_BY_NAME[raw.toLowerCase()] || null;
+}
+
+/**
+ * First five digits of a ZIP or ZIP+4, for comparisons across sources
+ */
+function toZip5(postalCode) {
+  const match = String(postalCode || '').match(/^\s*(\d{5})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Split a street line into number, route and unit
+ * "123 N Main St Suite 200" -> { street_number: "123", route: "N Main St", unit: "Suite 200" }
+ */
+function parseStreetLine(line, unit = null) {
+  let route = line ? line.trim() : null;
+
+  // A unit still on the line ("Unit 5") comes before one from its own segment ("Floor 2")
+  if (route) {
+    const unitMatch = route.match(TRAILING_UNIT_PATTERN);
+    if (unitMatch && unitMatch.index > 0) {
+      unit = [unitMatch[1].trim(), unit].filter(Boolean).join(' ');
+      route = route.slice(0, unitMatch.index).trim();
+    }
+  }
+
+  let streetNumber = null;
+  // PO boxes have no street number
+  if (route && !/^p\.?\s*o\.?\s*box\b/i.test(route)) {
+    const numberMatch = route.match(/^(\d+[A-Za-z]?(?:-\d+[A-Za-z]?)?(?:\s+\d\/\d)?)\s+(.+)$/);
+    if (numberMatch) {
+      streetNumber = numberMatch[1];
+      route = numberMatch[2];
+    }
+  }
+
+  return { street_number: streetNumber, route: route || null, unit: unit || null };
+}
+
+/**
+ * Compose the street line from its parts
+ */
+function formatStreet({ street_number: streetNumber, route, unit }) {
+  const line = [streetNumber, route].filter(Boolean).join(' ');
+  return [line, unit].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Parse a free-text US address
+ * Handles "123 Main St, Suite 200, Tampa, FL 33602-1234, USA", missing cities
+ * ("123 Main St, FL 33602"), full state names and comma-less addresses
+ * @param {string} text - Address as published
+ * @param {Object} [options]
+ * @param {string} [options.country='US'] - Country when the text does not name one
+ * @returns {Object} { street, street_number, route, unit, city, county, state, postal_code, country }
+ */
+function parseAddress(text, { country = 'US' } = {}) {
+  const result = emptyAddress();
+  if (!text || !String(text).trim()) return result;
+
+  const segments = String(text)
+    .replace(/\s*\n\s*/g, ', ')
+    .split(',')
+    .map(segment => segment.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  result.country = toIsoCountry(country);
+  // A trailing country ("USA"); "CA" alone is read as California, not Canada
+  if (segments.length > 1) {
+    const trailing = segments[segments.length - 1];
+    if (toIsoCountry(trailing) && !toStateCode(trailing)) {
+      result.country = toIsoCountry(trailing);
+      segments.pop();
+    }
+  }
+
+  // ZIP, alone or after the state ("FL 33602", "33602")
+  let last = segments[segments.length - 1] || '';
+  const zipMatch = last.match(ZIP_PATTERN);
+  if (zipMatch) {
+    result.postal_code = zipMatch[2] ? `${zipMatch[1]}-${zipMatch[2]}` : zipMatch[1];
+    last = last.slice(0, zipMatch.index).trim();
+    if (last) {
+      segments[segments.length - 1] = last;
+    } else {
+      segments.pop();
+      last = segments[segments.length - 1] || '';
+    }
+  }
+
+  // State: the whole last segment, or its last words ("Tampa FL", "Tampa New Mexico")
+  const stateOnly = toStateCode(last);
+  if (stateOnly) {
+    result.state = stateOnly;
+    segments.pop();
+  } else {
+    const words = last.split(' ');
+    for (let take = Math.min(3, words.length - 1); take >= 1; take--) {
+      const candidate = toStateCode(words.slice(-take).join(' '));
+      if (candidate) {
+        result.state = candidate;
+        segments[segments.length - 1] = words.slice(0, -take).join(' ');
+        break;
+      }
+    }
+  }
+
+  // Remaining segments: street line(s), units, then the city
+  const streetLines = [];
+  let unit = null;
+  let city = null;
+
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+
+    if (UNIT_PATTERN.test(segment)) {
+      unit = unit ? `${unit} ${segment}` : segment;
+    } else if (isLast && index > 0 && !/^\d/.test(segment)) {
+      city = segment;
+    } else if (isLast && index === 0 && result.state && !/^\d/.test(segment) && !/^p\.?\s*o\.?\s*box\b/i.test(segment)) {
+      // "Tampa, FL 33602": no street line
+      city = segment;
+    } else {
+      streetLines.push(segment);
+    }
+  });
+
+  // "123 Main St Tampa FL 33602": split the city off after the street suffix
+  if (!city && streetLines.length === 1 && segments.length === 1 && result.state) {
+    const split = streetLines[0].match(STREET_SUFFIX_PATTERN);
+    if (split && /^\d/.test(split[1])) {
+      streetLines[0] = split[1];
+      city = split[2];
+    }
+  }
+
+  const street = parseStreetLine(streetLines.join(' ') || null, unit);
+  Object.assign(result, street, { city: city || null });
+  result.street = formatStreet(result);
+
+  return result;
+}
+
+/**
+ * Build a structured address from Google `address_components`
+ * @param {Array<Object>} components - [{ long_name, short_name, types }]
+ * @returns {Object|null} Address fields, or null when no components were returned
+ */
+function fromGoogleComponents(components) {
+  if (!Array.isArray(components) || components.length === 0) return null;
+
+  const find = (type, key = 'long_name') => {
+    const component = components.find(item => item.types?.includes(type));
+    return component ? component[key] : null;
+  };
+
+  const subpremise = find('subpremise');
+  const zip = find('postal_code');
+  const zipSuffix = find('postal_code_suffix');
+
+  const result = {
+    ...emptyAddress(),
+    street_number: find('street_number'),
+    route: find('route', 'short_name'),
+    // Google returns the bare unit number; "#" is the USPS designator when the type is unknown
+    unit: subpremise ? (/^\w+$/.test(subpremise) ? `#${subpremise}` : subpremise) : null,
+    city: find('locality') || find('postal_town') || find('sublocality_level_1') || find('sublocality') || find('neighborhood'),
+    county: find('administrative_area_level_2'),
+    state: find('administrative_area_level_1', 'short_name'),
+    postal_code: zip && zipSuffix ? `${zip}-${zipSuffix}` : zip,
+    country: find('country', 'short_name')
+  };
+  result.street = formatStreet(result);
+
+  return result;
+}
+
+/**
+ * Build a structured address from already-split parts (e.g. OpenCorporates `registered_address`)
+ * The street line is still parsed for number, route and unit.
+ * @param {Object} parts - { street_address, locality, region, postal_code, country }
+ * @returns {Object|null}
+ */
+function fromParts(parts) {
+  if (!parts || !(parts.street_address || parts.locality || parts.postal_code)) return null;
+
+  const streetLine = (parts.street_address || '').replace(/\s*\n\s*/g, ', ');
+  const segments = streetLine.split(',').map(segment => segment.trim()).filter(Boolean);
+  const unitSegments = segments.filter(segment => UNIT_PATTERN.test(segment));
+  const lineSegments = segments.filter(segment => !UNIT_PATTERN.test(segment));
+
+  const zipMatch = String(parts.postal_code || '').trim().match(/^(\d{5})(?:[-\s]?(\d{4}))?$/);
+
+  const result = {
+    ...emptyAddress(),
+    ...parseStreetLine(lineSegments.join(' ') || null, unitSegments.join(' ') || null),
+    city: parts.locality?.trim() || null,
+    state: toStateCode(parts.region) || (parts.region?.trim() || null),
+    postal_code: zipMatch ? (zipMatch[2] ? `${zipMatch[1]}-${zipMatch[2]}` : zipMatch[1]) : (parts.postal_code?.trim() || null),
+    country: toIsoCountry(parts.country) || 'US'
+  };
+  result.street = formatStreet(result);
+
+  return result;
+}
+
+module.exports = {
+  parseAddress,
+  fromGoogleComponents,
+  fromParts,
+  toIsoCountry,
+  toStateCode,
+  toZip5
+};
@@ -0,0 +1,159 @@
+// Confidence scoring shared by all collectors
+// Scores data correctness (is this business real, current and reachable), not business quality
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const BUNDLED_MODEL_FILE = path.join(__dirname, '..', 'config', 'confidence.json');
+const MODEL_FILE = process.env.CONFIDENCE_MODEL_FILE
+  ? path.resolve(process.env.CONFIDENCE_MODEL_FILE)
+  : BUNDLED_MODEL_FILE;
+
+const ACTIVE_STATUS = /^(active|good standing|current|in existence)/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Signals a model may weight. Each returns { value, detail }: value is 0-1,
+ * or null when the row does not tell (e.g. websites not crawled)
+ */
+const SIGNALS = {
+  // Another source describes the same business: a merged duplicate or a verified registry match
+  cross_source_agreement(row) {
+    const sources = new Set([row.source, ...(row.merged_from || []).map(member => member.source)].filter(Boolean));
+    if (row.oc_match_verified) sources.add('opencorporates');
+
+    return {
+      value: sources.size >= 2 ? 1 : 0,
+      detail: sources.size > 0 ? `sources: ${Array.from(sources).join(', ')}` : 'single source'
+    };
+  },
+
+  valid_phone(row) {
+    if (!row.phone) return { value: 0, detail: 'no phone' };
+    if (typeof row.phone_valid !== 'boolean') return { value: null, detail: 'not validated' };
+
+    return {
+      value: row.phone_valid ? 1 : 0,
+      detail: row.phone_valid ? row.phone_type : 'invalid number'
+    };
+  },
+
+  // Set by website enrichment; unknown when websites were not crawled
+  website_reachable(row) {
+    if (!row.website) return { value: 0, detail: 'no website' };
+    if (typeof row.website_reachable !== 'boolean') return { value: null, detail: 'not checked' };
+
+    return {
+      value: row.website_reachable ? 1 : 0,
+      detail: row.website_reachable ? 'reachable' : 'unreachable'
+    };
+  },
+
+  // The registry's own rows, or verified matches: a weaker name match may be another company
+  registry_active(row) {
+    const registryRow = Boolean(row.oc_company_number) && row.oc_match_score == null;
+    if (row.oc_company_number && !registryRow && !row.oc_match_verified) {
+      return { value: null, detail: `unverified registry match (score ${row.oc_match_score})` };
+    }
+    if (row.oc_inactive === true) {
+      return { value: 0, detail: row.oc_status || 'inactive' };
+    }
+    if (ACTIVE_STATUS.test(row.oc_status || '')) {
+      return { value: 1, detail: row.oc_status };
+    }
+
+    return { value: null, detail: row.oc_status ? `status "${row.oc_status}"` : 'no registry record' };
+  },
+
+  // Full value up to `fresh_days` old, falling to 0 at `stale_days`
+  recency(row, { fresh_days: freshDays = 90, stale_days: staleDays = 730 }, now) {
+    const updatedAt = Date.parse(row.source_updated_at);
+    if (Number.isNaN(updatedAt)) return { value: null, detail: 'no source date' };
+
+    const ageDays = Math.max(0, Math.floor((now - updatedAt) / DAY_MS));
+    const value = ageDays <= freshDays ? 1 : Math.max(0, 1 - (ageDays - freshDays) / Math.max(1, staleDays - freshDays));
+
+    return { value: Math.round(value * 100) / 100, detail: `${ageDays} days old` };
+  },
+
+  operational_status(row) {
+    if (typeof row.is_operational !== 'boolean') return { value: null, detail: 'not reported' };
+
+    return {
+      value: row.is_operational ? 1 : 0,
+      detail: row.is_operational ? 'operational' : 'closed'
+    };
+  }
+};
+
+let model = null;
+
+/**
+ * Read a model file, keeping only signals this module knows
+ */
+function loadModel(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const signals = {};
+
+  for (const [name, options] of Object.entries(config.signals || {})) {
+    if (!SIGNALS[name]) {
+      logger.warn(`Confidence signal "${name}" ignored (known: ${Object.keys(SIGNALS).join(', ')})`);
+    } else if (typeof options?.weight !== 'number') {
+      logger.warn(`Confidence signal "${name}" needs a numeric weight`);
+    } else {
+      signals[name] = options;
+    }
+  }
+
+  return { base: typeof config.base === 'number' ? config.base : 0, signals };
+}
+
+/**
+ * Confidence model: { base, signals: { name: { weight, ...options } } }
+ * Falls back to the bundled model when CONFIDENCE_MODEL_FILE cannot be read
+ */
+function getConfidenceModel() {
+  if (model) return model;
+
+  try {
+    model = loadModel(MODEL_FILE);
+  } catch (error) {
+    if (MODEL_FILE === BUNDLED_MODEL_FILE) throw error;
+    logger.warn(`Could not load confidence model from ${MODEL_FILE}: ${error.message}; using the bundled model`);
+    model = loadModel(BUNDLED_MODEL_FILE);
+  }
+
+  return model;
+}
+
+/**
+ * Score a row
+ * @param {Object} row
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Reference time for recency
+ * @returns {Object} { confidence, confidence_breakdown: [{ signal, weight, value, contribution, detail }] }
+ */
+function scoreConfidence(row, { now = Date.now() } = {}) {
+  const { base, signals } = getConfidenceModel();
+  const breakdown = [{ signal: 'base', weight: base, value: 1, contribution: base, detail: 'starting score' }];
+  let score = base;
+
+  for (const [name, options] of Object.entries(signals)) {
+    const { value, detail } = SIGNALS[name](row, options, now);
+    const contribution = value === null ? 0 : Math.round(options.weight * value * 1000) / 1000;
+
+    score += contribution;
+    breakdown.push({ signal: name, weight: options.weight, value, contribution, detail });
+  }
+
+  return {
+    confidence: Math.min(1.0, Math.max(0, Math.round(score * 100) / 100)),
+    confidence_breakdown: breakdown
+  };
+}
+
+module.exports = {
+  SIGNALS,
+  getConfidenceModel,
+  scoreConfidence
+};
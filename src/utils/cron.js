@@ -0,0 +1,216 @@
+// Cron expressions for scheduled collections
+// Standard five fields (minute hour day-of-month month day-of-week) with *, lists, ranges, steps,
+// month and weekday names, and the @hourly/@daily/@weekly/@monthly/@yearly shortcuts.
+// Times are matched in an IANA time zone, so "0 9 * * MON" stays at 9:00 across DST changes.
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+  // 0 and 7 are both Sunday
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, firstName: 0 }
+];
+
+const SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// An expression that matches nothing in this long (e.g. "0 0 30 2 *") is rejected
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse one field value: a number or, for months and weekdays, a name
+ */
+function parseValue(text, field) {
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  if (index === -1) {
+    throw new Error(`invalid ${field.name} value "${text}"`);
+  }
+  return index + field.firstName;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || !range) {
+      throw new Error(`invalid ${field.name} "${part}"`);
+    }
+
+    const step = stepText === undefined ? 1 : (/^\d+$/.test(stepText) ? parseInt(stepText, 10) : 0);
+    if (step < 1) {
+      throw new Error(`invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} "${part}" is outside ${field.min}-${field.max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * MON" or "@daily"
+ * @returns {Object} Parsed schedule for nextCronTime
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const expanded = SHORTCUTS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${source}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  try {
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    return {
+      expression: source,
+      minutes,
+      hours,
+      daysOfMonth,
+      months,
+      daysOfWeek,
+      // As in Vixie cron: when both day fields are restricted, a day matching either runs
+      anyDayOfMonth: parts[2].startsWith('*'),
+      anyDayOfWeek: parts[4].startsWith('*')
+    };
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${source}": ${error.message}`);
+  }
+}
+
+const formatters = new Map();
+
+/**
+ * Whether a time zone name is known to the runtime (e.g. "America/New_York")
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of a timestamp in a time zone
+ */
+function zonedParts(time, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(time))) {
+    parts[type] = value;
+  }
+
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toUpperCase())
+  };
+}
+
+function matchesDay(cron, { month, day, weekday }) {
+  if (!cron.months.has(month)) return false;
+
+  const dayOfMonth = cron.daysOfMonth.has(day);
+  const dayOfWeek = cron.daysOfWeek.has(weekday);
+
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * First time strictly after `after` that the expression matches
+ * @param {Object|string} cron - parseCron result or an expression
+ * @param {Date|number} [after=now]
+ * @param {string} [timeZone='UTC'] - IANA time zone the fields are read in
+ * @returns {Date|null} Null when the expression never matches
+ */
+function nextCronTime(cron, after = Date.now(), timeZone = 'UTC') {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const start = Math.floor(new Date(after).getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = start + MAX_SEARCH_MS;
+
+  let time = start;
+  while (time < limit) {
+    const parts = zonedParts(time, timeZone);
+
+    // Skip whole hours that cannot match; stepping by hour stays correct across DST changes
+    if (!matchesDay(parsed, parts) || !parsed.hours.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+      continue;
+    }
+
+    if (parsed.minutes.has(parts.minute)) {
+      return new Date(time);
+    }
+    time += MINUTE_MS;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  isValidTimeZone
+};
@@ -1,29 +1,85 @@
+const stringSimilarity = require('string-similarity');
+const { parsePhone } = require('./phone');
+const { toZip5 } = require('./address');
+const { mergeWithSurvivorship } = require('./provenance');
+
 /**
- * Normalize phone number to E.164 format
+ * Fuzzy matching settings
+ * A pair is a duplicate when its weighted score, over the signals both records have,
+ * reaches the threshold and at least one signal besides the name agrees.
  */
-function normalizePhone(phone) {
-  if (!phone) return null;
+const MATCH_THRESHOLD = parseFloat(process.env.DEDUP_MATCH_THRESHOLD) || 0.75;
+const MATCH_WEIGHTS = {
+  name: 0.4,
+  address: 0.25,
+  phone: 0.2,
+  domain: 0.15
+};
+// Similarity at which a name or address counts as agreeing (listed in match reasons)
+const NAME_AGREEMENT = 0.8;
+const ADDRESS_AGREEMENT = 0.8;
 
-  // Remove all non-digit characters
-  const digits = phone.replace(/\D/g, '');
+// Legal suffixes ignored when comparing names
+const LEGAL_SUFFIXES = /\b(l\.?l\.?c|inc|incorporated|corp|corporation|co|company|ltd|limited|l\.?l\.?p|p\.?l\.?l\.?c|p\.?a|p\.?c)\b\.?/g;
 
-  // Handle US numbers (10 digits)
-  if (digits.length === 10) {
-    return `+1${digits}`;
-  }
+// Hosts shared by many businesses; a matching domain there says nothing
+const SHARED_HOSTS = [
+  'facebook.com',
+  'instagram.com',
+  'linkedin.com',
+  'yelp.com',
+  'sites.google.com',
+  'business.site',
+  'wixsite.com',
+  'godaddysites.com',
+  'square.site',
+  'linktr.ee'
+];
 
-  // Handle US numbers with country code
-  if (digits.length === 11 && digits.startsWith('1')) {
-    return `+${digits}`;
-  }
+// Street words written both ways
+const STREET_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  boulevard: 'blvd',
+  road: 'rd',
+  drive: 'dr',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  circle: 'cir',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w'
+};
 
-  // Return as-is if already formatted or international
-  if (phone.startsWith('+')) {
-    return phone;
-  }
+/**
+ * Normalize phone number to E.164 format
+ * @param {string} phone - Phone as published
+ * @param {string} [country='US'] - Region for numbers without a country code
+ * @returns {string|null} E.164 number, or null if the number is not valid
+ */
+function normalizePhone(phone, country = 'US') {
+  if (!phone) return null;
 
-  // Default: add + if not present
-  return `+${digits}`;
+  return parsePhone(phone, country).phone;
+}
+
+/**
+ * Normalize a business name for fuzzy comparison
+ * "Joe's Plumbing, LLC" -> "joes plumbing"
+ */
+function normalizeCompanyName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(LEGAL_SUFFIXES, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
 }
 
 /**
@@ -58,7 +114,7 @@ function normalizeRecord(record) {
     state: record.state?.trim()?.toUpperCase() || null,
     postal_code: record.postal_code?.trim() || null,
     country: record.country?.trim()?.toUpperCase() || 'US',
-    phone: normalizePhone(record.phone),
+    phone: normalizePhone(record.phone, record.country),
     email: record.email?.trim()?.toLowerCase() || null,
     website: normalizeUrl(record.website),
     source_url: record.source_url?.trim() || null,
@@ -76,14 +132,17 @@ function getDeduplicationKey(record) {
     return `website:${record.website}`;
   }
 
+  // Sources differ on ZIP+4, so compare the 5-digit ZIP
+  const zip = toZip5(record.postal_code);
+
   // Secondary: use business name + phone + postal code
-  if (record.business_name && record.phone && record.postal_code) {
-    return `composite:${record.business_name.toLowerCase()}:${record.phone}:${record.postal_code}`;
+  if (record.business_name && record.phone && zip) {
+    return `composite:${record.business_name.toLowerCase()}:${record.phone}:${zip}`;
   }
 
   // Tertiary: use business name + postal code
-  if (record.business_name && record.postal_code) {
-    return `name-zip:${record.business_name.toLowerCase()}:${record.postal_code}`;
+  if (record.business_name && zip) {
+    return `name-zip:${record.business_name.toLowerCase()}:${zip}`;
   }
 
   // Last resort: use source_url (might catch duplicates from same page)
@@ -91,72 +150,253 @@ function getDeduplicationKey(record) {
     return `source:${record.source_url}:${record.business_name?.toLowerCase() || 'unknown'}`;
   }
 
-  // If we can't generate a reliable key, use a unique timestamp
-  // (this means the record won't be deduplicated)
-  return `unique:${Date.now()}:${Math.random()}`;
+  if (record.business_name) {
+    return `name:${normalizeCompanyName(record.business_name)}:${(record.city || '').toLowerCase()}:${record.state || ''}`;
+  }
+
+  // Nothing identifies the record
+  return null;
+}
+
+/**
+ * Website hostname without "www.", or null for shared hosts (Facebook pages, site builders)
+ */
+function getDomain(website) {
+  if (!website) return null;
+
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const shared = SHARED_HOSTS.some(sharedHost => host === sharedHost || host.endsWith(`.${sharedHost}`));
+    return shared ? null : host;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Street line normalized for comparison ("123 North Main Street, Suite 200" -> "123 n main st ste 200")
+ */
+function normalizeStreet(street) {
+  return (street || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9# ]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => STREET_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Comparison fields computed once per record
+ */
+function getMatchProfile(record) {
+  const street = normalizeStreet(record.street);
+
+  return {
+    name: normalizeCompanyName(record.business_name),
+    phone: normalizePhone(record.phone, record.country),
+    domain: getDomain(record.website),
+    zip: toZip5(record.postal_code),
+    street,
+    streetNumber: street.match(/^\d+\w?/)?.[0] || null,
+    placeId: record.google_place_id || null
+  };
+}
+
+/**
+ * Blocking keys: only records sharing a key are compared
+ * ZIP blocks are split by the name's first letter to keep them small
+ */
+function getBlockingKeys(profile) {
+  const keys = [];
+
+  if (profile.placeId) keys.push(`place:${profile.placeId}`);
+  if (profile.phone) keys.push(`phone:${profile.phone}`);
+  if (profile.domain) keys.push(`domain:${profile.domain}`);
+  if (profile.zip && profile.name) keys.push(`zip:${profile.zip}:${profile.name[0]}`);
+
+  return keys;
 }
 
 /**
- * Merge duplicate records (keep higher confidence)
+ * Score a candidate pair
+ * @returns {Object} { score, reasons, match } - reasons list the signals that agreed;
+ *   match requires the threshold and agreement on something besides the name
  */
-function mergeRecords(existing, incoming) {
-  // Keep record with higher confidence
-  if (incoming.confidence > existing.confidence) {
-    return {
-      ...existing,
-      ...incoming,
-      // Merge notes
-      notes: [existing.notes, incoming.notes]
-        .filter(Boolean)
-        .join(' | ')
-    };
+function scorePair(a, b) {
+  if (a.placeId && a.placeId === b.placeId) {
+    return { score: 1, reasons: ['same_place_id'], match: true };
   }
 
-  // Fill in missing fields from incoming
-  const merged = { ...existing };
-  Object.keys(incoming).forEach(key => {
-    if (!merged[key] && incoming[key]) {
-      merged[key] = incoming[key];
+  const signals = [];
+
+  if (a.name && b.name) {
+    signals.push({ signal: 'name', value: stringSimilarity.compareTwoStrings(a.name, b.name) });
+  }
+
+  if (a.street && b.street) {
+    // Different house numbers are different addresses, however similar the rest
+    const value = a.streetNumber && b.streetNumber && a.streetNumber !== b.streetNumber
+      ? 0
+      : stringSimilarity.compareTwoStrings(a.street, b.street);
+    signals.push({ signal: 'address', value });
+  }
+
+  if (a.phone && b.phone) {
+    signals.push({ signal: 'phone', value: a.phone === b.phone ? 1 : 0 });
+  }
+
+  if (a.domain && b.domain) {
+    signals.push({ signal: 'domain', value: a.domain === b.domain ? 1 : 0 });
+  }
+
+  const totalWeight = signals.reduce((sum, { signal }) => sum + MATCH_WEIGHTS[signal], 0);
+  if (totalWeight === 0) return { score: 0, reasons: [], match: false };
+
+  const weighted = signals.reduce((sum, { signal, value }) => sum + MATCH_WEIGHTS[signal] * value, 0);
+  const score = Math.round((weighted / totalWeight) * 100) / 100;
+
+  const reasons = [];
+  for (const { signal, value } of signals) {
+    const rounded = Math.round(value * 100) / 100;
+    if (signal === 'name' && value >= NAME_AGREEMENT) reasons.push(`name_similarity:${rounded}`);
+    if (signal === 'address' && value >= ADDRESS_AGREEMENT) reasons.push(`address_similarity:${rounded}`);
+    if ((signal === 'phone' || signal === 'domain') && value === 1) reasons.push(`same_${signal}`);
+  }
+
+  // A similar name alone is not enough (chains, common names in one ZIP)
+  const corroborated = reasons.some(reason => !reason.startsWith('name_'));
+
+  return { score, reasons, match: score >= MATCH_THRESHOLD && corroborated };
+}
+
+/**
+ * Summary of a record kept in `merged_from` for auditing merges
+ */
+function describeRecord(record) {
+  return {
+    business_name: record.business_name || null,
+    source: record.source || null,
+    source_url: record.source_url || null,
+    phone: record.phone || null,
+    website: record.website || null,
+    street: record.street || null,
+    postal_code: record.postal_code || null,
+    confidence: record.confidence
+  };
+}
+
+/**
+ * Find and merge duplicate records
+ * Candidates are blocked by place id, phone, domain and ZIP, scored on name, address,
+ * phone and domain, and linked into clusters (union-find) when the score reaches
+ * DEDUP_MATCH_THRESHOLD. Clusters are merged with the survivorship rules in provenance.js.
+ * Merged rows carry `merged_from`: each source record with the pair score and reasons
+ * that linked it into the cluster.
+ * @param {Array} records
+ * @returns {Object} { rows, stats }
+ */
+function clusterDuplicates(records) {
+  const profiles = records.map(getMatchProfile);
+  const parent = records.map((record, index) => index);
+  const links = new Map();
+  const stats = { records_in: records.length, pairs_compared: 0, pairs_matched: 0, clusters_merged: 0, records_merged: 0, threshold: MATCH_THRESHOLD };
+
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const blocks = new Map();
+  profiles.forEach((profile, index) => {
+    for (const key of getBlockingKeys(profile)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
     }
   });
 
-  // Merge notes
-  merged.notes = [existing.notes, incoming.notes]
-    .filter(Boolean)
-    .join(' | ');
+  const compared = new Set();
+  for (const members of blocks.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const a = members[i];
+        const b = members[j];
+        const pairKey = `${a}:${b}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+        stats.pairs_compared++;
+
+        const { score, reasons, match } = scorePair(profiles[a], profiles[b]);
+        if (!match) continue;
+
+        stats.pairs_matched++;
+        // Keep the strongest link explaining why each record joined
+        for (const [member, other] of [[a, b], [b, a]]) {
+          const current = links.get(member);
+          if (!current || current.score < score) {
+            links.set(member, { score, reasons, matched_with: records[other].business_name || null });
+          }
+        }
+
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[rootB] = rootA;
+      }
+    }
+  }
 
-  return merged;
+  const clusters = new Map();
+  records.forEach((record, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(index);
+  });
+
+  const rows = [];
+  for (const members of clusters.values()) {
+    if (members.length === 1) {
+      rows.push(records[members[0]]);
+      continue;
+    }
+
+    // Highest confidence first: it wins wherever no survivorship rule applies
+    const ordered = members.slice().sort((a, b) => (records[b].confidence || 0) - (records[a].confidence || 0));
+    const merged = mergeWithSurvivorship(ordered.map(index => records[index]));
+
+    merged.merged_from = ordered.map(index => ({
+      ...describeRecord(records[index]),
+      match: links.get(index) || null
+    }));
+
+    stats.clusters_merged++;
+    stats.records_merged += members.length;
+    rows.push(merged);
+  }
+
+  stats.records_out = rows.length;
+  return { rows, stats };
 }
 
 /**
  * Deduplicate an array of business records
  */
 function deduplicateRecords(records) {
-  const seen = new Map();
-  const deduplicated = [];
-
-  for (const record of records) {
-    const key = getDeduplicationKey(record);
-
-    if (seen.has(key)) {
-      // Merge with existing record
-      const existing = seen.get(key);
-      const merged = mergeRecords(existing, record);
-      seen.set(key, merged);
-    } else {
-      // New record
-      seen.set(key, record);
-    }
-  }
-
-  // Convert map to array
-  return Array.from(seen.values());
+  return clusterDuplicates(records).rows;
 }
 
 module.exports = {
+  MATCH_THRESHOLD,
+  normalizeCompanyName,
   normalizePhone,
   normalizeUrl,
   normalizeRecord,
   deduplicateRecords,
+  clusterDuplicates,
+  scorePair,
+  getMatchProfile,
   getDeduplicationKey
 };
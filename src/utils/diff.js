@@ -0,0 +1,92 @@
+// Run-to-run diff: what appeared, disappeared or changed since a previous run
+const { normalizePhone, normalizeUrl } = require('./deduplication');
+
+/**
+ * Fields compared between runs, with the normalizer applied before comparing
+ */
+const DIFF_FIELDS = {
+  business_name: value => value?.trim() || null,
+  phone: normalizePhone,
+  website: normalizeUrl,
+  email: value => value?.trim()?.toLowerCase() || null,
+  street: value => value?.trim() || null,
+  is_operational: value => (typeof value === 'boolean' ? value : null)
+};
+
+/**
+ * Compare two runs' rows
+ * @param {Array} previousRows - Rows from the baseline run
+ * @param {Array} currentRows - Rows from the current run
+ * @param {Function} keyFn - Maps a row to its matching key
+ * @returns {Object} { added, removed, changed, summary }
+ */
+function diffRows(previousRows, currentRows, keyFn) {
+  // Rows without a key cannot be matched across runs and are left out
+  const keyed = rows => rows.map(row => [keyFn(row), row]).filter(([key]) => key);
+  const previousByKey = new Map(keyed(previousRows));
+  const currentByKey = new Map(keyed(currentRows));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, row] of currentByKey) {
+    const before = previousByKey.get(key);
+
+    if (!before) {
+      added.push(row);
+      continue;
+    }
+
+    const changes = compareRecords(before, row);
+    if (Object.keys(changes).length > 0) {
+      changed.push({
+        key,
+        record: row,
+        changes,
+        closed: before.is_operational === true && row.is_operational === false
+      });
+    }
+  }
+
+  for (const [key, row] of previousByKey) {
+    if (!currentByKey.has(key)) {
+      removed.push(row);
+    }
+  }
+
+  return {
+    added,
+    removed,
+    changed,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      closed: changed.filter(entry => entry.closed).length
+    }
+  };
+}
+
+/**
+ * Per-field before/after values for fields that differ
+ */
+function compareRecords(before, after) {
+  const changes = {};
+
+  for (const [field, normalize] of Object.entries(DIFF_FIELDS)) {
+    const oldValue = normalize(before[field]);
+    const newValue = normalize(after[field]);
+
+    if (oldValue !== newValue) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  DIFF_FIELDS,
+  diffRows
+};
@@ -0,0 +1,259 @@
+// Export formats for collection results (JSON, CSV, NDJSON)
+const { format: formatCsv, writeToString } = require('fast-csv');
+
+/**
+ * Column order of the default schema (see SYSTEM_PROMPT "Fields")
+ */
+const DEFAULT_COLUMNS = [
+  'business_name',
+  'category',
+  'street',
+  'city',
+  'state',
+  'postal_code',
+  'country',
+  'phone',
+  'email',
+  'website',
+  'source_url',
+  'confidence',
+  'notes'
+];
+
+/**
+ * Known source-specific columns, emitted in this order when present
+ */
+const OPTIONAL_COLUMNS = [
+  'source',
+  'source_updated_at',
+  'street_number',
+  'route',
+  'unit',
+  'county',
+  'phone_valid',
+  'phone_type',
+  'phone_national',
+  'phone_region',
+  'website_reachable',
+  'contact_url',
+  'email_source_url',
+  'social',
+  'alt_phones',
+  'google_place_id',
+  'google_rating',
+  'google_reviews',
+  'google_types',
+  'is_operational',
+  'opening_hours',
+  'search_query',
+  'search_area',
+  'search_area_type',
+  'oc_company_number',
+  'oc_jurisdiction',
+  'oc_legal_name',
+  'oc_incorporation_date',
+  'oc_status',
+  'oc_company_type',
+  'oc_registered_address',
+  'oc_agent_name',
+  'oc_agent_address',
+  'oc_url',
+  'oc_match_score',
+  'oc_match_verified',
+  'oc_inactive',
+  'merged_from',
+  'conflicts',
+  'provenance',
+  'confidence_breakdown',
+  'changes',
+  'closed'
+];
+
+const SUPPORTED_FORMATS = ['json', 'csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Resolve the requested output format
+ * Explicit `format` wins over the Accept header; defaults to JSON
+ * @param {Object} req - Express request
+ * @param {string} [explicitFormat] - Format from query string or body
+ * @returns {string|null} Format name, or null if the explicit format is unsupported
+ */
+function resolveFormat(req, explicitFormat) {
+  if (explicitFormat) {
+    const requested = String(explicitFormat).toLowerCase();
+    return SUPPORTED_FORMATS.includes(requested) ? requested : null;
+  }
+
+  const accepted = req.accepts(['application/json', 'text/csv', 'application/x-ndjson']);
+  if (accepted === 'text/csv') return 'csv';
+  if (accepted === 'application/x-ndjson') return 'ndjson';
+
+  return 'json';
+}
+
+/**
+ * Build a stable column list: default schema first, then any extras present in the rows
+ * (delta exports lead with the `change` column)
+ */
+function getColumns(rows) {
+  const present = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => present.add(key)));
+
+  const leading = present.has('change') ? ['change'] : [];
+  const optional = OPTIONAL_COLUMNS.filter(column => present.has(column));
+  const known = new Set(['change', ...DEFAULT_COLUMNS, ...OPTIONAL_COLUMNS]);
+  const extras = Array.from(present)
+    .filter(column => !known.has(column))
+    .sort();
+
+  return [...leading, ...DEFAULT_COLUMNS, ...optional, ...extras];
+}
+
+/**
+ * Rows written by the row-only formats (CSV, NDJSON)
+ * A diffed result (since / mode=delta) is written as its diff: added, changed and removed rows with a
+ * `change` column, changed rows also carrying `changes` (before/after per field) and `closed`.
+ * Unchanged rows are left out; meta.total_found still counts them.
+ * @param {Object} result - { rows, diff }
+ * @returns {Array}
+ */
+function exportRows({ rows, diff }) {
+  if (!diff) return rows;
+
+  return [
+    ...diff.added.map(row => ({ change: 'added', ...row })),
+    ...diff.changed.map(({ record, changes, closed }) => ({ change: 'changed', ...record, changes, closed })),
+    ...diff.removed.map(row => ({ change: 'removed', ...row }))
+  ];
+}
+
+/**
+ * Flatten a row for CSV output (nested values become JSON strings)
+ */
+function toCsvRow(row, columns) {
+  const flat = {};
+
+  for (const column of columns) {
+    const value = row[column];
+
+    if (value === null || value === undefined) {
+      flat[column] = '';
+    } else if (typeof value === 'object') {
+      flat[column] = JSON.stringify(value);
+    } else {
+      flat[column] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * File name stem for a result, e.g. "plumbers-tampa-fl"
+ */
+function resultSlug(meta) {
+  return `${meta.category || 'businesses'}-${meta.geography || 'all'}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Render a collection result as a string, for exports written to disk
+ * @param {Object} result - { meta, rows }
+ * @param {string} format - json | csv | ndjson
+ * @returns {Promise<string>}
+ */
+async function formatResult(result, format = 'json') {
+  if (format === 'json') {
+    return JSON.stringify(result, null, 2);
+  }
+
+  const rows = exportRows(result);
+
+  if (format === 'ndjson') {
+    return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+  }
+
+  const columns = getColumns(rows);
+  return writeToString(rows.map(row => toCsvRow(row, columns)), { headers: columns, alwaysWriteHeaders: true });
+}
+
+/**
+ * Summarize meta into response headers for row-only formats
+ */
+function setMetaHeaders(res, meta) {
+  res.set('X-Total-Found', String(meta.total_found ?? 0));
+  res.set('X-Generated-At', meta.generated_at || '');
+  res.set('X-Sources-Used', (meta.sources_used || []).join(', '));
+  res.set('X-Category', encodeURIComponent(meta.category || ''));
+  res.set('X-Geography', encodeURIComponent(meta.geography || ''));
+
+  if (meta.error) {
+    res.set('X-Collection-Error', encodeURIComponent(meta.error));
+  }
+}
+
+/**
+ * Send a collection result in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} result - { meta, rows }
+ * @param {string} format - json | csv | ndjson
+ * @param {Object} [options]
+ * @param {boolean} [options.metaComment] - Append meta as a trailing "#" comment line (CSV only)
+ */
+function sendResult(res, result, format = 'json', { metaComment = false } = {}) {
+  if (format === 'json') {
+    return res.json(result);
+  }
+
+  const { meta } = result;
+  const rows = exportRows(result);
+  const slug = resultSlug(meta);
+
+  res.type(CONTENT_TYPES[format]);
+  setMetaHeaders(res, meta);
+
+  if (format === 'ndjson') {
+    for (const row of rows) {
+      res.write(`${JSON.stringify(row)}\n`);
+    }
+    return res.end();
+  }
+
+  const columns = getColumns(rows);
+  const csvStream = formatCsv({ headers: columns, alwaysWriteHeaders: true });
+
+  res.set('Content-Disposition', `attachment; filename="${slug}.csv"`);
+  csvStream.pipe(res, { end: false });
+  csvStream.on('end', () => {
+    if (metaComment) {
+      res.write(`\n# meta: ${JSON.stringify(meta)}\n`);
+    }
+    res.end();
+  });
+
+  for (const row of rows) {
+    csvStream.write(toCsvRow(row, columns));
+  }
+  csvStream.end();
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  OPTIONAL_COLUMNS,
+  SUPPORTED_FORMATS,
+  CONTENT_TYPES,
+  resolveFormat,
+  getColumns,
+  exportRows,
+  resultSlug,
+  formatResult,
+  sendResult
+};
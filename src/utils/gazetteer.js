@@ -0,0 +1,105 @@
+// Offline US gazetteer: states -> counties -> cities/ZIPs with population
+// Used to fan a state-level geography out into metro-sized searches
+const { states } = require('../data/us-gazetteer.json');
+
+const COUNTRY_SUFFIX = /,?\s*(usa|us|u\.s\.a?\.?|united states( of america)?)$/i;
+
+// State names that usually mean a city: "New York" is New York City, "Washington" is DC
+const CITY_NAMED_STATES = ['new york', 'washington'];
+
+/**
+ * Split a geography into the state it may name, and whether it says "state" outright
+ * ("State of New York", "Washington State")
+ */
+function parseStateGeography(geography) {
+  const base = String(geography).trim().replace(COUNTRY_SUFFIX, '').trim();
+  const name = base
+    .replace(/^state of\s+/i, '')
+    .replace(/\s+state$/i, '')
+    .trim()
+    .toLowerCase();
+
+  return { name, explicit: name !== base.toLowerCase() };
+}
+
+/**
+ * Resolve a geography to a state code when it names a whole state
+ * "Florida", "FL", "State of Florida", "Florida, USA" -> "FL"; "Tampa, FL" -> null
+ * @returns {string|null} Two-letter state code
+ */
+function resolveState(geography) {
+  if (!geography) return null;
+
+  const { name } = parseStateGeography(geography);
+  if (!name) return null;
+
+  for (const [code, state] of Object.entries(states)) {
+    if (code.toLowerCase() === name || state.name.toLowerCase() === name) {
+      return code;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a geography can only mean a whole state: a bare state code, or a state name that is
+ * not also a city's ("Florida", "State of New York", "Washington State", but not "New York")
+ */
+function isUnambiguousState(geography) {
+  if (!resolveState(geography)) return false;
+
+  const { name, explicit } = parseStateGeography(geography);
+  return explicit || !CITY_NAMED_STATES.includes(name);
+}
+
+/**
+ * Gazetteer entry for a state
+ * @returns {Object|null} { name, population, counties: [{ name, population, cities: [{ name, population, zips }] }] }
+ */
+function getState(code) {
+  return states[code] || null;
+}
+
+/**
+ * Sub-areas of a state in search order: cities by population (largest first),
+ * then counties by population to reach places outside the listed cities
+ * @returns {Array<Object>} { type, name, label, population, zips, county }
+ */
+function listSubAreas(code) {
+  const state = getState(code);
+  if (!state) return [];
+
+  const cities = [];
+  for (const county of state.counties) {
+    for (const city of county.cities) {
+      cities.push({
+        type: 'city',
+        name: city.name,
+        label: `${city.name}, ${code}`,
+        population: city.population,
+        zips: city.zips,
+        county: county.name
+      });
+    }
+  }
+
+  const counties = state.counties.map(county => ({
+    type: 'county',
+    name: county.name,
+    label: `${county.name}, ${code}`,
+    population: county.population,
+    zips: [],
+    county: county.name
+  }));
+
+  const byPopulation = (a, b) => b.population - a.population;
+  return [...cities.sort(byPopulation), ...counties.sort(byPopulation)];
+}
+
+module.exports = {
+  resolveState,
+  isUnambiguousState,
+  getState,
+  listSubAreas
+};
@@ -0,0 +1,147 @@
+// Geographic helpers: geocoding a geography to a bounding box and tiling it into search circles
+const { scheduleRequest } = require('./request-scheduler');
+const { UpstreamError } = require('./resilience');
+const logger = require('./logger');
+
+const EARTH_RADIUS_M = 6371000;
+// Places Text Search rejects location bias radii above 50 km
+const MAX_SEARCH_RADIUS_M = 50000;
+// Geocoding statuses worth retrying, as for the Places calls
+const TRANSIENT_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+
+/**
+ * Great-circle distance between two points in meters
+ */
+function distanceMeters(a, b) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Whether a point falls inside a bounding box
+ * @param {Object} point - { lat, lng }
+ * @param {Object} bounds - { north, south, east, west }
+ */
+function isInBounds(point, bounds) {
+  return point.lat <= bounds.north && point.lat >= bounds.south &&
+    point.lng <= bounds.east && point.lng >= bounds.west;
+}
+
+/**
+ * Resolve a geography ("Florida", "Tampa, FL") to a bounding box with the Geocoding API
+ * Call it through a source's health.call so transient statuses are retried
+ * @param {Object} [options]
+ * @param {Object} [options.usage] - Usage meter the call is recorded on
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onRetry] - Called when the request scheduler retries a throttled request
+ * @returns {Promise<Object|null>} { north, south, east, west }, or null when nothing matches the geography
+ * @throws {UpstreamError} When the response status is not OK or ZERO_RESULTS
+ */
+async function geocodeBounds(geography, apiKey, { usage, signal, onRetry } = {}) {
+  const response = await scheduleRequest({
+    url: 'https://maps.googleapis.com/maps/api/geocode/json',
+    params: { address: geography, region: 'us', key: apiKey },
+    timeout: 10000
+  }, { signal, onRetry });
+  await usage?.record('geocoding', { apiKey });
+
+  const { data } = response;
+  if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+    throw new UpstreamError(`Geocoding API error: ${data.status} - ${data.error_message || 'Unknown error'}`, {
+      code: data.status,
+      transient: TRANSIENT_STATUSES.includes(data.status)
+    });
+  }
+
+  const result = data.results?.[0];
+  if (!result) {
+    logger.warn(`Could not geocode "${geography}": no results`);
+    return null;
+  }
+
+  const box = result.geometry.bounds || result.geometry.viewport;
+  return {
+    north: box.northeast.lat,
+    east: box.northeast.lng,
+    south: box.southwest.lat,
+    west: box.southwest.lng
+  };
+}
+
+/**
+ * Build a tile covering a bounding box
+ * The search circle is centered on the box and reaches its corners
+ */
+function makeTile(bounds, depth = 0) {
+  const center = {
+    lat: (bounds.north + bounds.south) / 2,
+    lng: (bounds.east + bounds.west) / 2
+  };
+  const radius = Math.ceil(distanceMeters(center, { lat: bounds.north, lng: bounds.east }));
+
+  return { bounds, center, radius, depth };
+}
+
+/**
+ * Split a bounding box into a grid of tiles whose circles are at most maxRadius
+ * @param {Object} bounds - { north, south, east, west }
+ * @param {number} [maxRadius] - Largest allowed circle radius in meters
+ * @returns {Array<Object>} Tiles { bounds, center, radius, depth }
+ */
+function tileBounds(bounds, maxRadius = MAX_SEARCH_RADIUS_M) {
+  const radius = Math.min(maxRadius, MAX_SEARCH_RADIUS_M);
+  const midLat = (bounds.north + bounds.south) / 2;
+  const heightM = distanceMeters({ lat: bounds.south, lng: bounds.west }, { lat: bounds.north, lng: bounds.west });
+  const widthM = distanceMeters({ lat: midLat, lng: bounds.west }, { lat: midLat, lng: bounds.east });
+
+  // A square of side r·√2 fits inside a circle of radius r
+  const side = radius * Math.SQRT2;
+  const rows = Math.max(1, Math.ceil(heightM / side));
+  const cols = Math.max(1, Math.ceil(widthM / side));
+  const latStep = (bounds.north - bounds.south) / rows;
+  const lngStep = (bounds.east - bounds.west) / cols;
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      tiles.push(makeTile({
+        south: bounds.south + row * latStep,
+        north: bounds.south + (row + 1) * latStep,
+        west: bounds.west + col * lngStep,
+        east: bounds.west + (col + 1) * lngStep
+      }));
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Split a tile into four quadrants (quadtree step)
+ */
+function subdivideTile(tile) {
+  const { north, south, east, west } = tile.bounds;
+  const midLat = (north + south) / 2;
+  const midLng = (east + west) / 2;
+
+  return [
+    { north, south: midLat, west, east: midLng },
+    { north, south: midLat, west: midLng, east },
+    { north: midLat, south, west, east: midLng },
+    { north: midLat, south, west: midLng, east }
+  ].map(bounds => makeTile(bounds, tile.depth + 1));
+}
+
+module.exports = {
+  MAX_SEARCH_RADIUS_M,
+  distanceMeters,
+  isInBounds,
+  geocodeBounds,
+  tileBounds,
+  subdivideTile
+};
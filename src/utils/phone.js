@@ -0,0 +1,89 @@
+// Phone parsing, validation and line-type classification (libphonenumber-js)
+// Uses the "max" metadata build, which is required for getType()
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+/**
+ * libphonenumber line types mapped onto the types rows report: fixed-line, mobile, toll-free or unknown
+ * Types missing here (premium rate, shared cost, pager, ...) are reported as unknown.
+ */
+const PHONE_TYPES = {
+  FIXED_LINE: 'fixed-line',
+  MOBILE: 'mobile',
+  // Most US/CA numbers: landlines and mobiles share area codes, so the number alone cannot tell
+  FIXED_LINE_OR_MOBILE: 'unknown',
+  TOLL_FREE: 'toll-free',
+  // Geographic-style numbers answered like a landline, and not reliably able to receive SMS
+  VOIP: 'fixed-line'
+};
+
+/**
+ * Map a row's country to an ISO 3166-1 alpha-2 region for parsing
+ * Collectors have used both 'US' and 'USA'
+ */
+function toRegion(country) {
+  const code = (country || '').trim().toUpperCase();
+
+  if (code === 'USA' || code === 'UNITED STATES') return 'US';
+  if (/^[A-Z]{2}$/.test(code)) return code;
+
+  return 'US';
+}
+
+/**
+ * Parse and classify a phone number
+ * @param {string} raw - Phone as published (any formatting)
+ * @param {string} [country='US'] - Row country used for numbers without a country code
+ * @returns {Object} { phone (E.164 or null), phone_valid, phone_type, phone_national, phone_region }
+ */
+function parsePhone(raw, country = 'US') {
+  const invalid = {
+    phone: null,
+    phone_valid: false,
+    phone_type: 'unknown',
+    phone_national: null,
+    phone_region: null
+  };
+
+  if (!raw) return invalid;
+
+  const parsed = parsePhoneNumberFromString(String(raw), toRegion(country));
+  if (!parsed || !parsed.isValid()) return invalid;
+
+  return {
+    phone: parsed.number,
+    phone_valid: true,
+    phone_type: PHONE_TYPES[parsed.getType()] || 'unknown',
+    phone_national: parsed.formatNational(),
+    phone_region: parsed.country || null
+  };
+}
+
+/**
+ * Validate a row's phone in place of the raw value
+ * Invalid numbers are rejected to null with a note, so they never reach the dialer
+ * @returns {Object} A new row with phone_* fields
+ */
+function applyPhoneValidation(row) {
+  if (!row.phone) {
+    return { ...row, phone: null, phone_valid: false, phone_type: null, phone_national: null, phone_region: null };
+  }
+
+  const parsed = parsePhone(row.phone, row.country);
+
+  if (!parsed.phone_valid) {
+    return {
+      ...row,
+      ...parsed,
+      notes: [row.notes, `phone "${row.phone}" rejected: not a valid ${toRegion(row.country)} number`].filter(Boolean).join(' | ')
+    };
+  }
+
+  return { ...row, ...parsed };
+}
+
+module.exports = {
+  PHONE_TYPES,
+  toRegion,
+  parsePhone,
+  applyPhoneValidation
+};
@@ -0,0 +1,226 @@
+// Field-level provenance and survivorship rules for merging duplicate rows
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const RULES_FILE = process.env.SURVIVORSHIP_RULES_FILE
+  ? path.resolve(process.env.SURVIVORSHIP_RULES_FILE)
+  : path.join(__dirname, '..', 'config', 'survivorship.json');
+
+/**
+ * Fields that move together when merging: the phone's validation fields must
+ * describe the phone that survives, and an address is never assembled from two sources.
+ * Provenance is kept for the fields listed under `tracked`.
+ */
+const FIELD_GROUPS = {
+  business_name: { fields: ['business_name'], tracked: ['business_name'] },
+  legal_name: { fields: ['oc_legal_name'], tracked: ['oc_legal_name'] },
+  address: {
+    fields: ['street', 'street_number', 'route', 'unit', 'city', 'county', 'state', 'postal_code', 'country'],
+    tracked: ['street', 'city', 'state', 'postal_code']
+  },
+  phone: {
+    fields: ['phone', 'phone_valid', 'phone_type', 'phone_national', 'phone_region'],
+    tracked: ['phone']
+  },
+  email: { fields: ['email', 'email_source_url'], tracked: ['email'] },
+  website: { fields: ['website'], tracked: ['website'] }
+};
+
+// Fields handled by the merge itself rather than copied from one record
+const MERGE_FIELDS = ['notes', 'confidence', 'source_updated_at', 'provenance', 'conflicts', 'merged_from'];
+
+let rules = null;
+
+/**
+ * Survivorship rules: group -> sources in order of preference
+ */
+function getSurvivorshipRules() {
+  if (rules) return rules;
+
+  rules = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+
+    for (const [group, sources] of Object.entries(config.groups || {})) {
+      if (!FIELD_GROUPS[group]) {
+        logger.warn(`Survivorship rule for unknown group "${group}" ignored (known: ${Object.keys(FIELD_GROUPS).join(', ')})`);
+      } else if (!Array.isArray(sources)) {
+        logger.warn(`Survivorship rule for "${group}" must be a list of sources`);
+      } else {
+        rules[group] = sources;
+      }
+    }
+  } catch (error) {
+    logger.warn(`Could not load survivorship rules from ${RULES_FILE}: ${error.message}; using highest confidence`);
+  }
+
+  return rules;
+}
+
+/**
+ * Source that produced a field's value on a row
+ */
+function sourceOf(row, field) {
+  return row.provenance?.[field]?.source || row.source || null;
+}
+
+/**
+ * Tag a collected row with its source and the provenance of each value it has
+ * @param {Object} row
+ * @param {string} source - Collector name, e.g. "google_places"
+ * @param {string} observedAt - ISO time the source was read
+ * @returns {Object} A new row with `source` and `provenance`
+ */
+function attachProvenance(row, source, observedAt) {
+  const provenance = {};
+
+  for (const { tracked } of Object.values(FIELD_GROUPS)) {
+    for (const field of tracked) {
+      if (isPresent(row[field])) {
+        provenance[field] = {
+          value: row[field],
+          source,
+          source_url: row.source_url || null,
+          observed_at: observedAt
+        };
+      }
+    }
+  }
+
+  return { ...row, source, provenance };
+}
+
+/**
+ * Record where a value set after collection (e.g. by enrichment) came from
+ * @returns {Object} The provenance map with the field updated
+ */
+function setProvenance(row, field, { source, source_url: sourceUrl, observed_at: observedAt }) {
+  return {
+    ...(row.provenance || {}),
+    [field]: {
+      value: row[field],
+      source,
+      source_url: sourceUrl || null,
+      observed_at: observedAt || new Date().toISOString()
+    }
+  };
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Loose comparison form so formatting differences are not reported as conflicts
+ */
+function comparable(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?/, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Pick the record whose group values survive
+ * @param {Array} records - Cluster members, highest confidence first
+ */
+function pickSurvivor(records, group) {
+  const { fields } = FIELD_GROUPS[group];
+  const candidates = records.filter(record => fields.some(field => isPresent(record[field])));
+  if (candidates.length === 0) return null;
+
+  const preference = getSurvivorshipRules()[group];
+  if (!preference) return candidates[0];
+
+  const rank = record => {
+    const index = preference.indexOf(sourceOf(record, fields[0]));
+    return index === -1 ? preference.length : index;
+  };
+
+  // Stable sort keeps confidence order among sources of equal rank
+  return candidates.slice().sort((a, b) => rank(a) - rank(b))[0];
+}
+
+/**
+ * Merge duplicate records with survivorship rules
+ * Grouped fields come from the record the rules prefer, with their provenance;
+ * differing values from other records are kept in `conflicts`. Other fields take
+ * the highest-confidence value, filled from the rest when empty.
+ * @param {Array} records - Cluster members, highest confidence first
+ * @returns {Object} Merged row
+ */
+function mergeWithSurvivorship(records) {
+  const [primary] = records;
+  // Start from the highest-confidence record so its key order is kept
+  const merged = { ...primary };
+  const provenance = {};
+  const conflicts = {};
+  const grouped = new Set(Object.values(FIELD_GROUPS).flatMap(({ fields }) => fields));
+
+  // Ungrouped fields: highest confidence wins, blanks filled from the others
+  for (const record of records.slice(1)) {
+    for (const [key, value] of Object.entries(record)) {
+      if (grouped.has(key) || MERGE_FIELDS.includes(key)) continue;
+      if (!isPresent(merged[key]) && isPresent(value)) merged[key] = value;
+    }
+  }
+
+  for (const [group, { fields, tracked }] of Object.entries(FIELD_GROUPS)) {
+    const survivor = pickSurvivor(records, group);
+    if (!survivor) continue;
+
+    for (const field of fields) {
+      if (field in survivor || field in merged) {
+        merged[field] = isPresent(survivor[field]) ? survivor[field] : null;
+      }
+    }
+
+    for (const field of tracked) {
+      if (!isPresent(survivor[field])) continue;
+
+      provenance[field] = survivor.provenance?.[field] || {
+        value: survivor[field],
+        source: sourceOf(survivor, field),
+        source_url: survivor.source_url || null,
+        observed_at: null
+      };
+
+      const seen = new Set([comparable(survivor[field])]);
+      for (const record of records) {
+        if (record === survivor || !isPresent(record[field])) continue;
+
+        const key = comparable(record[field]);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        if (!conflicts[field]) conflicts[field] = [];
+        conflicts[field].push({
+          value: record[field],
+          source: sourceOf(record, field),
+          source_url: record.provenance?.[field]?.source_url || record.source_url || null
+        });
+      }
+    }
+  }
+
+  merged.confidence = Math.max(...records.map(record => record.confidence || 0));
+  merged.notes = [...new Set(records.map(record => record.notes).filter(Boolean))].join(' | ') || null;
+  // Most recent source date: any source confirming the business recently keeps it current
+  const updatedDates = records.map(record => record.source_updated_at).filter(Boolean)
+    .sort((a, b) => Date.parse(a) - Date.parse(b));
+  if (updatedDates.length > 0) merged.source_updated_at = updatedDates[updatedDates.length - 1];
+  merged.provenance = provenance;
+  delete merged.conflicts;
+  if (Object.keys(conflicts).length > 0) merged.conflicts = conflicts;
+
+  return merged;
+}
+
+module.exports = {
+  FIELD_GROUPS,
+  getSurvivorshipRules,
+  attachProvenance,
+  setProvenance,
+  mergeWithSurvivorship
+};
@@ -0,0 +1,311 @@
+// Shared request scheduler - every outbound HTTP call from collectors and enrichment goes through here
+// Requests are queued per host and started within that host's limits (src/config/request-limits.json):
+// a concurrency cap, a token bucket, an optional minimum spacing (crawl delays, free-tier pacing) and a
+// jittered exponential backoff after 429 responses. Limits are shared by every run in the process.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('./logger');
+const { backoffDelay } = require('./resilience');
+
+const BUNDLED_LIMITS_FILE = path.join(__dirname, '..', 'config', 'request-limits.json');
+const LIMITS_FILE = process.env.REQUEST_LIMITS_FILE
+  ? path.resolve(process.env.REQUEST_LIMITS_FILE)
+  : BUNDLED_LIMITS_FILE;
+
+// Hosts with nothing queued or in flight and a full token bucket are forgotten after this long
+// (websites are each contacted for a few pages, so the host table would otherwise keep growing)
+const HOST_IDLE_MS = (parseFloat(process.env.REQUEST_HOST_IDLE_MINUTES) || 10) * 60 * 1000;
+// Hosts listed by GET /diagnostics, busiest first
+const MAX_REPORTED_HOSTS = 50;
+
+let limits = null;
+
+/**
+ * Host limits: { defaults, hosts: { host: { concurrency, rate_per_second, burst, max_retries, ... } } }
+ * Falls back to the bundled file when REQUEST_LIMITS_FILE cannot be read
+ */
+function getRequestLimits() {
+  if (limits) return limits;
+
+  const load = file => {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { defaults: config.defaults || {}, hosts: config.hosts || {} };
+  };
+
+  try {
+    limits = load(LIMITS_FILE);
+  } catch (error) {
+    if (LIMITS_FILE === BUNDLED_LIMITS_FILE) throw error;
+    logger.warn(`Could not load request limits from ${LIMITS_FILE}: ${error.message}; using the bundled limits`);
+    limits = load(BUNDLED_LIMITS_FILE);
+  }
+
+  return limits;
+}
+
+/**
+ * Effective limits for a host: its own entry over the defaults
+ */
+function getHostPolicy(host) {
+  const { defaults, hosts } = getRequestLimits();
+  return { ...defaults, ...(hosts[host] || {}) };
+}
+
+/**
+ * Retry-After header in ms (seconds or an HTTP date), or null
+ */
+function retryAfterMs(response) {
+  const header = response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function cancelledError() {
+  const error = new Error('Request cancelled');
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+/**
+ * Create a scheduler
+ * @param {Object} [options]
+ * @param {Function} [options.transport] - Sends an axios request config; defaults to axios.request
+ * @param {number} [options.idleMs] - How long an idle host's state is kept (HOST_IDLE_MS)
+ */
+function createRequestScheduler({ transport = config => axios.request(config), idleMs = HOST_IDLE_MS } = {}) {
+  const hosts = new Map();
+  let evicted = 0;
+  let sweptAt = Date.now();
+
+  const hostState = host => {
+    if (!hosts.has(host)) {
+      const policy = getHostPolicy(host);
+      hosts.set(host, {
+        host,
+        policy,
+        queue: [],
+        active: 0,
+        tokens: policy.burst || 1,
+        refilledAt: Date.now(),
+        pausedUntil: 0,
+        lastStartedAt: 0,
+        lastActiveAt: Date.now(),
+        timer: null,
+        wakeAt: 0,
+        stats: { requests: 0, retries: 0, throttled: 0, cancelled: 0, max_queued: 0 }
+      });
+    }
+    return hosts.get(host);
+  };
+
+  const refill = (state, now) => {
+    const { rate_per_second: rate, burst = 1 } = state.policy;
+    if (!rate) {
+      state.tokens = Infinity;
+      return;
+    }
+    state.tokens = Math.min(burst, state.tokens + ((now - state.refilledAt) / 1000) * rate);
+    state.refilledAt = now;
+  };
+
+  // When the host's own limits (backoff pause, token bucket) next allow a start
+  const hostReadyAt = (state, now) => {
+    const tokenWait = state.tokens >= 1 ? 0 : ((1 - state.tokens) / state.policy.rate_per_second) * 1000;
+    return Math.max(state.pausedUntil, now + Math.ceil(tokenWait));
+  };
+
+  // Nothing queued, in flight or paused, the bucket full again, and no request for idleMs;
+  // idleMs is far longer than any crawl delay, so dropping the state loses no spacing
+  const isIdle = (state, now) => {
+    if (state.active > 0 || state.queue.length > 0 || state.timer || state.pausedUntil > now) return false;
+    refill(state, now);
+    return state.tokens >= (state.policy.burst || 1) && now - state.lastActiveAt >= idleMs;
+  };
+
+  // Drop idle hosts, at most once per idleMs (or minute)
+  const sweep = now => {
+    if (now - sweptAt < Math.min(idleMs, 60000)) return;
+    sweptAt = now;
+
+    for (const [host, state] of hosts) {
+      if (isIdle(state, now)) {
+        hosts.delete(host);
+        evicted++;
+      }
+    }
+  };
+
+  // When a queued job may start as far as the job itself is concerned (page token delay, spacing)
+  const jobReadyAt = (state, job) => Math.max(job.notBefore, state.lastStartedAt + job.minIntervalMs);
+
+  // Pump again at `at`, unless a pump is already due sooner
+  const wake = (state, at) => {
+    if (state.timer && state.wakeAt <= at) return;
+    clearTimeout(state.timer);
+    state.wakeAt = at;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      pump(state);
+    }, Math.max(0, at - Date.now()));
+  };
+
+  // Start as many queued jobs as the host's limits allow; a job waiting on its own delay
+  // does not hold up the jobs queued behind it
+  const pump = state => {
+    while (state.queue.length > 0 && state.active < (state.policy.concurrency || 1)) {
+      const now = Date.now();
+      refill(state, now);
+
+      const readyAt = hostReadyAt(state, now);
+      if (readyAt > now) {
+        wake(state, readyAt);
+        return;
+      }
+
+      const index = state.queue.findIndex(job => jobReadyAt(state, job) <= now);
+      if (index === -1) {
+        wake(state, Math.min(...state.queue.map(job => jobReadyAt(state, job))));
+        return;
+      }
+
+      const [job] = state.queue.splice(index, 1);
+      state.tokens -= 1;
+      state.active++;
+      state.lastStartedAt = now;
+      state.lastActiveAt = now;
+      state.stats.requests++;
+      run(state, job);
+    }
+  };
+
+  const run = async (state, job) => {
+    try {
+      job.resolve(await transport({ ...job.config, signal: job.signal }));
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (status === 429 && job.attempt < (state.policy.max_retries || 0) && !job.signal?.aborted) {
+        // Throttled: pause the whole host, then put the request back at the front of the queue
+        const delay = retryAfterMs(error.response) ?? backoffDelay(job.attempt, {
+          baseDelayMs: state.policy.backoff_base_ms,
+          maxDelayMs: state.policy.backoff_max_ms
+        });
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+        state.stats.throttled++;
+        state.stats.retries++;
+        logger.warn(`${state.host} returned 429; retrying in ${delay}ms (attempt ${job.attempt + 1})`);
+
+        job.attempt++;
+        job.onRetry?.(error);
+        state.queue.unshift(job);
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      state.active--;
+      state.lastActiveAt = Date.now();
+      pump(state);
+    }
+  };
+
+  return {
+    /**
+     * Send a request once its host has capacity
+     * @param {Object} config - axios request config (url, method, params, data, headers, timeout)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Removes a queued request, or aborts it in flight
+     * @param {number} [options.notBefore] - Timestamp before which the request must not start
+     *   (e.g. when a Google next_page_token becomes valid)
+     * @param {number} [options.minIntervalMs=0] - Minimum time since the previous request to the same host
+     *   started (robots.txt Crawl-delay, free-tier pacing)
+     * @param {Function} [options.onRetry] - Called each time a throttled request is put back in the queue
+     * @returns {Promise<Object>} axios response
+     */
+    request(config, { signal, notBefore = 0, minIntervalMs = 0, onRetry } = {}) {
+      if (signal?.aborted) return Promise.reject(cancelledError());
+
+      sweep(Date.now());
+      const state = hostState(new URL(config.url).host);
+
+      return new Promise((resolve, reject) => {
+        const job = { config, signal, notBefore, minIntervalMs, onRetry, attempt: 0 };
+
+        const onAbort = () => {
+          const index = state.queue.indexOf(job);
+          if (index === -1) return; // In flight: axios rejects it
+          state.queue.splice(index, 1);
+          state.stats.cancelled++;
+          job.reject(cancelledError());
+        };
+
+        const settle = done => value => {
+          signal?.removeEventListener('abort', onAbort);
+          done(value);
+        };
+        job.resolve = settle(resolve);
+        job.reject = settle(reject);
+
+        signal?.addEventListener('abort', onAbort);
+        state.queue.push(job);
+        state.stats.max_queued = Math.max(state.stats.max_queued, state.queue.length);
+        pump(state);
+      });
+    },
+
+    /**
+     * Per-host limits, load and counters (reported by GET /diagnostics)
+     * @param {Object} [options]
+     * @param {number} [options.maxHosts=MAX_REPORTED_HOSTS] - Hosts listed: busiest (in flight and queued), then most requested
+     * @returns {Object} { hosts_tracked, hosts_evicted, hosts: { host: { limits, active, queued, requests, ... } } }
+     */
+    stats({ maxHosts = MAX_REPORTED_HOSTS } = {}) {
+      sweep(Date.now());
+
+      const listed = Array.from(hosts.values())
+        .sort((a, b) => (b.active + b.queue.length) - (a.active + a.queue.length) || b.stats.requests - a.stats.requests)
+        .slice(0, maxHosts);
+
+      return {
+        hosts_tracked: hosts.size,
+        hosts_evicted: evicted,
+        hosts: Object.fromEntries(listed.map(state => [state.host, {
+          limits: state.policy,
+          active: state.active,
+          queued: state.queue.length,
+          ...state.stats
+        }]))
+      };
+    }
+  };
+}
+
+let scheduler = null;
+
+/**
+ * The process-wide scheduler shared by every collector and enrichment stage
+ */
+function getRequestScheduler() {
+  if (!scheduler) scheduler = createRequestScheduler();
+  return scheduler;
+}
+
+/**
+ * Send a request through the process-wide scheduler (see request() above)
+ */
+function scheduleRequest(config, options) {
+  return getRequestScheduler().request(config, options);
+}
+
+module.exports = {
+  getRequestLimits,
+  getHostPolicy,
+  createRequestScheduler,
+  getRequestScheduler,
+  scheduleRequest
+};
@@ -0,0 +1,330 @@
+// Resilience for upstream API calls: error classification, retries and per-source circuit breakers
+// Transient failures (network errors, timeouts, 5xx, Google OVER_QUERY_LIMIT / UNKNOWN_ERROR) are retried
+// with a jittered exponential backoff; fatal ones (bad key, billing, invalid request) are not. A source
+// whose calls keep failing trips its circuit breaker, and later runs skip it until the cooldown has passed.
+const logger = require('./logger');
+
+/**
+ * Retry policy for transient failures
+ */
+const RETRY = {
+  maxRetries: parseInt(process.env.UPSTREAM_MAX_RETRIES) || 3,
+  baseDelayMs: parseInt(process.env.UPSTREAM_RETRY_BASE_MS) || 500,
+  maxDelayMs: 15000
+};
+
+/**
+ * Circuit breaker policy: consecutive failed calls that open a source's circuit, and how long it stays open
+ */
+const CIRCUIT = {
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+  cooldownMs: (parseFloat(process.env.CIRCUIT_COOLDOWN_SECONDS) || 300) * 1000
+};
+
+const TRANSIENT_HTTP_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK']);
+
+/**
+ * Error reported in a successful HTTP response body (e.g. a Google `status` other than OK)
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Upstream status, e.g. "OVER_QUERY_LIMIT"
+   * @param {boolean} [options.transient=false] - Whether the same call may succeed later
+   * @param {number} [options.status] - HTTP status, when the API reports errors with one
+   */
+  constructor(message, { code, transient = false, status } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.transient = transient;
+    this.status = status;
+  }
+}
+
+/**
+ * Raised instead of calling a source whose circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(source, retryAt) {
+    super(`Circuit open for ${source} after repeated failures; retrying after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.source = source;
+    this.retryAt = retryAt;
+  }
+}
+
+function isTransientHttpStatus(status) {
+  return TRANSIENT_HTTP_STATUSES.has(status);
+}
+
+function isCancellation(error) {
+  return error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError';
+}
+
+/**
+ * Classify an error from an upstream call
+ * @returns {string} "transient" (worth retrying) or "fatal"
+ */
+function classifyError(error) {
+  if (error instanceof UpstreamError) return error.transient ? 'transient' : 'fatal';
+  if (error instanceof CircuitOpenError) return 'fatal';
+
+  const status = error?.response?.status;
+  if (status) return isTransientHttpStatus(status) ? 'transient' : 'fatal';
+  if (TRANSIENT_NETWORK_CODES.has(error?.code)) return 'transient';
+
+  // Sent but never answered; anything else (bad URL, a bug) will fail the same way again
+  return error?.request ? 'transient' : 'fatal';
+}
+
+/**
+ * Full-jitter exponential backoff: a random wait up to base * 2^attempt, capped
+ */
+function backoffDelay(attempt, { baseDelayMs = RETRY.baseDelayMs, maxDelayMs = RETRY.maxDelayMs } = {}) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Wait, or reject as cancelled as soon as the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancelled = () => {
+      clearTimeout(timer);
+      const error = new Error('Request cancelled');
+      error.code = 'ERR_CANCELED';
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', cancelled);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) return cancelled();
+    signal?.addEventListener('abort', cancelled, { once: true });
+  });
+}
+
+/**
+ * Circuit breaker: closed until `failureThreshold` calls in a row fail, then open for `cooldownMs`,
+ * then half-open - one trial call closes it again on success or reopens it on failure
+ */
+function createCircuitBreaker(source, { failureThreshold = CIRCUIT.failureThreshold, cooldownMs = CIRCUIT.cooldownMs } = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const currentState = () => {
+    if (state === 'open' && Date.now() >= openedAt + cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+    return state;
+  };
+
+  return {
+    source,
+
+    get state() {
+      return currentState();
+    },
+
+    /**
+     * Whether a call may be made now (claims the trial call when half-open)
+     */
+    allow() {
+      const current = currentState();
+      if (current === 'closed') return true;
+      if (current === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') logger.info(`Circuit for ${source} closed`);
+      state = 'closed';
+      consecutiveFailures = 0;
+      trialInFlight = false;
+    },
+
+    /**
+     * Give back a half-open trial call whose outcome says nothing about the source
+     */
+    release() {
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      consecutiveFailures++;
+      trialInFlight = false;
+
+      if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+        state = 'open';
+        openedAt = Date.now();
+        logger.warn(`Circuit for ${source} opened after ${consecutiveFailures} consecutive failures`);
+      }
+    },
+
+    status() {
+      const current = currentState();
+      return {
+        state: current,
+        consecutive_failures: consecutiveFailures,
+        opened_at: current === 'closed' || !openedAt ? null : new Date(openedAt).toISOString(),
+        retry_at: current === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null
+      };
+    }
+  };
+}
+
+// One breaker per source, shared by every run in the process
+const breakers = new Map();
+
+function getCircuitBreaker(source) {
+  if (!breakers.has(source)) breakers.set(source, createCircuitBreaker(source));
+  return breakers.get(source);
+}
+
+/**
+ * State of every breaker created since startup (reported by GET /diagnostics)
+ */
+function getCircuitBreakerStatus() {
+  return Object.fromEntries(Array.from(breakers.values()).map(breaker => [breaker.source, breaker.status()]));
+}
+
+/**
+ * Per-run health of one source: runs its calls with retries behind the source's circuit breaker
+ * and summarizes the outcome for meta.errors
+ * @param {string} source - Collector name, e.g. "google_places"; one circuit breaker per name
+ * @param {Object} [options]
+ * @param {string} [options.label] - Name reported in meta.errors, e.g. "Google Places"
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @param {Object} [options.retry] - Overrides RETRY
+ */
+function createSourceHealth(source, { label = source, signal, retry = RETRY } = {}) {
+  const breaker = getCircuitBreaker(source);
+  const stats = { retries: 0, failures: 0 };
+  let lastError = null;
+  let fatalError = null;
+
+  const circuitError = () => (breaker.state === 'open'
+    ? new CircuitOpenError(source, Date.parse(breaker.status().retry_at))
+    : null);
+
+  const fail = (error, { item = false } = {}) => {
+    stats.failures++;
+    lastError = error;
+    if (!item && classifyError(error) === 'fatal') fatalError = error;
+  };
+
+  return {
+    source,
+
+    /**
+     * A fatal error or an open circuit means further calls this run would fail too
+     */
+    get shouldStop() {
+      return !!fatalError || breaker.state === 'open';
+    },
+
+    /**
+     * Error to report without calling the source at all, when its circuit is open
+     */
+    circuitError,
+
+    /**
+     * Make a call, retrying transient failures
+     * @param {Function} fn - async ({ onRetry }) => result; pass onRetry to the request scheduler
+     *   so its 429 retries are counted too
+     * @param {Object} [options]
+     * @param {string} [options.what] - What is being fetched, for logs
+     * @param {Function} [options.itemError] - Whether a failure concerns only the item fetched (e.g. one
+     *   place's details), not the source: it is recorded and thrown, but neither stops the source nor
+     *   counts towards its circuit breaker
+     */
+    async call(fn, { what = 'request', itemError = () => false } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        if (!breaker.allow()) {
+          // Open, or half-open with the trial call already in flight
+          const error = circuitError() || new CircuitOpenError(source, Date.now());
+          fail(error);
+          throw error;
+        }
+
+        try {
+          const result = await fn({ onRetry: () => { stats.retries++; } });
+          breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          if (isCancellation(error) || signal?.aborted) throw error;
+
+          // 429s were already retried by the request scheduler, which pauses the whole host
+          const retryable = classifyError(error) === 'transient' && (error.response?.status ?? error.status) !== 429;
+
+          if (retryable && attempt < retry.maxRetries) {
+            const delay = backoffDelay(attempt, retry);
+            stats.retries++;
+            logger.warn(`${label}: ${what} failed (${error.message}); retry ${attempt + 1}/${retry.maxRetries} in ${delay}ms`);
+            await sleep(delay, signal);
+            continue;
+          }
+
+          if (itemError(error)) {
+            fail(error, { item: true });
+            breaker.release();
+            throw error;
+          }
+
+          fail(error);
+          breaker.recordFailure();
+          throw error;
+        }
+      }
+    },
+
+    /**
+     * Outcome reported in meta.errors
+     * @param {Object} [options]
+     * @param {number} [options.rows=0] - Rows the source returned
+     * @param {Error} [options.error] - Error that ended the source early
+     * @returns {Object} { source, status: "complete" | "partial" | "failed", rows, retries, failures, error, error_type, circuit }
+     */
+    outcome({ rows = 0, error = null } = {}) {
+      if (error) fail(error);
+      const reported = error || lastError;
+
+      return {
+        source: label,
+        status: stats.failures === 0 ? 'complete' : rows > 0 ? 'partial' : 'failed',
+        rows,
+        retries: stats.retries,
+        failures: stats.failures,
+        error: reported ? reported.message : undefined,
+        error_type: reported ? classifyError(reported) : undefined,
+        circuit: breaker.state
+      };
+    }
+  };
+}
+
+module.exports = {
+  RETRY,
+  CIRCUIT,
+  UpstreamError,
+  CircuitOpenError,
+  isTransientHttpStatus,
+  isCancellation,
+  classifyError,
+  backoffDelay,
+  sleep,
+  createCircuitBreaker,
+  getCircuitBreaker,
+  getCircuitBreakerStatus,
+  createSourceHealth
+};
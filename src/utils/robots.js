@@ -1,6 +1,6 @@
 const robotsParser = require('robots-parser');
-const axios = require('axios');
 const logger = require('./logger');
+const { scheduleRequest } = require('./request-scheduler');
 
 // Cache robots.txt parsers
 const robotsCache = new Map();
@@ -27,7 +27,8 @@ async function respectsRobotsTxt(url, userAgent = null) {
 
     // Fetch robots.txt
     try {
-      const response = await axios.get(robotsUrl, {
+      const response = await scheduleRequest({
+        url: robotsUrl,
         timeout: 5000,
         headers: { 'User-Agent': ua }
       });
@@ -46,6 +47,7 @@ async function respectsRobotsTxt(url, userAgent = null) {
       // If robots.txt doesn't exist or fetch fails, assume allowed
       if (error.response?.status === 404) {
         logger.debug(`No robots.txt found for ${robotsUrl}, assuming allowed`);
+        robotsCache.set(robotsUrl, robotsParser(robotsUrl, ''));
         return true;
       }
 
@@ -59,7 +61,8 @@ async function respectsRobotsTxt(url, userAgent = null) {
 }
 
 /**
- * Get crawl delay from robots.txt
+ * Get crawl delay from robots.txt, in milliseconds
+ * robots.txt expresses Crawl-delay in seconds; call respectsRobotsTxt first to populate the cache
  */
 async function getCrawlDelay(url, userAgent = null) {
   try {
@@ -69,7 +72,8 @@ async function getCrawlDelay(url, userAgent = null) {
 
     if (robotsCache.has(robotsUrl)) {
       const robots = robotsCache.get(robotsUrl);
-      return robots.getCrawlDelay(ua) || 1000; // Default 1 second
+      const delaySeconds = robots.getCrawlDelay(ua);
+      return delaySeconds ? delaySeconds * 1000 : 1000; // Default 1 second
     }
 
     return 1000; // Default 1 second
@@ -0,0 +1,55 @@
+// Address parsing against the fixtures in test/fixtures/addresses
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseAddress,
+  fromGoogleComponents,
+  fromParts,
+  toStateCode,
+  toZip5
+} = require('../src/utils/address');
+
+const freeText = require('./fixtures/addresses/free-text.json');
+const googleComponents = require('./fixtures/addresses/google-components.json');
+const parts = require('./fixtures/addresses/parts.json');
+
+test('parseAddress', async t => {
+  for (const { name, input, expected } of freeText) {
+    await t.test(name, () => {
+      assert.deepEqual(parseAddress(input), expected);
+    });
+  }
+});
+
+test('fromGoogleComponents', async t => {
+  for (const { name, input, expected } of googleComponents) {
+    await t.test(name, () => {
+      assert.deepEqual(fromGoogleComponents(input), expected);
+    });
+  }
+});
+
+test('fromParts', async t => {
+  for (const { name, input, expected } of parts) {
+    await t.test(name, () => {
+      assert.deepEqual(fromParts(input), expected);
+    });
+  }
+});
+
+test('toStateCode reads codes and names in any case', () => {
+  assert.equal(toStateCode('fl'), 'FL');
+  assert.equal(toStateCode('Florida'), 'FL');
+  assert.equal(toStateCode('north carolina'), 'NC');
+  assert.equal(toStateCode('District of Columbia'), 'DC');
+  assert.equal(toStateCode('Fla.'), null);
+  assert.equal(toStateCode('ZZ'), null);
+  assert.equal(toStateCode(null), null);
+});
+
+test('toZip5 drops the +4 suffix', () => {
+  assert.equal(toZip5('33602-1234'), '33602');
+  assert.equal(toZip5('33602'), '33602');
+  assert.equal(toZip5('K1A 0B1'), null);
+  assert.equal(toZip5(null), null);
+});
@@ -0,0 +1,59 @@
+// On-disk response cache (src/storage/cache.js) in a throwaway directory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the store loads: a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+
+const { createDiskCache } = require('../src/storage/cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+const listEntries = dir => fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+
+test('disk cache', async t => {
+  t.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+  await t.test('prunes expired entries and evicts the oldest over the cap', async () => {
+    const dir = path.join(process.env.DATA_DIR, 'capped');
+    const cache = createDiskCache({ dir, maxEntries: 2, pruneIntervalMs: HOUR_MS });
+
+    await cache.set('details-a', { name: 'a' }, HOUR_MS);
+    await cache.set('details-b', { name: 'b' }, HOUR_MS);
+    await cache.set('details-c', { name: 'c' }, HOUR_MS);
+    await cache.set('details-gone', { name: 'gone' }, -1);
+    fs.writeFileSync(path.join(dir, 'details-broken.json'), '{"value":');
+
+    // Written a, b, c in that order
+    ['details-a', 'details-b', 'details-c'].forEach((key, index) => {
+      const writtenAt = new Date(Date.now() - (3 - index) * 1000);
+      fs.utimesSync(path.join(dir, `${key}.json`), writtenAt, writtenAt);
+    });
+
+    assert.deepEqual(await cache.prune(), { expired: 2, evicted: 1, entries: 2 });
+    assert.deepEqual(listEntries(dir), ['details-b.json', 'details-c.json']);
+    assert.equal(await cache.get('details-a'), null);
+    assert.deepEqual((await cache.get('details-c')).value, { name: 'c' });
+  });
+
+  await t.test('sweeps expired entries while it is written to', async () => {
+    const dir = path.join(process.env.DATA_DIR, 'swept');
+    const cache = createDiskCache({ dir, pruneIntervalMs: 0 });
+
+    await cache.set('textsearch-old', { results: [] }, -1);
+    await cache.set('textsearch-new', { results: [] }, HOUR_MS);
+
+    for (let wait = 0; wait < 50 && listEntries(dir).length > 1; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.deepEqual(listEntries(dir), ['textsearch-new.json']);
+    await cache.prune();
+  });
+
+  await t.test('is empty before the first write', async () => {
+    const cache = createDiskCache({ dir: path.join(process.env.DATA_DIR, 'unused') });
+    assert.deepEqual(await cache.prune(), { expired: 0, evicted: 0, entries: 0 });
+  });
+});
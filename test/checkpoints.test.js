@@ -0,0 +1,170 @@
+// Resuming runs from checkpoints: Google Places continues from a saved page token (or restarts the
+// query when the token has expired), and a resume whose run or checkpoint is gone fails instead of
+// starting over
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the collectors load: no cache, and a throwaway store
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+process.env.RESPONSE_CACHE = 'off';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+process.env.GOOGLE_PLACES_API = 'legacy';
+
+const axios = require('axios');
+const { fetchFromGooglePlaces } = require('../src/collectors/google-places');
+const { createSourceHealth } = require('../src/utils/resilience');
+const { CHECKPOINT_DIR, loadCheckpoint, pruneCheckpoints, createCheckpointSession } = require('../src/storage/checkpoints');
+const { orchestrate } = require('../src/orchestrator');
+const { enqueueJob, getJob, JOB_STATUS } = require('../src/jobs/queue');
+const store = require('../src/storage/store');
+
+const recorded = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'google-places', name), 'utf8'));
+const legacySearch = recorded('legacy-textsearch.json');
+const legacyDetails = recorded('legacy-details.json');
+
+const QUERY = 'Plumbers in Tampa, FL';
+const BAYSHORE = 'ChIJ1bayshorePlumbingTampa0001';
+const bayshoreRow = { business_name: 'Bayshore Plumbing Co.', google_place_id: BAYSHORE, phone: '(813) 223-4100' };
+
+/**
+ * A run interrupted after the first page of its only query: Bayshore collected, page 2 next
+ */
+function interruptedRun(runId) {
+  return createCheckpointSession(runId, {
+    run_id: runId,
+    sources: {
+      google_places: {
+        done: false,
+        observed_at: '2026-10-01T12:00:00.000Z',
+        state: {
+          strategy: 'queries',
+          queue: [],
+          coverage: { strategy: 'queries', queries_searched: 0 },
+          seen_place_ids: [BAYSHORE],
+          rows: [],
+          current: { unit: QUERY, page: 2, next_page_token: 'PAGE-2-TOKEN', token_issued_at: 0, raw_results: 1, rows: [bayshoreRow] }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Replay Text Search with `onToken` answering page token requests; every request is logged
+ */
+function replay(requests, onToken) {
+  return async config => {
+    requests.push(config);
+    if (config.url.endsWith('/place/textsearch/json')) {
+      const data = config.params.pagetoken ? onToken(config.params.pagetoken) : legacySearch;
+      return { status: 200, headers: {}, data };
+    }
+    if (config.url.endsWith('/place/details/json')) {
+      return { status: 200, headers: {}, data: legacyDetails[config.params.place_id] };
+    }
+    throw new Error(`Unexpected request to ${config.url}`);
+  };
+}
+
+const searches = requests => requests.filter(config => config.url.endsWith('/place/textsearch/json'));
+const detailsFor = requests => requests
+  .filter(config => config.url.endsWith('/place/details/json'))
+  .map(config => config.params.place_id);
+
+test('Google Places resume', async t => {
+  const originalRequest = axios.request;
+  t.after(() => {
+    axios.request = originalRequest;
+  });
+
+  await t.test('continues from the saved page token', async () => {
+    const requests = [];
+    axios.request = replay(requests, () => ({ ...legacySearch, results: legacySearch.results.slice(1) }));
+    const session = interruptedRun('run-restore');
+    const health = createSourceHealth('google_places', { label: 'Google Places' });
+
+    const rows = await fetchFromGooglePlaces({
+      category: 'Plumbers', location: 'Tampa, FL', maxResults: 3, strategy: 'queries', health,
+      checkpoint: session.source('google_places')
+    });
+
+    assert.deepEqual(searches(requests).map(config => config.params.pagetoken), ['PAGE-2-TOKEN']);
+    assert.deepEqual(rows.map(row => row.business_name), ['Bayshore Plumbing Co.', 'Kennedy Drain & Sewer', 'Seminole Heights Pipe Works']);
+    assert.ok(!detailsFor(requests).includes(BAYSHORE));
+
+    // The finished query is no longer in progress
+    await session.flush();
+    const saved = await loadCheckpoint('run-restore');
+    assert.equal(saved.sources.google_places.state.current, null);
+    assert.equal(saved.sources.google_places.state.rows.length, 3);
+  });
+
+  await t.test('restarts the query when the saved token has expired', async () => {
+    const requests = [];
+    axios.request = replay(requests, () => ({ status: 'INVALID_REQUEST', results: [] }));
+    const session = interruptedRun('run-expired');
+    const health = createSourceHealth('google_places', { label: 'Google Places' });
+
+    const rows = await fetchFromGooglePlaces({
+      category: 'Plumbers', location: 'Tampa, FL', maxResults: 3, strategy: 'queries', health,
+      checkpoint: session.source('google_places')
+    });
+    await session.flush();
+
+    assert.deepEqual(searches(requests).map(config => config.params.pagetoken), ['PAGE-2-TOKEN', undefined]);
+    assert.deepEqual(rows.map(row => row.business_name), ['Bayshore Plumbing Co.', 'Kennedy Drain & Sewer', 'Seminole Heights Pipe Works']);
+    // Places collected before the restart skip their Details calls
+    assert.ok(!detailsFor(requests).includes(BAYSHORE));
+    assert.equal(health.outcome({ rows: rows.length }).failures, 0);
+  });
+});
+
+test('Resuming a run', async t => {
+  t.after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  const params = { category: 'Plumbers', geography: 'Tampa, FL', maxResults: 3, sources: ['google_places'] };
+
+  await t.test('fails without a checkpoint and leaves the run as it was', async () => {
+    const run = await store.createRun(params);
+    await store.finishRun(run.id, { meta: { error: 'Upstream outage' }, rows: [] });
+
+    await assert.rejects(orchestrate(params, { resumeRunId: run.id }), /has no checkpoint to resume from/);
+    assert.equal((await store.getRun(run.id)).status, store.RUN_STATUS.FAILED);
+  });
+
+  await t.test('fails for an unknown run', async () => {
+    const session = interruptedRun('no-such-run');
+    session.source('google_places').save(null);
+    await session.flush();
+
+    await assert.rejects(orchestrate(params, { resumeRunId: 'no-such-run' }), /Run no-such-run not found/);
+  });
+
+  await t.test('fails the resume job', async () => {
+    const job = enqueueJob(params, (jobParams, controls) => orchestrate(jobParams, { ...controls, resumeRunId: 'missing-run' }), { resumeRunId: 'missing-run' });
+    while (!getJob(job.id).finished_at) await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(job.status, JOB_STATUS.FAILED);
+    assert.match(job.error, /has no checkpoint/);
+  });
+
+  await t.test('keeps the checkpoint being resumed when stale ones are dropped', async () => {
+    fs.mkdirSync(CHECKPOINT_DIR, { recursive: true });
+    const stale = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    for (const runId of ['stale', 'stale-kept', 'fresh']) {
+      fs.writeFileSync(path.join(CHECKPOINT_DIR, `${runId}.json`), JSON.stringify({ run_id: runId, sources: {} }));
+    }
+    fs.utimesSync(path.join(CHECKPOINT_DIR, 'stale.json'), stale, stale);
+    fs.utimesSync(path.join(CHECKPOINT_DIR, 'stale-kept.json'), stale, stale);
+
+    assert.equal(await pruneCheckpoints({ keepRunId: 'stale-kept' }), 1);
+    assert.equal(await loadCheckpoint('stale'), null);
+    assert.ok(await loadCheckpoint('stale-kept'));
+    assert.ok(await loadCheckpoint('fresh'));
+  });
+});
@@ -0,0 +1,34 @@
+// Confidence signals that read registry facts from OpenCorporates
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SIGNALS } = require('../src/utils/confidence');
+const { isInactive } = require('../src/enrichment/opencorporates');
+
+test('registry_active', async t => {
+  await t.test('scores verified matches', () => {
+    const row = { oc_company_number: 'L12000001', oc_match_score: 0.92, oc_match_verified: true, oc_status: 'Active', oc_inactive: false };
+    assert.equal(SIGNALS.registry_active(row).value, 1);
+    assert.equal(SIGNALS.registry_active({ ...row, oc_status: 'Dissolved', oc_inactive: true }).value, 0);
+  });
+
+  await t.test('ignores matches below the verified threshold', () => {
+    const row = { oc_company_number: 'L12000001', oc_match_score: 0.74, oc_match_verified: false, oc_status: 'Dissolved', oc_inactive: true };
+    assert.deepEqual(SIGNALS.registry_active(row), { value: null, detail: 'unverified registry match (score 0.74)' });
+  });
+
+  await t.test('scores rows collected from the registry itself', () => {
+    assert.equal(SIGNALS.registry_active({ oc_company_number: 'L12000001', oc_status: 'Active', oc_inactive: false }).value, 1);
+    assert.equal(SIGNALS.registry_active({ oc_company_number: 'L12000001', oc_status: 'Revoked', oc_inactive: true }).value, 0);
+  });
+
+  await t.test('is unknown without a registry record', () => {
+    assert.deepEqual(SIGNALS.registry_active({}), { value: null, detail: 'no registry record' });
+  });
+});
+
+test('isInactive reads the flag, dissolution date and status', () => {
+  assert.equal(isInactive({ current_status: 'Active' }), false);
+  assert.equal(isInactive({ current_status: 'Administratively Dissolved' }), true);
+  assert.equal(isInactive({ current_status: 'Active', dissolution_date: '2020-01-01' }), true);
+  assert.equal(isInactive({ inactive: true }), true);
+});
@@ -0,0 +1,92 @@
+// Cron parsing and next-run times (src/utils/cron.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronTime, isValidTimeZone } = require('../src/utils/cron');
+
+const next = (expression, after, timeZone) => nextCronTime(expression, Date.parse(after), timeZone)?.toISOString() ?? null;
+
+test('parseCron', async t => {
+  await t.test('steps from * and from a start value', () => {
+    assert.deepEqual([...parseCron('*/15 * * * *').minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...parseCron('5/15 * * * *').minutes], [5, 20, 35, 50]);
+    assert.deepEqual([...parseCron('0 8-18/5 * * *').hours], [8, 13, 18]);
+  });
+
+  await t.test('lists, ranges and names', () => {
+    const cron = parseCron('0,30 9 1 jan-mar MON-FRI');
+    assert.deepEqual([...cron.minutes], [0, 30]);
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+    // 7 is Sunday too
+    assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+  });
+
+  await t.test('shortcuts', () => {
+    const weekly = parseCron('@weekly');
+    assert.equal(weekly.expression, '@weekly');
+    assert.deepEqual([...weekly.daysOfWeek], [0]);
+    assert.deepEqual([...parseCron('@hourly').minutes], [0]);
+  });
+
+  await t.test('rejects out-of-range fields, unknown names and malformed parts', () => {
+    for (const expression of [
+      '60 * * * *',
+      '* 24 * * *',
+      '* * 0 * *',
+      '* * 32 * *',
+      '* * * 13 *',
+      '* * * * 8',
+      '* * * FOO *',
+      '* * * * FUNDAY',
+      '* * * * MON-',
+      '30-10 * * * *',
+      '*/0 * * * *',
+      '1/2/3 * * * *',
+      '* * * *',
+      '@fortnightly',
+      ''
+    ]) {
+      assert.throws(() => parseCron(expression), /^Error: Invalid cron expression/, expression);
+    }
+  });
+});
+
+test('nextCronTime', async t => {
+  await t.test('is strictly after the given time', () => {
+    assert.equal(next('*/15 * * * *', '2026-10-18T10:07:30Z'), '2026-10-18T10:15:00.000Z');
+    assert.equal(next('*/15 * * * *', '2026-10-18T10:15:00Z'), '2026-10-18T10:30:00.000Z');
+    assert.equal(next('5/15 * * * *', '2026-10-18T10:51:00Z'), '2026-10-18T11:05:00.000Z');
+  });
+
+  await t.test('keeps 9:00 in New York across both DST changes', () => {
+    const zone = 'America/New_York';
+    // Clocks go forward on Sunday 8 March 2026: EST (UTC-5) before, EDT (UTC-4) after
+    assert.equal(next('0 9 * * MON', '2026-02-27T00:00:00Z', zone), '2026-03-02T14:00:00.000Z');
+    assert.equal(next('0 9 * * MON', '2026-03-02T14:00:00Z', zone), '2026-03-09T13:00:00.000Z');
+    // And back on Sunday 1 November 2026
+    assert.equal(next('0 9 * * MON', '2026-10-23T00:00:00Z', zone), '2026-10-26T13:00:00.000Z');
+    assert.equal(next('0 9 * * MON', '2026-10-26T13:00:00Z', zone), '2026-11-02T14:00:00.000Z');
+  });
+
+  await t.test('finds the next leap day', () => {
+    assert.equal(next('0 0 29 2 *', '2026-10-18T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  });
+
+  await t.test('returns null for a date that never exists', () => {
+    assert.equal(next('0 0 30 2 *', '2026-10-18T00:00:00Z'), null);
+  });
+
+  await t.test('runs on either day field when both are restricted', () => {
+    // Friday 9 October 2026 has passed; Tuesday the 13th matches by day of month
+    assert.equal(next('0 0 13 * FRI', '2026-10-09T01:00:00Z'), '2026-10-13T00:00:00.000Z');
+    // ...and Friday the 16th by day of week
+    assert.equal(next('0 0 13 * FRI', '2026-10-13T00:00:00Z'), '2026-10-16T00:00:00.000Z');
+    // With one day field left as *, both must match
+    assert.equal(next('0 0 13 * *', '2026-10-13T00:00:00Z'), '2026-11-13T00:00:00.000Z');
+  });
+
+  await t.test('knows time zone names', () => {
+    assert.equal(isValidTimeZone('America/New_York'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  });
+});
@@ -0,0 +1,83 @@
+// Fuzzy duplicate matching: pair scores and union-find clusters
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scorePair, clusterDuplicates, getMatchProfile } = require('../src/utils/deduplication');
+
+const score = (a, b) => scorePair(getMatchProfile(a), getMatchProfile(b));
+
+test('scorePair', async t => {
+  await t.test('merges a legal suffix and apostrophe variant sharing a phone', () => {
+    const result = score(
+      { business_name: "Joe's Plumbing LLC", phone: '(512) 555-0142' },
+      { business_name: 'Joes Plumbing', phone: '512-555-0142' }
+    );
+    assert.equal(result.match, true);
+    assert.deepEqual(result.reasons, ['name_similarity:1', 'same_phone']);
+  });
+
+  await t.test('does not merge on the name alone', () => {
+    const result = score(
+      { business_name: 'Joes Plumbing', postal_code: '78701' },
+      { business_name: 'Joes Plumbing', postal_code: '78701' }
+    );
+    assert.equal(result.score, 1);
+    assert.equal(result.match, false);
+    assert.deepEqual(result.reasons, ['name_similarity:1']);
+  });
+
+  await t.test('does not merge different house numbers on the same street', () => {
+    const result = score(
+      { business_name: 'Joes Plumbing', street: '123 Main Street', postal_code: '78701' },
+      { business_name: 'Joes Plumbing', street: '125 Main St', postal_code: '78701' }
+    );
+    assert.equal(result.match, false);
+    assert.ok(!result.reasons.some(reason => reason.startsWith('address_')));
+  });
+
+  await t.test('treats street abbreviations as the same address', () => {
+    const result = score(
+      { business_name: 'Joes Plumbing', street: '123 North Main Street' },
+      { business_name: 'Joes Plumbing', street: '123 N Main St' }
+    );
+    assert.equal(result.match, true);
+    assert.deepEqual(result.reasons, ['name_similarity:1', 'address_similarity:1']);
+  });
+});
+
+test('clusterDuplicates', async t => {
+  await t.test('links A~B and B~C into one cluster', () => {
+    const records = [
+      { business_name: 'Acme Roofing', phone: '(512) 555-0100', postal_code: '78701', confidence: 0.9, source: 'google_places' },
+      { business_name: 'Acme Roofing Inc', phone: '512-555-0100', website: 'https://acmeroofing.com', confidence: 0.7, source: 'yelp' },
+      { business_name: 'Acme Roofing Co', website: 'www.acmeroofing.com/contact', postal_code: '78702', confidence: 0.5, source: 'website' }
+    ];
+
+    const { rows, stats } = clusterDuplicates(records);
+
+    // A and C share no blocking key, so only A~B and B~C are scored
+    assert.equal(stats.pairs_compared, 2);
+    assert.equal(stats.pairs_matched, 2);
+    assert.equal(stats.clusters_merged, 1);
+    assert.equal(rows.length, 1);
+
+    const [merged] = rows;
+    assert.deepEqual(merged.merged_from.map(entry => entry.source), ['google_places', 'yelp', 'website']);
+    assert.deepEqual(merged.merged_from[0].match.reasons, ['name_similarity:1', 'same_phone']);
+    assert.equal(merged.merged_from[0].match.matched_with, 'Acme Roofing Inc');
+    assert.deepEqual(merged.merged_from[2].match.reasons, ['name_similarity:1', 'same_domain']);
+    assert.equal(merged.merged_from[2].match.matched_with, 'Acme Roofing Inc');
+    assert.ok(merged.merged_from[1].match.reasons.length > 0);
+  });
+
+  await t.test('keeps unmatched records as they are', () => {
+    const records = [
+      { business_name: 'Joes Plumbing', phone: '(512) 555-0142', postal_code: '78701' },
+      { business_name: 'Joes Plumbing', phone: '(512) 555-0199', postal_code: '78701' }
+    ];
+
+    const { rows, stats } = clusterDuplicates(records);
+    assert.equal(stats.pairs_compared, 1);
+    assert.equal(stats.clusters_merged, 0);
+    assert.deepEqual(rows, records);
+  });
+});
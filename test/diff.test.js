@@ -0,0 +1,106 @@
+// Run-to-run diffs (since / mode=delta) and how row-only exports write them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRows } = require('../src/utils/diff');
+const { getBusinessKey } = require('../src/storage/store');
+const { formatResult } = require('../src/utils/export');
+
+const bayshore = {
+  business_name: 'Bayshore Plumbing Co.',
+  google_place_id: 'ChIJ1bayshorePlumbingTampa0001',
+  phone: '(813) 223-4100',
+  website: 'https://www.bayshoreplumbing.example/',
+  street: '2110 W Swann Ave',
+  is_operational: true
+};
+const kennedy = {
+  business_name: 'Kennedy Drain & Sewer',
+  google_place_id: 'ChIJ2kennedyDrainSewerTampa002',
+  phone: '(813) 229-7700',
+  is_operational: true
+};
+const seminole = {
+  business_name: 'Seminole Heights Pipe Works',
+  google_place_id: 'ChIJ3seminoleHeightsPipes00003',
+  is_operational: true
+};
+
+test('diffRows', async t => {
+  await t.test('reports added, removed and changed rows', () => {
+    const moved = { ...kennedy, phone: '(813) 229-7788', website: 'kennedydrain.example' };
+    const diff = diffRows([bayshore, kennedy], [moved, seminole], getBusinessKey);
+
+    assert.deepEqual(diff.added, [seminole]);
+    assert.deepEqual(diff.removed, [bayshore]);
+    assert.equal(diff.changed.length, 1);
+    assert.equal(diff.changed[0].key, 'google:ChIJ2kennedyDrainSewerTampa002');
+    assert.equal(diff.changed[0].record, moved);
+    assert.deepEqual(diff.changed[0].changes, {
+      phone: { before: '+18132297700', after: '+18132297788' },
+      website: { before: null, after: 'https://kennedydrain.example' }
+    });
+    assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, closed: 0 });
+  });
+
+  await t.test('ignores formatting differences', () => {
+    const reformatted = { ...bayshore, phone: '+1 813-223-4100', website: 'https://bayshoreplumbing.example', street: ' 2110 W Swann Ave ' };
+    const diff = diffRows([bayshore], [reformatted], getBusinessKey);
+
+    assert.deepEqual(diff.changed, []);
+  });
+
+  await t.test('flags businesses that closed', () => {
+    const closed = { ...bayshore, is_operational: false };
+    const diff = diffRows([bayshore], [closed], getBusinessKey);
+
+    assert.equal(diff.changed[0].closed, true);
+    assert.deepEqual(diff.changed[0].changes, { is_operational: { before: true, after: false } });
+    assert.equal(diff.summary.closed, 1);
+  });
+
+  await t.test('matches on the place id when the website changed', () => {
+    const rebranded = { ...bayshore, website: 'https://bayshore-plumbing.example' };
+    const diff = diffRows([bayshore], [rebranded], getBusinessKey);
+
+    assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 1, closed: 0 });
+  });
+
+  await t.test('leaves out rows without a key', () => {
+    const diff = diffRows([], [{ notes: 'nothing to match on' }, seminole], getBusinessKey);
+
+    assert.deepEqual(diff.added, [seminole]);
+  });
+});
+
+test('delta exports', async t => {
+  const current = [{ ...kennedy, phone: '(813) 229-7701' }, seminole, bayshore];
+  const diff = diffRows([bayshore, kennedy, { ...seminole, google_place_id: 'ChIJgone' }], current, getBusinessKey);
+  const result = { meta: { category: 'Plumbers', geography: 'Tampa, FL' }, rows: current, diff };
+
+  await t.test('write the diff with a change column in NDJSON', async () => {
+    const lines = (await formatResult(result, 'ndjson')).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.deepEqual(lines.map(line => [line.change, line.google_place_id]), [
+      ['added', 'ChIJ3seminoleHeightsPipes00003'],
+      ['changed', 'ChIJ2kennedyDrainSewerTampa002'],
+      ['removed', 'ChIJgone']
+    ]);
+    assert.deepEqual(lines[1].changes, { phone: { before: '+18132297700', after: '+18132297701' } });
+    assert.equal(lines[1].closed, false);
+  });
+
+  await t.test('lead CSV rows with the change column', async () => {
+    const [header, ...lines] = (await formatResult(result, 'csv')).split('\n');
+
+    assert.ok(header.startsWith('change,business_name,'));
+    assert.ok(header.endsWith(',changes,closed'));
+    assert.deepEqual(lines.map(line => line.split(',')[0]), ['added', 'changed', 'removed']);
+  });
+
+  await t.test('keep the full rows and the diff in JSON', async () => {
+    const body = JSON.parse(await formatResult(result, 'json'));
+
+    assert.equal(body.rows.length, 3);
+    assert.equal(body.diff.changed.length, 1);
+  });
+});
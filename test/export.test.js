@@ -0,0 +1,124 @@
+// Export formats: column order, CSV escaping, NDJSON lines, meta headers and the CSV meta trailer
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { parseString } = require('fast-csv');
+const { DEFAULT_COLUMNS, getColumns, formatResult, sendResult, resolveFormat } = require('../src/utils/export');
+
+const rows = [
+  {
+    business_name: 'Kennedy Drain & Sewer, Inc.',
+    category: 'Plumbers',
+    street: '401 W Kennedy Blvd',
+    phone: '+18132297700',
+    notes: 'Says "24/7" on the sign\nsecond line',
+    confidence: 0.82,
+    google_place_id: 'ChIJ2kennedyDrainSewerTampa002',
+    source: 'google_places',
+    social: { facebook: { url: 'https://www.facebook.com/kennedydrain' } },
+    zz_custom: 'kept'
+  },
+  { business_name: 'Seminole Heights Pipe Works', category: 'Plumbers', email: null, source: 'google_places' }
+];
+
+const result = {
+  meta: { category: 'Plumbers', geography: 'Tampa, FL', total_found: 2, generated_at: '2026-10-18T12:00:00.000Z', sources_used: ['Google Places'] },
+  rows
+};
+
+const parseCsv = csv => new Promise((resolve, reject) => {
+  const parsed = [];
+  parseString(csv, { headers: true })
+    .on('error', reject)
+    .on('data', row => parsed.push(row))
+    .on('end', () => resolve(parsed));
+});
+
+test('getColumns puts the default schema first, then known columns, then extras by name', () => {
+  assert.deepEqual(getColumns(rows), [...DEFAULT_COLUMNS, 'source', 'social', 'google_place_id', 'zz_custom']);
+  assert.deepEqual(getColumns([]), DEFAULT_COLUMNS);
+});
+
+test('formatResult', async t => {
+  await t.test('quotes commas, quotes and newlines in CSV', async () => {
+    const csv = await formatResult(result, 'csv');
+    const [header] = csv.split('\n');
+    const parsed = await parseCsv(csv);
+
+    assert.equal(header, getColumns(rows).join(','));
+    assert.ok(csv.includes('"Kennedy Drain & Sewer, Inc."'));
+    assert.ok(csv.includes('"Says ""24/7"" on the sign\nsecond line"'));
+    assert.equal(parsed[0].business_name, rows[0].business_name);
+    assert.equal(parsed[0].notes, rows[0].notes);
+  });
+
+  await t.test('writes nested values as JSON and missing ones as empty cells', async () => {
+    const parsed = await parseCsv(await formatResult(result, 'csv'));
+
+    assert.deepEqual(JSON.parse(parsed[0].social), rows[0].social);
+    assert.equal(parsed[1].email, '');
+    assert.equal(parsed[1].zz_custom, '');
+  });
+
+  await t.test('writes the header even without rows', async () => {
+    assert.equal((await formatResult({ ...result, rows: [] }, 'csv')).trim(), DEFAULT_COLUMNS.join(','));
+  });
+
+  await t.test('writes one JSON object per NDJSON line, rows only', async () => {
+    const ndjson = await formatResult(result, 'ndjson');
+
+    assert.ok(ndjson.endsWith('\n'));
+    assert.deepEqual(ndjson.trim().split('\n').map(line => JSON.parse(line)), rows);
+  });
+});
+
+test('sendResult', async t => {
+  const app = express();
+  app.get('/results', (req, res) => {
+    const format = resolveFormat(req, req.query.format);
+    if (!format) return res.status(400).json({ error: 'Unsupported format' });
+    sendResult(res, result, format, { metaComment: req.query.meta === 'true' });
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/results`;
+  t.after(() => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  }));
+
+  await t.test('picks the format from the Accept header unless one is given', async () => {
+    assert.match((await fetch(url)).headers.get('content-type'), /^application\/json/);
+    assert.match((await fetch(url, { headers: { Accept: 'text/csv' } })).headers.get('content-type'), /^text\/csv/);
+    assert.match((await fetch(`${url}?format=ndjson`, { headers: { Accept: 'text/csv' } })).headers.get('content-type'), /^application\/x-ndjson/);
+    assert.equal((await fetch(`${url}?format=xml`)).status, 400);
+  });
+
+  await t.test('summarizes meta in headers for row-only formats', async () => {
+    const response = await fetch(`${url}?format=ndjson`);
+    await response.text();
+
+    assert.equal(response.headers.get('x-total-found'), '2');
+    assert.equal(response.headers.get('x-generated-at'), '2026-10-18T12:00:00.000Z');
+    assert.equal(response.headers.get('x-sources-used'), 'Google Places');
+    assert.equal(decodeURIComponent(response.headers.get('x-geography')), 'Tampa, FL');
+  });
+
+  await t.test('names the CSV attachment and appends meta as a trailing comment', async () => {
+    const response = await fetch(`${url}?format=csv&meta=true`);
+    const body = await response.text();
+    const [csv, trailer] = body.split('\n# meta: ');
+
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="plumbers-tampa-fl.csv"');
+    assert.deepEqual(JSON.parse(trailer), result.meta);
+    assert.equal((await parseCsv(csv)).length, 2);
+  });
+
+  await t.test('leaves the trailer out unless asked', async () => {
+    const body = await (await fetch(`${url}?format=csv`)).text();
+
+    assert.ok(!body.includes('# meta:'));
+    assert.equal(body, await formatResult(result, 'csv'));
+  });
+});
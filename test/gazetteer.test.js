@@ -0,0 +1,26 @@
+// State resolution for the metro fan-out (src/utils/gazetteer.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveState, isUnambiguousState } = require('../src/utils/gazetteer');
+
+test('resolveState reads codes, names and "state" wording', () => {
+  assert.equal(resolveState('FL'), 'FL');
+  assert.equal(resolveState('Florida, USA'), 'FL');
+  assert.equal(resolveState('State of New York'), 'NY');
+  assert.equal(resolveState('Washington State'), 'WA');
+  assert.equal(resolveState('Tampa, FL'), null);
+});
+
+test('isUnambiguousState', async t => {
+  await t.test('accepts state codes and names that are not also cities', () => {
+    for (const geography of ['FL', 'NY', 'Florida', 'Texas, USA', 'State of New York', 'New York State', 'Washington State']) {
+      assert.equal(isUnambiguousState(geography), true, geography);
+    }
+  });
+
+  await t.test('rejects state names that usually mean a city', () => {
+    for (const geography of ['New York', 'Washington', 'new york, usa', 'New York, NY', 'Tampa, FL']) {
+      assert.equal(isUnambiguousState(geography), false, geography);
+    }
+  });
+});
@@ -0,0 +1,126 @@
+// Geocoding a geography to a bounding box: statuses, retries through source health, and the
+// query fallback when tiling cannot start
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the collectors load: no cache, and a throwaway store
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+process.env.RESPONSE_CACHE = 'off';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+process.env.GOOGLE_PLACES_API = 'legacy';
+
+const axios = require('axios');
+const { geocodeBounds } = require('../src/utils/geo');
+const { createSourceHealth, UpstreamError } = require('../src/utils/resilience');
+const { fetchFromGooglePlaces } = require('../src/collectors/google-places');
+const { flushUsage } = require('../src/storage/usage');
+
+const recorded = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'google-places', name), 'utf8'));
+const legacySearch = recorded('legacy-textsearch.json');
+const legacyDetails = recorded('legacy-details.json');
+
+const tampa = {
+  status: 'OK',
+  results: [{
+    geometry: {
+      bounds: { northeast: { lat: 28.1715, lng: -82.2594 }, southwest: { lat: 27.8215, lng: -82.6511 } },
+      viewport: { northeast: { lat: 28.2, lng: -82.2 }, southwest: { lat: 27.8, lng: -82.7 } }
+    }
+  }]
+};
+
+const fastRetry = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1 };
+
+/**
+ * Answer Geocoding requests with `statuses` in turn (the last one repeats)
+ */
+function geocoder(statuses) {
+  const requests = [];
+  const request = async config => {
+    if (!config.url.endsWith('/geocode/json')) throw new Error(`Unexpected request to ${config.url}`);
+    const status = statuses[Math.min(requests.length, statuses.length - 1)];
+    requests.push(config);
+    return { status: 200, headers: {}, data: status === 'OK' ? tampa : { status, results: [], error_message: `${status} for test` } };
+  };
+  return { requests, request };
+}
+
+test('geocodeBounds', async t => {
+  const originalRequest = axios.request;
+  t.after(() => {
+    axios.request = originalRequest;
+  });
+
+  await t.test('returns the bounds of the first result', async () => {
+    axios.request = geocoder(['OK']).request;
+
+    assert.deepEqual(await geocodeBounds('Tampa, FL', 'test-key'), { north: 28.1715, east: -82.2594, south: 27.8215, west: -82.6511 });
+  });
+
+  await t.test('returns null when nothing matches', async () => {
+    axios.request = geocoder(['ZERO_RESULTS']).request;
+
+    assert.equal(await geocodeBounds('Nowhere, ZZ', 'test-key'), null);
+  });
+
+  await t.test('retries OVER_QUERY_LIMIT and UNKNOWN_ERROR through source health', async () => {
+    const { requests, request } = geocoder(['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR', 'OK']);
+    axios.request = request;
+    const health = createSourceHealth('geocoding-transient', { retry: fastRetry });
+
+    const bounds = await health.call(({ onRetry }) => geocodeBounds('Tampa, FL', 'test-key', { onRetry }), { what: 'geocoding' });
+
+    assert.equal(bounds.north, 28.1715);
+    assert.equal(requests.length, 3);
+    assert.equal(health.outcome({ rows: 1 }).retries, 2);
+  });
+
+  await t.test('fails at once on REQUEST_DENIED', async () => {
+    const { requests, request } = geocoder(['REQUEST_DENIED']);
+    axios.request = request;
+    const health = createSourceHealth('geocoding-denied', { retry: fastRetry });
+
+    await assert.rejects(
+      health.call(({ onRetry }) => geocodeBounds('Tampa, FL', 'test-key', { onRetry }), { what: 'geocoding' }),
+      error => error instanceof UpstreamError && error.code === 'REQUEST_DENIED' && !error.transient
+    );
+    assert.equal(requests.length, 1);
+    assert.equal(health.outcome().failures, 1);
+  });
+});
+
+test('tiling falls back to query variants when geocoding fails', async t => {
+  const originalRequest = axios.request;
+  t.after(async () => {
+    axios.request = originalRequest;
+    await flushUsage();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  axios.request = async config => {
+    if (config.url.endsWith('/geocode/json')) {
+      return { status: 200, headers: {}, data: { status: 'REQUEST_DENIED', results: [], error_message: 'This API is not enabled' } };
+    }
+    if (config.url.endsWith('/place/textsearch/json')) {
+      return { status: 200, headers: {}, data: legacySearch };
+    }
+    if (config.url.endsWith('/place/details/json')) {
+      return { status: 200, headers: {}, data: legacyDetails[config.params.place_id] };
+    }
+    throw new Error(`Unexpected request to ${config.url}`);
+  };
+
+  const coverage = {};
+  const health = createSourceHealth('google_places', { label: 'Google Places' });
+  const rows = await fetchFromGooglePlaces({ category: 'Plumbers', location: 'Tampa, FL', maxResults: 3, strategy: 'tiles', coverage, health });
+  const outcome = health.outcome({ rows: rows.length });
+
+  assert.equal(rows.length, 3);
+  assert.equal(coverage.note, 'Could not resolve "Tampa, FL" to a bounding box; fell back to query variants');
+  // The failed geocoding call is reported with the source
+  assert.equal(outcome.status, 'partial');
+  assert.match(outcome.error, /REQUEST_DENIED/);
+});
@@ -0,0 +1,109 @@
+// Places API (New) backend against recorded responses (test/fixtures/google-places), and row parity
+// with the legacy Text Search + Details backend for the same places
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the collectors load: no cache, and a throwaway usage ledger
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+process.env.RESPONSE_CACHE = 'off';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+
+const axios = require('axios');
+const { fetchFromGooglePlaces, buildBusinessRow } = require('../src/collectors/google-places');
+const { parseSearchTextResponse } = require('../src/collectors/google-places-new');
+
+const recorded = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'google-places', name), 'utf8'));
+const legacySearch = recorded('legacy-textsearch.json');
+const legacyDetails = recorded('legacy-details.json');
+const newPages = [recorded('new-searchtext-page1.json'), recorded('new-searchtext-page2.json')];
+
+/**
+ * Replay the recorded responses for whichever backend makes the request
+ */
+async function replay(config) {
+  if (config.url.endsWith('/place/textsearch/json')) {
+    return { status: 200, headers: {}, data: legacySearch };
+  }
+  if (config.url.endsWith('/place/details/json')) {
+    return { status: 200, headers: {}, data: legacyDetails[config.params.place_id] };
+  }
+  if (config.url.endsWith('/v1/places:searchText')) {
+    return { status: 200, headers: {}, data: config.data.pageToken ? newPages[1] : newPages[0] };
+  }
+  throw new Error(`Unexpected request to ${config.url}`);
+}
+
+// Set when each row is built, so never equal across two collections
+const withoutTimestamps = rows => rows.map(({ source_updated_at: _updatedAt, ...row }) => row);
+
+async function collectWith(backend) {
+  process.env.GOOGLE_PLACES_API = backend;
+  return fetchFromGooglePlaces({ category: 'Plumbers', location: 'Tampa, FL', maxResults: 3, strategy: 'queries' });
+}
+
+test('Places API (New) backend', async t => {
+  const originalRequest = axios.request;
+  axios.request = replay;
+  t.after(() => {
+    axios.request = originalRequest;
+    delete process.env.GOOGLE_PLACES_API;
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  await t.test('parses a recorded searchText page into legacy shapes', () => {
+    const { places, nextPageToken } = parseSearchTextResponse(newPages[0]);
+
+    assert.equal(nextPageToken, 'AeeoHcKrecordedPageTokenForPage2');
+    assert.equal(places.length, 2);
+    assert.deepEqual(places[0].place, {
+      place_id: 'ChIJ1bayshorePlumbingTampa0001',
+      name: 'Bayshore Plumbing Co.',
+      formatted_address: '401 E Jackson St Suite 2340, Tampa, FL 33602, United States',
+      geometry: { location: { lat: 27.9472853, lng: -82.4559312 } },
+      types: ['plumber', 'point_of_interest', 'establishment'],
+      business_status: 'OPERATIONAL',
+      rating: 4.8,
+      user_ratings_total: 312
+    });
+    assert.deepEqual(places[0].details.address_components[0], {
+      long_name: 'Suite 2340',
+      short_name: 'Suite 2340',
+      types: ['subpremise']
+    });
+    assert.equal(parseSearchTextResponse(newPages[1]).nextPageToken, null);
+    assert.deepEqual(parseSearchTextResponse({}), { places: [], nextPageToken: null });
+  });
+
+  await t.test('builds the same row as the legacy backend for each recorded place', () => {
+    const newPlaces = [...newPages[0].places, ...newPages[1].places].map(place =>
+      parseSearchTextResponse({ places: [place] }).places[0]);
+
+    legacySearch.results.forEach((legacyPlace, index) => {
+      const context = { category: 'Plumbers', query: 'plumber in Tampa, FL' };
+      const legacyRow = buildBusinessRow(legacyPlace, legacyDetails[legacyPlace.place_id].result, context);
+      const newRow = buildBusinessRow(newPlaces[index].place, newPlaces[index].details, context);
+
+      assert.deepEqual(withoutTimestamps([newRow]), withoutTimestamps([legacyRow]), legacyPlace.name);
+    });
+  });
+
+  await t.test('collects the same rows through either backend', async () => {
+    const legacyRows = await collectWith('legacy');
+    const newRows = await collectWith('new');
+
+    assert.equal(newRows.length, 3);
+    assert.deepEqual(withoutTimestamps(newRows), withoutTimestamps(legacyRows));
+
+    const [bayshore, kennedy, seminole] = newRows;
+    assert.equal(bayshore.unit, 'Suite 2340');
+    assert.equal(bayshore.postal_code, '33602-5831');
+    assert.equal(bayshore.phone, '(813) 223-4100');
+    assert.equal(bayshore.opening_hours.length, 7);
+    assert.equal(kennedy.website, null);
+    assert.equal(seminole.is_operational, false);
+    assert.equal(seminole.phone, null);
+  });
+});
@@ -0,0 +1,79 @@
+// Legacy Places backend failures against recorded responses (test/fixtures/google-places): a Details
+// failure for one place costs that row its details, while key and quota errors still stop the source
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the collectors load: no cache, and a throwaway usage ledger
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+process.env.RESPONSE_CACHE = 'off';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+process.env.GOOGLE_PLACES_API = 'legacy';
+
+const axios = require('axios');
+const { fetchFromGooglePlaces } = require('../src/collectors/google-places');
+const { createSourceHealth } = require('../src/utils/resilience');
+
+const recorded = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'google-places', name), 'utf8'));
+const legacySearch = recorded('legacy-textsearch.json');
+const legacyDetails = recorded('legacy-details.json');
+
+const KENNEDY = 'ChIJ2kennedyDrainSewerTampa002';
+
+/**
+ * Replay the recorded responses, with `failure` as the Details response for Kennedy Drain & Sewer
+ */
+function replayWithDetailsFailure(failure) {
+  return async config => {
+    if (config.url.endsWith('/place/textsearch/json')) {
+      return { status: 200, headers: {}, data: legacySearch };
+    }
+    if (config.url.endsWith('/place/details/json')) {
+      const data = config.params.place_id === KENNEDY ? failure : legacyDetails[config.params.place_id];
+      return { status: 200, headers: {}, data };
+    }
+    throw new Error(`Unexpected request to ${config.url}`);
+  };
+}
+
+async function collect(health) {
+  return fetchFromGooglePlaces({ category: 'Plumbers', location: 'Tampa, FL', maxResults: 3, strategy: 'queries', health });
+}
+
+test('Google Places Details failures', async t => {
+  const originalRequest = axios.request;
+  t.after(() => {
+    axios.request = originalRequest;
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  await t.test('keep the row without details when one place fails', async () => {
+    axios.request = replayWithDetailsFailure({ status: 'INVALID_REQUEST', error_message: 'Invalid place_id' });
+    const health = createSourceHealth('google_places', { label: 'Google Places' });
+
+    const rows = await collect(health);
+
+    assert.equal(rows.length, 3);
+    assert.equal(health.shouldStop, false);
+    assert.equal(rows.find(row => row.business_name === 'Kennedy Drain & Sewer').phone, null);
+    assert.equal(rows.find(row => row.business_name === 'Bayshore Plumbing Co.').phone, '(813) 223-4100');
+
+    const outcome = health.outcome({ rows: rows.length });
+    assert.equal(outcome.status, 'partial');
+    assert.equal(outcome.failures, 1);
+    assert.equal(outcome.circuit, 'closed');
+  });
+
+  await t.test('stop the source on a key error', async () => {
+    axios.request = replayWithDetailsFailure({ status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid.' });
+    const health = createSourceHealth('google_places', { label: 'Google Places' });
+
+    const rows = await collect(health);
+
+    assert.equal(health.shouldStop, true);
+    assert.ok(!rows.some(row => row.business_name === 'Kennedy Drain & Sewer'));
+    assert.equal(health.outcome({ rows: rows.length }).error_type, 'fatal');
+  });
+});
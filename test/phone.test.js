@@ -0,0 +1,98 @@
+// Phone parsing, line types and the require_valid_phone filter
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the collectors load: no cache, and a throwaway store
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+process.env.RESPONSE_CACHE = 'off';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+process.env.GOOGLE_PLACES_API = 'legacy';
+
+const axios = require('axios');
+const { parsePhone, applyPhoneValidation } = require('../src/utils/phone');
+const { collectFromAllSources } = require('../src/collectors');
+
+const recorded = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'google-places', name), 'utf8'));
+const legacySearch = recorded('legacy-textsearch.json');
+const legacyDetails = recorded('legacy-details.json');
+
+test('parsePhone maps line types onto fixed-line, mobile, toll-free and unknown', () => {
+  assert.equal(parsePhone('+44 20 7946 0018').phone_type, 'fixed-line');
+  assert.equal(parsePhone('07400 123456', 'GB').phone_type, 'mobile');
+  assert.equal(parsePhone('(800) 273-8255').phone_type, 'toll-free');
+  // US landlines and mobiles share area codes
+  assert.equal(parsePhone('(813) 223-4100').phone_type, 'unknown');
+  assert.equal(parsePhone('056 1234 5678', 'GB').phone_type, 'fixed-line');
+});
+
+test('applyPhoneValidation', async t => {
+  await t.test('adds E.164 and the national format for valid numbers', () => {
+    const row = applyPhoneValidation({ business_name: 'Bayshore Plumbing Co.', phone: '813.223.4100', country: 'USA' });
+
+    assert.equal(row.phone, '+18132234100');
+    assert.equal(row.phone_valid, true);
+    assert.equal(row.phone_national, '(813) 223-4100');
+    assert.equal(row.phone_region, 'US');
+    assert.equal(row.notes, undefined);
+  });
+
+  await t.test('parses numbers without a country code in the row country', () => {
+    const row = applyPhoneValidation({ phone: '020 7946 0018', country: 'GB' });
+
+    assert.equal(row.phone, '+442079460018');
+    assert.equal(row.phone_region, 'GB');
+  });
+
+  await t.test('rejects invalid numbers to null with a note', () => {
+    const row = applyPhoneValidation({ phone: '(813) 123-4567', country: 'US', notes: 'from Google Places' });
+
+    assert.equal(row.phone, null);
+    assert.equal(row.phone_valid, false);
+    assert.equal(row.phone_type, 'unknown');
+    assert.equal(row.notes, 'from Google Places | phone "(813) 123-4567" rejected: not a valid US number');
+  });
+
+  await t.test('leaves the type empty when there is no phone', () => {
+    const row = applyPhoneValidation({ business_name: 'Seminole Heights Pipe Works' });
+
+    assert.equal(row.phone_valid, false);
+    assert.equal(row.phone_type, null);
+  });
+});
+
+test('requireValidPhone keeps only dialable rows', async t => {
+  const originalRequest = axios.request;
+  t.after(() => {
+    axios.request = originalRequest;
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  // Bayshore's number is invalid, Kennedy's valid, and Seminole Heights has none
+  axios.request = async config => {
+    if (config.url.endsWith('/place/textsearch/json')) {
+      return { status: 200, headers: {}, data: legacySearch };
+    }
+    if (config.url.endsWith('/place/details/json')) {
+      const data = structuredClone(legacyDetails[config.params.place_id]);
+      if (config.params.place_id === 'ChIJ1bayshorePlumbingTampa0001') {
+        data.result.formatted_phone_number = '(813) 123-4567';
+        data.result.international_phone_number = '+1 813-123-4567';
+      }
+      return { status: 200, headers: {}, data };
+    }
+    throw new Error(`Unexpected request to ${config.url}`);
+  };
+
+  const params = { category: 'Plumbers', geography: 'Tampa, FL', maxResults: 3, sources: ['google_places'], strategy: 'queries' };
+
+  const all = await collectFromAllSources(params);
+  assert.equal(all.rows.length, 3);
+
+  const { rows, meta } = await collectFromAllSources({ ...params, requireValidPhone: true });
+
+  assert.deepEqual(rows.map(row => row.business_name), ['Kennedy Drain & Sewer']);
+  assert.deepEqual(meta.phone_validation, { records_checked: 3, valid: 1, invalid: 1, missing: 1, filtered_out: 2 });
+});
@@ -0,0 +1,127 @@
+// Shared request scheduler: token-bucket pacing, host pauses after 429s and idle host eviction
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Before the scheduler loads its limits
+process.env.REQUEST_LIMITS_FILE = path.join(__dirname, 'fixtures', 'request-scheduler', 'limits.json');
+
+const { createRequestScheduler } = require('../src/utils/request-scheduler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Transport that records when each request started and answers with `respond(config, attempt)`
+ */
+function recordingTransport(respond = () => ({ status: 200, headers: {}, data: {} })) {
+  const started = [];
+  const transport = async config => {
+    const attempt = started.filter(entry => entry.url === config.url).length;
+    started.push({ url: config.url, at: Date.now() });
+    return respond(config, attempt);
+  };
+  return { started, transport };
+}
+
+const throttled = (headers = {}) => Object.assign(new Error('Request failed with status code 429'), {
+  response: { status: 429, headers }
+});
+
+test('token bucket', async t => {
+  await t.test('starts a burst at once, then paces requests at the host rate', async () => {
+    const { started, transport } = recordingTransport();
+    const scheduler = createRequestScheduler({ transport });
+    const from = Date.now();
+
+    await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.request({ url: `https://paced.test/${n}` })));
+
+    const offsets = started.map(entry => entry.at - from);
+    // Burst of 2, then one token every 100 ms
+    assert.ok(offsets[1] < 50, `second request started after ${offsets[1]}ms`);
+    assert.ok(offsets[2] >= 90, `third request started after ${offsets[2]}ms`);
+    assert.ok(offsets[4] >= 290, `fifth request started after ${offsets[4]}ms`);
+    assert.equal(scheduler.stats().hosts['paced.test'].requests, 5);
+  });
+
+  await t.test('leaves hosts without a rate unpaced', async () => {
+    const { started, transport } = recordingTransport();
+    const scheduler = createRequestScheduler({ transport });
+    const from = Date.now();
+
+    await Promise.all([1, 2, 3, 4].map(n => scheduler.request({ url: `https://open.test/${n}` })));
+
+    assert.ok(started.every(entry => entry.at - from < 50));
+  });
+});
+
+test('429 responses', async t => {
+  await t.test('pause the whole host for Retry-After, then retry the request first', async () => {
+    const { started, transport } = recordingTransport((config, attempt) => {
+      if (config.url.endsWith('/first') && attempt === 0) throw throttled({ 'retry-after': '0.2' });
+      return { status: 200, headers: {}, data: config.url };
+    });
+    const scheduler = createRequestScheduler({ transport });
+    const retries = [];
+    const from = Date.now();
+
+    const responses = await Promise.all([
+      scheduler.request({ url: 'https://throttled.test/first' }, { onRetry: error => retries.push(error.response.status) }),
+      scheduler.request({ url: 'https://throttled.test/second' })
+    ]);
+
+    assert.deepEqual(responses.map(response => response.data), ['https://throttled.test/first', 'https://throttled.test/second']);
+    assert.deepEqual(started.map(entry => entry.url), [
+      'https://throttled.test/first',
+      'https://throttled.test/first',
+      'https://throttled.test/second'
+    ]);
+    assert.ok(started[1].at - from >= 190, `retried after ${started[1].at - from}ms`);
+    assert.deepEqual(retries, [429]);
+
+    const stats = scheduler.stats().hosts['throttled.test'];
+    assert.equal(stats.throttled, 1);
+    assert.equal(stats.retries, 1);
+  });
+
+  await t.test('fail the request once max_retries is used up', async () => {
+    const { started, transport } = recordingTransport(() => {
+      throw throttled();
+    });
+    const scheduler = createRequestScheduler({ transport });
+
+    await assert.rejects(scheduler.request({ url: 'https://throttled.test/always' }), error => error.response.status === 429);
+    // The first attempt and two retries after a backoff
+    assert.equal(started.length, 3);
+  });
+});
+
+test('idle hosts', async t => {
+  await t.test('are dropped once nothing is queued and the bucket is full', async () => {
+    const { transport } = recordingTransport();
+    const scheduler = createRequestScheduler({ transport, idleMs: 30 });
+
+    await scheduler.request({ url: 'https://open.test/' });
+    await scheduler.request({ url: 'https://paced.test/' });
+    await sleep(50);
+
+    // open.test has been idle long enough; paced.test's bucket is still refilling
+    await scheduler.request({ url: 'https://other.test/' });
+    const stats = scheduler.stats();
+
+    assert.deepEqual(Object.keys(stats.hosts).sort(), ['other.test', 'paced.test']);
+    assert.equal(stats.hosts_tracked, 2);
+    assert.equal(stats.hosts_evicted, 1);
+  });
+
+  await t.test('are listed busiest first, up to maxHosts', async () => {
+    const { transport } = recordingTransport();
+    const scheduler = createRequestScheduler({ transport });
+
+    await Promise.all(['a', 'b', 'c'].map(host => scheduler.request({ url: `https://${host}.test/` })));
+    await scheduler.request({ url: 'https://b.test/again' });
+    const stats = scheduler.stats({ maxHosts: 2 });
+
+    assert.equal(stats.hosts_tracked, 3);
+    assert.deepEqual(Object.keys(stats.hosts), ['b.test', 'a.test']);
+  });
+});
@@ -0,0 +1,30 @@
+// Schedule runner (src/jobs/scheduler.js) with a throwaway data directory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the stores load: a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+
+const { startScheduler, stopScheduler, wakeScheduler } = require('../src/jobs/scheduler');
+
+test('a scheduler tick survives an unreadable schedules.json', async t => {
+  t.after(() => {
+    stopScheduler();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+  fs.writeFileSync(path.join(process.env.DATA_DIR, 'schedules.json'), '[{"id":');
+
+  const unhandled = [];
+  const onUnhandled = error => unhandled.push(error);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  startScheduler();
+  await wakeScheduler();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(unhandled, []);
+});
@@ -0,0 +1,45 @@
+// Run and business store: which index files each run update rewrites
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the store loads: a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+
+const store = require('../src/storage/store');
+
+const RUNS_FILE = path.join(process.env.DATA_DIR, 'runs.json');
+const BUSINESSES_FILE = path.join(process.env.DATA_DIR, 'businesses.json');
+
+const params = { category: 'Plumbers', geography: 'Tampa, FL' };
+const bayshore = { business_name: 'Bayshore Plumbing Co.', google_place_id: 'ChIJ1bayshorePlumbingTampa0001' };
+
+const modifiedAt = file => fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+
+test('persisting the store', async t => {
+  t.after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  await t.test('run status updates leave businesses.json alone', async () => {
+    const run = await store.createRun(params);
+    assert.equal(modifiedAt(BUSINESSES_FILE), null);
+
+    await store.finishRun(run.id, { meta: { error: 'Upstream outage' }, rows: [] });
+    await store.resumeRun(run.id);
+
+    assert.equal(modifiedAt(BUSINESSES_FILE), null);
+    assert.equal(JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8'))[0].resume_count, 1);
+  });
+
+  await t.test('a run with rows writes both files', async () => {
+    const run = await store.createRun(params);
+    await store.finishRun(run.id, { meta: {}, rows: [bayshore] });
+
+    const businesses = JSON.parse(fs.readFileSync(BUSINESSES_FILE, 'utf8'));
+    assert.deepEqual(Object.keys(businesses), ['google:ChIJ1bayshorePlumbingTampa0001']);
+    assert.equal(JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8'))[1].status, store.RUN_STATUS.COMPLETED);
+  });
+});
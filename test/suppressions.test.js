@@ -0,0 +1,140 @@
+// Do-not-contact suppressions: matching rows, API-managed entries, and the second pass after enrichment
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Before the store loads: no cache, a throwaway store and the fixture suppression list
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+process.env.RESPONSE_CACHE = 'off';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+process.env.GOOGLE_PLACES_API = 'legacy';
+process.env.SUPPRESSION_DIR = path.join(__dirname, 'fixtures', 'suppressions');
+
+const axios = require('axios');
+const { applySuppressions, addSuppressions, removeSuppressions, getSuppressionSummary } = require('../src/storage/suppressions');
+const { collectFromAllSources } = require('../src/collectors');
+const { flushUsage } = require('../src/storage/usage');
+
+const recorded = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'google-places', name), 'utf8'));
+const legacySearch = recorded('legacy-textsearch.json');
+const legacyDetails = recorded('legacy-details.json');
+const website = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'website', name), 'utf8');
+
+test('suppression entries', async t => {
+  await t.test('load from CSV files, skipping invalid rows', async () => {
+    const summary = await getSuppressionSummary();
+
+    assert.deepEqual(summary, {
+      total: 3,
+      by_type: { phone: 1, domain: 1, place_id: 1 },
+      by_source: { 'file:do-not-contact.csv': 3 }
+    });
+  });
+
+  await t.test('are added and removed through the API, but not from files', async () => {
+    const added = await addSuppressions([
+      { type: 'email', value: ' Owner@Bayshore.example ' },
+      { type: 'fax', value: '813-555-0100' },
+      { type: 'phone', value: 'not a number' }
+    ]);
+    assert.deepEqual(added, { added: 1, invalid: [1, 2] });
+
+    const removed = await removeSuppressions([
+      { type: 'phone', value: '+1 813-229-7700' },
+      { type: 'email', value: 'nobody@bayshore.example' }
+    ]);
+    assert.deepEqual(removed, { removed: 0, file_managed: 1, not_found: 1 });
+
+    const persisted = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'suppressions.json'), 'utf8'));
+    assert.deepEqual(persisted.map(entry => entry.value), ['owner@bayshore.example']);
+  });
+});
+
+test('applySuppressions', async t => {
+  const suppressed = async row => (await applySuppressions([row])).stats.by_type;
+
+  await t.test('matches phones in any format, including alternate phones', async () => {
+    assert.deepEqual(await suppressed({ phone: '813.229.7700' }), { phone: 1 });
+    assert.deepEqual(await suppressed({ phone: '(813) 223-4100', alt_phones: [{ phone: '+18132297700' }] }), { phone: 1 });
+  });
+
+  await t.test('matches a domain and its subdomains, from the website or the email', async () => {
+    assert.deepEqual(await suppressed({ website: 'https://www.shop.example/contact' }), { domain: 1 });
+    assert.deepEqual(await suppressed({ website: 'https://store.shop.example' }), { domain: 1 });
+    assert.deepEqual(await suppressed({ email: 'sales@shop.example' }), { domain: 1 });
+    assert.deepEqual(await suppressed({ website: 'https://workshop.example' }), {});
+  });
+
+  await t.test('matches emails regardless of case, and place ids', async () => {
+    assert.deepEqual(await suppressed({ email: 'OWNER@bayshore.example' }), { email: 1 });
+    assert.deepEqual(await suppressed({ google_place_id: 'ChIJ9optedOutPlace0000000009' }), { place_id: 1 });
+  });
+
+  await t.test('keeps other rows in order and counts without values', async () => {
+    const rows = [
+      { business_name: 'Bayshore Plumbing Co.', phone: '(813) 223-4100' },
+      { business_name: 'Kennedy Drain & Sewer', phone: '(813) 229-7700' },
+      { business_name: 'Seminole Heights Pipe Works' }
+    ];
+
+    const result = await applySuppressions(rows);
+
+    assert.deepEqual(result.rows, [rows[0], rows[2]]);
+    assert.deepEqual(result.stats, { suppressed: 1, by_type: { phone: 1 } });
+  });
+});
+
+test('suppressions are checked again after enrichment', async t => {
+  // The contact page without its emergency line, which is Kennedy's suppressed phone
+  const contact = website('contact.html').replace(/.*tel:.*\n/, '');
+  const site = http.createServer((req, res) => {
+    const pages = { '/': website('home.html'), '/contact': contact, '/about': website('about.html') };
+    if (req.url === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end(website('robots.txt'));
+    }
+    res.writeHead(pages[req.url] ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(pages[req.url] || 'Not found');
+  });
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${site.address().port}`;
+
+  const originalRequest = axios.request;
+  t.after(async () => {
+    axios.request = originalRequest;
+    await new Promise(resolve => {
+      site.close(resolve);
+      site.closeAllConnections();
+    });
+    // The ledger timer would otherwise write into the directory after it is removed
+    await flushUsage();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  // Bayshore's website is the fixture site, whose contact page lists office@acmeplumbing.com
+  axios.request = async config => {
+    if (config.url.endsWith('/place/textsearch/json')) {
+      return { status: 200, headers: {}, data: legacySearch };
+    }
+    if (config.url.endsWith('/place/details/json')) {
+      const data = structuredClone(legacyDetails[config.params.place_id]);
+      if (data.result.website) data.result.website = `${origin}/`;
+      return { status: 200, headers: {}, data };
+    }
+    return originalRequest(config);
+  };
+
+  await addSuppressions([{ type: 'email', value: 'office@acmeplumbing.com', reason: 'Unsubscribed' }]);
+
+  const { rows, meta } = await collectFromAllSources({
+    category: 'Plumbers', geography: 'Tampa, FL', maxResults: 3, sources: ['google_places'], strategy: 'queries', enrich: ['website']
+  });
+
+  // Kennedy is dropped by phone before enrichment, Bayshore by the email enrichment found
+  assert.equal(meta.enrichment.website.emails_found, 1);
+  assert.deepEqual(rows.map(row => row.business_name), ['Seminole Heights Pipe Works']);
+  assert.deepEqual(meta.suppression, { suppressed: 2, by_type: { phone: 1, email: 1 } });
+});
@@ -0,0 +1,102 @@
+// Usage metering: budgets stop runs, and the ledger is on disk once a run returns
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before the collectors load: no cache, a throwaway store and a per-run budget of 5 cents
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+process.env.RESPONSE_CACHE = 'off';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+process.env.GOOGLE_PLACES_API = 'legacy';
+process.env.USAGE_BUDGET_PER_RUN = '0.05';
+
+const axios = require('axios');
+const { createUsageMeter, flushUsage } = require('../src/storage/usage');
+const { orchestrate } = require('../src/orchestrator');
+const store = require('../src/storage/store');
+
+const recorded = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'google-places', name), 'utf8'));
+const legacySearch = recorded('legacy-textsearch.json');
+const legacyDetails = recorded('legacy-details.json');
+
+const USAGE_FILE = path.join(process.env.DATA_DIR, 'usage.json');
+
+/**
+ * Text Search calls in the ledger file, over every day and key
+ */
+function ledgerTextSearches() {
+  if (!fs.existsSync(USAGE_FILE)) return 0;
+  const ledger = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+  return Object.values(ledger.days)
+    .flatMap(keys => Object.values(keys))
+    .reduce((total, skus) => total + (skus.places_text_search?.calls || 0), 0);
+}
+
+test('usage meter', async t => {
+  await t.test('stops once a budget is reached, with the crossing call the last one', async () => {
+    const reasons = [];
+    const usage = createUsageMeter({ onStop: reason => reasons.push(reason), budgets: { per_run: 0.1 } });
+
+    await usage.record('places_text_search');
+    await usage.record('places_details');
+    assert.equal(usage.stoppedReason, null);
+
+    await usage.record('places_text_search');
+    await usage.record('places_details');
+
+    assert.deepEqual(reasons, ['budget_exceeded: per-run budget of 0.1 USD reached (0.11 USD spent)']);
+    assert.equal(usage.stoppedReason, reasons[0]);
+    assert.equal(usage.summary().calls, 4);
+  });
+
+  await t.test('writes the ledger when flushed instead of waiting for the timer', async () => {
+    const usage = createUsageMeter({ budgets: {} });
+    await usage.record('geocoding', { apiKey: 'test-key' });
+    await flushUsage();
+
+    const ledger = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+    const [keys] = Object.values(ledger.days);
+    assert.ok(Object.values(keys).some(skus => skus.geocoding?.calls === 1));
+  });
+});
+
+test('a run over budget', async t => {
+  const originalRequest = axios.request;
+  t.after(() => {
+    axios.request = originalRequest;
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  axios.request = async config => {
+    if (config.url.endsWith('/place/textsearch/json')) {
+      return { status: 200, headers: {}, data: legacySearch };
+    }
+    if (config.url.endsWith('/place/details/json')) {
+      return { status: 200, headers: {}, data: legacyDetails[config.params.place_id] };
+    }
+    throw new Error(`Unexpected request to ${config.url}`);
+  };
+
+  await flushUsage();
+  const textSearchesBefore = ledgerTextSearches();
+  const result = await orchestrate({ category: 'Plumbers', geography: 'Tampa, FL', maxResults: 3, sources: ['google_places'], strategy: 'queries' });
+
+  await t.test('stops and says why', async () => {
+    // Text Search (3.2 cents) and one Details call (2.5 cents) cross 5 cents
+    assert.match(result.meta.stopped_reason, /^budget_exceeded: per-run budget of 0.05 USD reached/);
+    assert.equal(result.meta.usage.by_sku.places_text_search.calls, 1);
+  });
+
+  await t.test('is stored as stopped', async () => {
+    const run = await store.getRun(result.meta.run_id);
+
+    assert.equal(run.status, store.RUN_STATUS.STOPPED);
+    assert.equal(run.meta.stopped_reason, result.meta.stopped_reason);
+  });
+
+  await t.test('has its calls in the ledger on return', () => {
+    assert.equal(ledgerTextSearches() - textSearchesBefore, 1);
+  });
+});
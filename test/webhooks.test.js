@@ -0,0 +1,138 @@
+// Result callbacks (src/jobs/webhooks.js) against a local receiver
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Before the delivery log loads: a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_MAX_BODY_BYTES = '1000';
+process.env.WEBHOOK_CHUNK_ROWS = '1';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '0.05';
+
+const { validateCallback, withCallback, deliverResult, startWebhookDispatcher } = require('../src/jobs/webhooks');
+const { listDeliveries, updateDelivery } = require('../src/storage/deliveries');
+
+/**
+ * Receiver on a free local port; `received` resolves with the bodies of the first `count` requests
+ * @param {number} [count=1]
+ * @param {Array<number>} [statuses] - Response status per request, in order; 204 after these
+ */
+async function startReceiver(count = 1, statuses = []) {
+  const bodies = [];
+  let done;
+  const received = new Promise(resolve => { done = resolve; });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', data => { body += data; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(body));
+      res.writeHead(statuses[bodies.length - 1] || 204);
+      res.end();
+      if (bodies.length === count) done(bodies);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('validateCallback', async t => {
+  t.after(() => { delete process.env.WEBHOOK_ALLOWED_HOSTS; });
+
+  await t.test('refuses loopback, private and link-local hosts', async () => {
+    for (const url of [
+      'http://127.0.0.1:8080/hook',
+      'http://localhost/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.5/hook',
+      'http://192.168.1.20/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook'
+    ]) {
+      assert.match(await validateCallback(url), /private or loopback address/, url);
+    }
+  });
+
+  await t.test('accepts public addresses and allow-listed hosts', async () => {
+    assert.equal(await validateCallback('https://93.184.215.14/hook'), null);
+
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'receiver.test, 127.0.0.1';
+    assert.equal(await validateCallback('http://127.0.0.1:8080/hook'), null);
+  });
+
+  await t.test('still checks the URL and mode first', async () => {
+    assert.match(await validateCallback('ftp://93.184.215.14/'), /http or https/);
+    assert.match(await validateCallback('https://93.184.215.14/', 'zip'), /Unsupported callback mode/);
+  });
+});
+
+test('withCallback reports the run id of a failed run', async t => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  const receiver = await startReceiver();
+  t.after(async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    await receiver.close();
+  });
+
+  const runner = withCallback(async () => {
+    const error = new Error('disk full');
+    error.runId = 'run-123';
+    throw error;
+  }, { url: receiver.url, mode: 'auto', base_url: 'http://collector.test' });
+
+  await assert.rejects(runner({ category: 'Plumbers', geography: 'Tampa, FL' }, { jobId: 'job-1' }), /disk full/);
+  const [body] = await receiver.received;
+
+  assert.equal(body.event, 'collection.failed');
+  assert.equal(body.run_id, 'run-123');
+  assert.equal(body.job_id, 'job-1');
+  assert.equal(body.meta.run_id, 'run-123');
+  assert.equal(body.meta.error, 'disk full');
+});
+
+test('chunks after a failed one wait for its retry', async t => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  // The first attempt at chunk 0 gets a 503
+  const receiver = await startReceiver(4, [503]);
+  t.after(async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    await receiver.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+  startWebhookDispatcher();
+
+  const rows = ['Bayshore Plumbing Co.', 'Kennedy Drain & Sewer', 'Seminole Heights Pipe Works']
+    .map(name => ({ business_name: name, notes: 'x'.repeat(400) }));
+  const sent = await deliverResult(
+    { url: receiver.url, mode: 'chunks', base_url: 'http://collector.test' },
+    { meta: { run_id: 'run-456', total_found: rows.length }, rows }
+  );
+
+  assert.deepEqual(sent.map(delivery => delivery.status), ['pending', 'pending', 'pending']);
+  assert.equal(sent[0].attempt_count, 1);
+  assert.equal(sent[1].attempt_count, 0);
+
+  const bodies = await receiver.received;
+  assert.deepEqual(bodies.map(body => body.chunk.index), [0, 0, 1, 2]);
+  assert.deepEqual(bodies.slice(1).map(body => body.rows[0].business_name), rows.map(row => row.business_name));
+
+  // The last response is recorded just after it is received
+  const delivered = async () => (await listDeliveries({ groupId: sent[0].group_id }))
+    .map(delivery => delivery.status).filter(status => status === 'delivered').length;
+  for (let wait = 0; wait < 50 && await delivered() < 3; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  const group = await listDeliveries({ groupId: sent[0].group_id });
+  assert.deepEqual(group.map(delivery => delivery.status), ['delivered', 'delivered', 'delivered']);
+  // An empty update waits for the log writes queued before it
+  await updateDelivery(sent[0].id, {});
+});
@@ -0,0 +1,173 @@
+// Website enrichment against local fixture sites (test/fixtures/website)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Before the usage ledger loads: a throwaway store
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+
+const { crawlWebsite, enrichFromWebsites } = require('../src/enrichment/website');
+const { createSourceHealth } = require('../src/utils/resilience');
+const { createUsageMeter, flushUsage } = require('../src/storage/usage');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'website', name), 'utf8');
+
+/**
+ * Serve a fixture site on a free local port
+ * @param {Object} routes - path -> { body, type } or { redirect }
+ */
+async function startSite(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = routes[req.url];
+
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    if (route.redirect) {
+      res.writeHead(302, { Location: route.redirect() });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': route.type || 'text/html; charset=utf-8' });
+    res.end(route.body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { origin, requests, close: () => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  }) };
+}
+
+const robots = { body: fixture('robots.txt'), type: 'text/plain' };
+
+test('website enrichment', async t => {
+  let other;
+  const site = await startSite({
+    '/robots.txt': robots,
+    '/': { body: fixture('home.html') },
+    '/contact': { body: fixture('contact.html') },
+    '/about': { body: fixture('about.html') },
+    '/private/contact-team': { body: fixture('private-contact.html') },
+    '/to-other-site': { redirect: () => `${other.origin}/` },
+    '/to-other-private': { redirect: () => `${other.origin}/private/` },
+    '/brochure.pdf': { body: '%PDF-1.4', type: 'application/pdf' },
+    '/designer/': { body: fixture('designer-credit.html') }
+  });
+  other = await startSite({
+    '/robots.txt': robots,
+    '/': { body: fixture('about.html') },
+    '/private/': { body: fixture('private-contact.html') }
+  });
+  t.after(async () => {
+    await Promise.all([site.close(), other.close()]);
+    // The ledger timer would otherwise write into the directory after it is removed
+    await flushUsage();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  await t.test('skips pages disallowed by robots.txt', async () => {
+    const crawl = await crawlWebsite(site.origin);
+
+    assert.ok(site.requests.includes('/robots.txt'));
+    assert.ok(!site.requests.includes('/private/contact-team'));
+    assert.deepEqual(crawl.pages_visited, [`${site.origin}/`, `${site.origin}/contact`, `${site.origin}/about`]);
+    assert.equal(crawl.contact_url, `${site.origin}/contact`);
+    assert.equal(crawl.social.facebook.url, 'https://www.facebook.com/acmeplumbingtampa');
+  });
+
+  await t.test('prefers role emails over personal ones', async () => {
+    const crawl = await crawlWebsite(site.origin);
+
+    assert.equal(crawl.email, 'office@acmeplumbing.com');
+    assert.equal(crawl.email_source_url, `${site.origin}/contact`);
+    assert.equal(crawl.email_method, 'text');
+  });
+
+  await t.test('fills in the row email with the page it came from', async () => {
+    const { rows, stats } = await enrichFromWebsites([
+      { business_name: 'Acme Plumbing', website: site.origin, phone: '(813) 223-4100', country: 'US' }
+    ]);
+    const [row] = rows;
+
+    assert.equal(row.email, 'office@acmeplumbing.com');
+    assert.equal(row.email_source_url, `${site.origin}/contact`);
+    assert.equal(row.provenance.email.source_url, `${site.origin}/contact`);
+    assert.equal(stats.emails_found, 1);
+    assert.equal(stats.blocked_by_robots, 1);
+  });
+
+  await t.test('alt_phones carry the page they were found on', async () => {
+    const { rows } = await enrichFromWebsites([
+      { business_name: 'Acme Plumbing', website: site.origin, phone: '(813) 223-4100', country: 'US' }
+    ]);
+    const [row] = rows;
+
+    // The homepage number is the row's own phone
+    assert.equal(row.alt_phones.length, 1);
+    assert.equal(row.alt_phones[0].phone, '+18132297700');
+    assert.equal(row.alt_phones[0].source_url, `${site.origin}/contact`);
+  });
+
+  await t.test('checks robots.txt on the host a redirect leads to', async () => {
+    const allowed = await crawlWebsite(`${site.origin}/to-other-site`);
+    assert.ok(other.requests.includes('/robots.txt'));
+    assert.equal(allowed.pages_visited[0], `${other.origin}/`);
+
+    const blocked = await crawlWebsite(`${site.origin}/to-other-private`);
+    assert.equal(blocked.blocked, true);
+    assert.ok(!other.requests.includes('/private/'));
+  });
+
+  await t.test('never picks a personal address on another domain', async () => {
+    const crawl = await crawlWebsite(`${site.origin}/designer/`);
+
+    assert.equal(crawl.pages_visited.length, 1);
+    assert.equal(crawl.email, null);
+  });
+
+  await t.test('counts a homepage that is not HTML as reachable', async () => {
+    const { rows } = await enrichFromWebsites([
+      { business_name: 'Acme Plumbing', website: `${site.origin}/brochure.pdf` }
+    ]);
+
+    assert.equal(rows[0].website_reachable, true);
+    assert.equal(rows[0].email, undefined);
+  });
+
+  await t.test('records page requests and failed sites', async () => {
+    const usage = createUsageMeter();
+    const health = createSourceHealth('website', { label: 'Company websites' });
+
+    const { rows, stats } = await enrichFromWebsites([
+      { business_name: 'Acme Plumbing', website: site.origin },
+      { business_name: 'Gone Plumbing', website: `${site.origin}/closed/` }
+    ], { usage, health });
+
+    assert.equal(rows[1].website_reachable, false);
+    assert.equal(stats.errors, 1);
+    // Homepage, contact and about pages; like API calls, only answered requests are counted
+    assert.equal(usage.summary().by_sku.website_page.calls, 3);
+
+    const outcome = health.outcome({ rows: rows.length });
+    assert.equal(outcome.status, 'partial');
+    assert.equal(outcome.failures, 1);
+    assert.equal(outcome.circuit, 'closed');
+  });
+
+  await t.test('aborts the request in flight', async () => {
+    const controller = new AbortController();
+    const crawling = enrichFromWebsites([{ business_name: 'Acme Plumbing', website: site.origin }], { signal: controller.signal });
+    controller.abort();
+    const { rows, stats } = await crawling;
+
+    assert.equal(stats.skipped, 1);
+    assert.equal(rows[0].website_reachable, undefined);
+  });
+});